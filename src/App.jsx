@@ -2,6 +2,7 @@ import { useDispatch } from 'react-redux'
 import { Router } from './routes/Router'
 import { useEffect } from 'react'
 import { fetchUser } from '~/store/auth/index'
+import { useOutboxSync } from '~/hooks/useOutboxSync'
 
 function App() {
   const dispatch = useDispatch()
@@ -9,6 +10,8 @@ function App() {
     void dispatch(fetchUser())
   }, [])
 
+  useOutboxSync()
+
   return (
     <div className="App">
       <Router />
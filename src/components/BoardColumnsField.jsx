@@ -0,0 +1,105 @@
+import { useId } from '~/hooks/useId'
+import { DONE_COLUMN_ID, createColumnId, isFixedColumn } from '~/utils/board'
+import './BoardColumnsField.css'
+
+/**
+ * BoardColumnsField - ボード表示の列の設定欄
+ *
+ * 【機能】
+ * - 列の名前とWIP上限（空欄で上限なし）を編集
+ * - Done の前に列を追加、追加した列を削除（To do / Done は削除できない）
+ * - 削除した列にあったタスクは To do の列に表示される
+ *
+ * 【受け取るもの】
+ * @param {Array} value - 列の設定（{ id, title, wipLimit } の配列。wipLimitは入力中の文字列でもよい）
+ * @param {function} onChange - 設定の変更時の処理（引数: 新しい列の設定）
+ * @param {boolean} disabled - 無効化するか
+ *
+ * 【返すもの】
+ * - fieldsetのHTML要素
+ */
+export const BoardColumnsField = ({ value, onChange, disabled = false }) => {
+  const id = useId()
+
+  const updateColumn = (columnId, changes) => {
+    onChange(
+      value.map((column) =>
+        column.id === columnId ? { ...column, ...changes } : column
+      )
+    )
+  }
+
+  /**
+   * Done の直前に列を追加する
+   */
+  const addColumn = () => {
+    const doneIndex = value.findIndex((column) => column.id === DONE_COLUMN_ID)
+    const next = [...value]
+    next.splice(doneIndex, 0, {
+      id: createColumnId(),
+      title: '',
+      wipLimit: null,
+    })
+    onChange(next)
+  }
+
+  return (
+    <fieldset className="edit_list__form_field">
+      <legend className="edit_list__form_label">Board columns</legend>
+      <ul className="board_columns_field">
+        {value.map((column, index) => (
+          <li key={column.id} className="board_columns_field__row">
+            <input
+              type="text"
+              className="app_input board_columns_field__title"
+              aria-label={`${index + 1}番目の列の名前`}
+              placeholder="Review"
+              value={column.title}
+              required
+              disabled={disabled}
+              onChange={(e) => updateColumn(column.id, { title: e.target.value })}
+            />
+            <label className="board_columns_field__wip">
+              WIP
+              <input
+                type="number"
+                className="app_input board_columns_field__wip_input"
+                min={1}
+                placeholder="∞"
+                value={column.wipLimit ?? ''}
+                disabled={disabled}
+                onChange={(e) =>
+                  updateColumn(column.id, { wipLimit: e.target.value })
+                }
+              />
+            </label>
+            <button
+              type="button"
+              className="board_columns_field__remove"
+              aria-label={`列「${column.title}」を削除`}
+              disabled={disabled || isFixedColumn(column.id)}
+              onClick={() =>
+                onChange(value.filter((c) => c.id !== column.id))
+              }
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="app_button board_columns_field__add"
+        data-variant="secondary"
+        disabled={disabled}
+        onClick={addColumn}
+        aria-describedby={`${id}-hint`}
+      >
+        Add column
+      </button>
+      <p id={`${id}-hint`} className="board_columns_field__hint">
+        To do と Done の間に列を追加できます。WIP上限を超えると列に警告を表示します
+      </p>
+    </fieldset>
+  )
+}
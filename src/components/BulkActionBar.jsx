@@ -0,0 +1,189 @@
+import { useCallback, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { bulkTaskAction } from '~/store/task'
+import { LimitPicker } from '~/components/LimitPicker'
+import { parseLimitText } from '~/utils/dateUtils'
+import './BulkActionBar.css'
+
+/**
+ * BulkActionBar - 選択中のタスクへの一括操作バー
+ *
+ * 【機能】
+ * - 全選択/選択解除
+ * - 選択したタスクをまとめて 完了 / 未完了に戻す / 期限変更 / 別リストへ移動 / 削除
+ * - 一部のタスクが失敗した場合は、タスクごとにエラーを表示し、失敗したものだけ選択したままにする
+ *
+ * 【受け取るもの】
+ * @param {string} listId - 表示中のリストID（移動先の候補から除く）
+ * @param {string[]} selectedIds - 選択中のタスクID
+ * @param {number} totalCount - 表示中のタスク数（全選択の判定に使う）
+ * @param {function} onSelectAll - 全選択する処理
+ * @param {function} onClearSelection - 選択を解除する処理
+ * @param {function} onSettled - 一括操作が終わった時の処理（引数: 失敗したタスクIDの配列）
+ *
+ * 【返すもの】
+ * - 一括操作バーのHTML要素
+ */
+export const BulkActionBar = ({
+  listId,
+  selectedIds,
+  totalCount,
+  onSelectAll,
+  onClearSelection,
+  onSettled,
+}) => {
+  const dispatch = useDispatch()
+
+  const lists = useSelector((state) => state.list.lists)
+
+  // 状態管理
+  const [isRunning, setIsRunning] = useState(false)
+  const [failures, setFailures] = useState([])
+  const [isLimitPickerOpen, setIsLimitPickerOpen] = useState(false)
+
+  const selectedCount = selectedIds.length
+  const isAllSelected = totalCount > 0 && selectedCount === totalCount
+
+  /**
+   * 一括操作を実行する
+   * @param {object} options - bulkTaskAction に渡す action / limit / toListId
+   */
+  const run = useCallback(
+    (options) => {
+      if (selectedCount === 0) return
+
+      setIsRunning(true)
+      setFailures([])
+
+      void dispatch(bulkTaskAction({ ids: selectedIds, ...options }))
+        .unwrap()
+        .then((nextFailures) => {
+          setFailures(nextFailures)
+          onSettled?.(nextFailures.map((failure) => failure.id))
+        })
+        .finally(() => {
+          setIsRunning(false)
+        })
+    },
+    [selectedIds, selectedCount, dispatch, onSettled]
+  )
+
+  /**
+   * 期限設定ピッカーで確定した時の処理
+   * @param {string} jpText - スラッシュ形式の日時（設定したタイムゾーン）。空文字なら期限をクリア
+   */
+  const handleConfirmLimit = useCallback(
+    (jpText) => {
+      run({ action: 'redate', limit: parseLimitText(jpText) })
+    },
+    [run]
+  )
+
+  /**
+   * 移動先のリストを選んだ時の処理
+   */
+  const handleMove = useCallback(
+    (event) => {
+      const toListId = event.target.value
+      if (!toListId) return
+
+      run({ action: 'move', toListId })
+    },
+    [run]
+  )
+
+  const isDisabled = isRunning || selectedCount === 0
+
+  return (
+    <div className="bulk_action_bar">
+      <div className="bulk_action_bar__row">
+        {/* 全選択チェックボックス */}
+        <label className="bulk_action_bar__select_all">
+          <input
+            type="checkbox"
+            checked={isAllSelected}
+            onChange={() => (isAllSelected ? onClearSelection() : onSelectAll())}
+          />
+          {selectedCount}件選択中
+        </label>
+
+        <div className="bulk_action_bar__spacer" aria-hidden />
+
+        {/* 一括操作ボタン */}
+        <button
+          type="button"
+          className="bulk_action_bar__button"
+          disabled={isDisabled}
+          onClick={() => run({ action: 'complete' })}
+        >
+          完了
+        </button>
+        <button
+          type="button"
+          className="bulk_action_bar__button"
+          disabled={isDisabled}
+          onClick={() => run({ action: 'reopen' })}
+        >
+          未完了に戻す
+        </button>
+        <button
+          type="button"
+          className="bulk_action_bar__button"
+          disabled={isDisabled}
+          onClick={() => setIsLimitPickerOpen(true)}
+        >
+          期限変更
+        </button>
+        <select
+          className="bulk_action_bar__move"
+          value=""
+          disabled={isDisabled}
+          onChange={handleMove}
+          aria-label="移動先のリスト"
+        >
+          <option value="">移動...</option>
+          {lists
+            ?.filter((list) => list.id !== listId)
+            .map((list) => (
+              <option key={list.id} value={list.id}>
+                {list.title}
+              </option>
+            ))}
+        </select>
+        <button
+          type="button"
+          className="bulk_action_bar__button"
+          data-variant="danger"
+          disabled={isDisabled}
+          onClick={() => run({ action: 'delete' })}
+        >
+          削除
+        </button>
+      </div>
+
+      {/* 実行中の表示 */}
+      {isRunning && (
+        <p className="bulk_action_bar__status">{selectedCount}件を処理中...</p>
+      )}
+
+      {/* 失敗したタスクの一覧 */}
+      {failures.length > 0 && (
+        <ul className="bulk_action_bar__failures" role="alert">
+          {failures.map((failure) => (
+            <li key={failure.id}>
+              「{failure.title}」: {failure.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* 期限設定ピッカーモーダル */}
+      <LimitPicker
+        isOpen={isLimitPickerOpen}
+        onClose={() => setIsLimitPickerOpen(false)}
+        defaultLimitText=""
+        onConfirm={handleConfirmLimit}
+      />
+    </div>
+  )
+}
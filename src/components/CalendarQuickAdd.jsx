@@ -0,0 +1,126 @@
+import { useCallback, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { createTask } from '~/store/task'
+import { selectOrderedLists } from '~/store/order'
+import { useId } from '~/hooks/useId'
+import { datePartsToISO } from '~/utils/calendar'
+import './CalendarQuickAdd.css'
+
+// 時刻を指定しなかった場合の期限の時刻（自然な言い回しの期限と同じ18時）
+const DEFAULT_TIME = '18:00'
+
+/**
+ * CalendarQuickAdd - カレンダーの日付に、その日が期限のタスクをすぐに追加するフォーム
+ *
+ * 【機能】
+ * - タイトルと時刻（既定は18:00）を入力して、その日が期限のタスクを作成
+ * - 追加先のリストを選択（listIdを指定した場合はそのリストに追加）
+ * - Escで閉じる
+ *
+ * 【受け取るもの】
+ * @param {string} dateKey - 期限の日付（'YYYY-MM-DD'、設定したタイムゾーン）
+ * @param {string|null} listId - 追加先のリストID（nullの場合は選択欄を表示）
+ * @param {function} onClose - フォームを閉じる処理
+ * @param {function} onError - 作成に失敗した時の処理（引数: エラーメッセージ）
+ *
+ * 【返すもの】
+ * - フォームのHTML要素
+ */
+export const CalendarQuickAdd = ({ dateKey, listId, onClose, onError }) => {
+  const dispatch = useDispatch()
+  const id = useId()
+
+  const lists = useSelector(selectOrderedLists) ?? []
+
+  const [title, setTitle] = useState('')
+  const [time, setTime] = useState(DEFAULT_TIME)
+  const [toListId, setToListId] = useState(listId ?? lists[0]?.id ?? '')
+
+  /**
+   * フォーム送信時の処理
+   * （一覧には仮IDで即座に表示されるため、結果を待たずに閉じる）
+   */
+  const onSubmit = useCallback(
+    (event) => {
+      event.preventDefault()
+      if (!title.trim() || !toListId) return
+
+      void dispatch(
+        createTask({
+          listId: toListId,
+          title,
+          detail: '',
+          done: false,
+          limit: datePartsToISO(dateKey, time || DEFAULT_TIME),
+        })
+      )
+        .unwrap()
+        .catch((err) => onError?.(err.message))
+
+      onClose?.()
+    },
+    [title, time, toListId, dateKey, onClose, onError, dispatch]
+  )
+
+  return (
+    <form
+      className="calendar_quick_add"
+      onSubmit={onSubmit}
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation()
+          onClose?.()
+        }
+      }}
+    >
+      <input
+        type="text"
+        className="app_input calendar_quick_add__title"
+        placeholder="New task..."
+        aria-label={`${dateKey} が期限のタスク`}
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        autoFocus
+        required
+      />
+      <div className="calendar_quick_add__row">
+        <input
+          type="time"
+          className="app_input calendar_quick_add__time"
+          aria-label="時刻"
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+        />
+        {!listId && (
+          <select
+            id={`${id}-list`}
+            className="app_input calendar_quick_add__list"
+            aria-label="追加先のリスト"
+            value={toListId}
+            onChange={(e) => setToListId(e.target.value)}
+          >
+            {lists.map((list) => (
+              <option key={list.id} value={list.id}>
+                {list.title}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="calendar_quick_add__actions">
+        <button
+          type="button"
+          className="app_button"
+          data-variant="secondary"
+          onClick={onClose}
+        >
+          Cancel
+        </button>
+        <button type="submit" className="app_button" disabled={!title.trim()}>
+          Add
+        </button>
+      </div>
+    </form>
+  )
+}
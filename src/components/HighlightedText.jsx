@@ -0,0 +1,37 @@
+import './HighlightedText.css'
+
+/**
+ * HighlightedText - 文字列の一部を強調して表示する
+ *
+ * 【機能】
+ * - rangesで指定した範囲を<mark>で囲む（検索結果の一致箇所など）
+ *
+ * 【受け取るもの】
+ * @param {string} text - 表示する文字列
+ * @param {Array<[number, number]>} ranges - 強調する範囲 [開始, 終了) の配列（昇順・重なりなし）
+ *
+ * 【返すもの】
+ * - 強調を含むテキスト
+ */
+export const HighlightedText = ({ text, ranges = [] }) => {
+  const parts = []
+  let cursor = 0
+
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push(text.slice(cursor, start))
+    }
+    parts.push(
+      <mark key={start} className="highlighted_text__mark">
+        {text.slice(start, end)}
+      </mark>
+    )
+    cursor = end
+  })
+
+  if (cursor < text.length) {
+    parts.push(text.slice(cursor))
+  }
+
+  return <>{parts}</>
+}
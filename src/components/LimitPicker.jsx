@@ -1,16 +1,59 @@
-import { useCallback, useEffect, useMemo, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useSelector } from 'react-redux'
 import { Modal } from '~/components/ui/Modal'
 import { FormActions } from '~/components/ui/FormActions'
 import './LimitPicker.css'
-import parseLimitText from '~/utils/parseLimitText'
+import { formatISOToJapanese, parseLimitText } from '~/utils/dateUtils'
+import {
+  WEEKDAY_LABELS,
+  addDays,
+  addMonths,
+  addMonthsToDateKey,
+  datePartsToISO,
+  formatDateKey,
+  isoToDateParts,
+  monthWeeks,
+  parseTimeText,
+  timeOptions as getTimeOptions,
+  toDateKey,
+  todayDateKey,
+  weekStartKey,
+} from '~/utils/calendar'
+import {
+  LIMIT_OFFSETS,
+  resolveLimitPresets,
+  shiftDateParts,
+} from '~/utils/limitPresets'
+import { useId } from '~/hooks/useId'
+import { useNow } from '~/hooks/useNow'
+
+/**
+ * 日付グリッドでのキー操作と、移動先の日付の対応
+ * （WAI-ARIA の日付選択ダイアログのキー操作に合わせる）
+ */
+const GRID_KEY_MOVES = {
+  ArrowLeft: (key) => addDays(key, -1),
+  ArrowRight: (key) => addDays(key, 1),
+  ArrowUp: (key) => addDays(key, -7),
+  ArrowDown: (key) => addDays(key, 7),
+  Home: (key) => weekStartKey(key),
+  End: (key) => addDays(weekStartKey(key), 6),
+  PageUp: (key, shiftKey) => addMonthsToDateKey(key, shiftKey ? -12 : -1),
+  PageDown: (key, shiftKey) => addMonthsToDateKey(key, shiftKey ? 12 : 1),
+}
 
 /**
  * LimitPicker - 期限設定ピッカー（カレンダー + 時刻選択）
  *
  * 【機能】
  * - カレンダー表示（月単位で前月/次月ボタンで移動）
- * - 日付選択（クリックで日を選択）
- * - 時刻選択（30分単位のドロップダウン）
+ * - よく使う期限のプリセット（ワンクリックで確定。表示するものと時刻は設定画面の勤務時間で決まる）
+ * - 日付選択（クリック、またはキー操作で日を選択）
+ *   - 矢印キーで日・週、PageUp/PageDownで月（Shiftを押すと年）、Home/Endで週の始め/終わりへ移動
+ *   - Enter/Spaceで選択し、選択した日付を読み上げる
+ * - 今日の日付に印を付け、過去の日付・日時は分かるように表示する
+ * - 時刻入力（1分単位で入力でき、30分単位の時刻を候補として表示）
+ * - 選択中の日時を +1時間 / +1日 / +1週 ずらすボタン
  * - Confirmボタンでスラッシュ形式（YYYY/M/D H:MM）を親に渡す
  * - Clearボタンで期限をクリア（空文字を親に渡す）
  *
@@ -24,44 +67,44 @@ import parseLimitText from '~/utils/parseLimitText'
  * - モーダルのHTML要素
  */
 export const LimitPicker = ({ isOpen, onClose, defaultLimitText, onConfirm }) => {
-  // 状態管理
-  const [year, setYear] = useState(new Date().getFullYear())
-  const [month, setMonth] = useState(new Date().getMonth() + 1) // 1-12
+  const id = useId()
+  const now = useNow()
+  const todayKey = todayDateKey(now)
+  const workingHours = useSelector((state) => state.settings.workingHours)
+  const limitPresetIds = useSelector((state) => state.settings.limitPresetIds)
+
+  // 状態管理（年月の初期値は、設定したタイムゾーンでの今日）
+  const [year, setYear] = useState(() => Number(todayDateKey().slice(0, 4)))
+  const [month, setMonth] = useState(() => Number(todayDateKey().slice(5, 7))) // 1-12
   const [selectedDate, setSelectedDate] = useState(null) // YYYY-MM-DD 形式
-  const [selectedTime, setSelectedTime] = useState(null) // HH:MM 形式
+  const [timeText, setTimeText] = useState('') // 時刻の入力欄の文字列
+  // キー操作で移動中の日付（YYYY-MM-DD 形式）
+  const [focusedDate, setFocusedDate] = useState(null)
+  // スクリーンリーダーに読み上げる内容
+  const [announcement, setAnnouncement] = useState('')
+
+  const gridRef = useRef(null)
+  // キー操作で日付を移動した後、描画が終わってからフォーカスを移すための印
+  const shouldFocusRef = useRef(false)
+
+  // 入力された時刻（HH:MM 形式）。正しくない入力ならnull
+  const selectedTime = useMemo(() => parseTimeText(timeText), [timeText])
+  const isTimeInvalid = timeText.trim() !== '' && selectedTime === null
 
   /**
    * 初期値をパースして日付と時刻に分解
-   * スラッシュ形式（JST）またはISO形式（UTC）から内部形式に変換
+   * スラッシュ形式（設定したタイムゾーン）またはISO形式（UTC）から内部形式に変換
    * @param {string} text - 期限文字列
    * @returns {object} - { date: 'YYYY-MM-DD', time: 'HH:MM' } または null
    */
   const parseDefault = useCallback((text) => {
     if (!text) return { date: null, time: null }
 
-    // スラッシュ形式や日本語形式をISO形式（UTC）に変換
-    const iso = parseLimitText(text)
-    if (!iso) return { date: null, time: null }
+    // スラッシュ形式や日本語形式をISO形式（UTC）に変換し、設定したタイムゾーンの日付と時刻に分ける
+    const parts = isoToDateParts(parseLimitText(text))
+    if (!parts) return { date: null, time: null }
 
-    try {
-      // ISO文字列（UTC）をDateオブジェクトに変換
-      const utcDate = new Date(iso)
-
-      // 日本時間（UTC+9）に変換
-      const jstDate = new Date(utcDate.getTime() + 9 * 60 * 60 * 1000)
-
-      // 日付と時刻を抽出（UTCメソッドを使って、JSTとして調整済みの値を取得）
-      const yyyy = String(jstDate.getUTCFullYear())
-      const mm = String(jstDate.getUTCMonth() + 1).padStart(2, '0')
-      const dd = String(jstDate.getUTCDate()).padStart(2, '0')
-      const hh = String(jstDate.getUTCHours()).padStart(2, '0')
-      const mi = String(jstDate.getUTCMinutes()).padStart(2, '0')
-
-      return { date: `${yyyy}-${mm}-${dd}`, time: `${hh}:${mi}` }
-    } catch (error) {
-      console.error('Failed to parse limit text:', error)
-      return { date: null, time: null }
-    }
+    return parts
   }, [])
 
   /**
@@ -82,107 +125,112 @@ export const LimitPicker = ({ isOpen, onClose, defaultLimitText, onConfirm }) =>
       setSelectedDate(date)
     } else {
       // 期限がない場合は現在の年月を表示
-      const now = new Date()
-      setYear(now.getFullYear())
-      setMonth(now.getMonth() + 1)
+      const [y, m] = todayDateKey().split('-').map(Number)
+      setYear(y)
+      setMonth(m)
       setSelectedDate(null)
     }
 
-    setSelectedTime(time)
+    setTimeText(time ?? '')
+    setFocusedDate(date)
+    setAnnouncement('')
   }, [isOpen, defaultLimitText, parseDefault])
 
   /**
-   * 選択中の年月の日数を計算
-   * 例: 2025年2月 → 28日
+   * カレンダーの週ごとの日付（日曜始まり。前後の月の日は空白にする）
    */
-  const daysInMonth = useMemo(() => {
-    return new Date(year, month, 0).getDate()
-  }, [year, month])
+  const weeks = useMemo(() => monthWeeks(year, month), [year, month])
 
   /**
-   * 選択中の月の1日が何曜日か計算
-   * 0=日曜日, 1=月曜日, ..., 6=土曜日
+   * Tabキーでフォーカスできる日付（グリッドの中で1つだけ）
+   * 移動中の日付 → 選択中の日付 → 今日 → 1日 の順に、表示中の月にあるものを使う
    */
-  const firstDayOfWeek = useMemo(() => {
-    return new Date(year, month - 1, 1).getDay()
-  }, [year, month])
+  const tabbableDate = useMemo(() => {
+    const monthPrefix = toDateKey(year, month, 1).slice(0, 8)
+    return (
+      [focusedDate, selectedDate, todayKey].find((key) =>
+        key?.startsWith(monthPrefix)
+      ) ?? toDateKey(year, month, 1)
+    )
+  }, [year, month, focusedDate, selectedDate, todayKey])
 
   /**
-   * カレンダーの日付配列を生成
-   * 先頭に空白（null）を追加して曜日を揃える
-   * 例: [null, null, 1, 2, 3, ...]（1日が火曜日の場合）
+   * キー操作で日付を移動した後、移動先の日付にフォーカスを移す
    */
-  const calendarDays = useMemo(() => {
-    const days = []
-
-    // 月の最初の曜日まで空白を追加
-    for (let i = 0; i < firstDayOfWeek; i++) {
-      days.push(null)
-    }
-
-    // 1日から月末まで追加
-    for (let d = 1; d <= daysInMonth; d++) {
-      days.push(d)
-    }
+  useEffect(() => {
+    if (!shouldFocusRef.current) return
 
-    return days
-  }, [firstDayOfWeek, daysInMonth])
+    shouldFocusRef.current = false
+    gridRef.current
+      ?.querySelector(`[data-date="${tabbableDate}"]`)
+      ?.focus()
+  }, [tabbableDate])
 
   /**
-   * 前月ボタンをクリックした時の処理
-   * 1月の場合は前年の12月に移動
+   * 前月・次月ボタンをクリックした時の処理（年をまたぐ場合は年も変わる）
+   * @param {number} delta - 移動する月数（-1 または 1）
    */
-  const handlePrevMonth = useCallback(() => {
-    if (month === 1) {
-      setYear(year - 1)
-      setMonth(12)
-    } else {
-      setMonth(month - 1)
-    }
-  }, [year, month])
+  const moveMonth = useCallback(
+    (delta) => {
+      const next = addMonths(year, month, delta)
+      setYear(next.year)
+      setMonth(next.month)
+    },
+    [year, month]
+  )
 
   /**
-   * 次月ボタンをクリックした時の処理
-   * 12月の場合は翌年の1月に移動
+   * 日付を移動する（別の月の日付なら、その月を表示する）
+   * @param {string} dateKey - 移動先の日付（YYYY-MM-DD 形式）
    */
-  const handleNextMonth = useCallback(() => {
-    if (month === 12) {
-      setYear(year + 1)
-      setMonth(1)
-    } else {
-      setMonth(month + 1)
-    }
-  }, [year, month])
+  const moveFocus = useCallback((dateKey) => {
+    const [y, m] = dateKey.split('-').map(Number)
+    setYear(y)
+    setMonth(m)
+    setFocusedDate(dateKey)
+    shouldFocusRef.current = true
+  }, [])
 
   /**
-   * カレンダーの日付をクリックした時の処理
-   * @param {number} day - クリックされた日（1〜31）
+   * 日付グリッドでのキー操作
+   * @param {string} dateKey - キー操作を受けた日付（YYYY-MM-DD 形式）
    */
-  const handleDateClick = useCallback(
-    (day) => {
-      const mm = String(month).padStart(2, '0')
-      const dd = String(day).padStart(2, '0')
-      setSelectedDate(`${year}-${mm}-${dd}`)
+  const handleGridKeyDown = useCallback(
+    (event, dateKey) => {
+      const move = GRID_KEY_MOVES[event.key]
+      if (!move) return
+
+      event.preventDefault()
+      const next = move(dateKey, event.shiftKey)
+      if (next !== dateKey) moveFocus(next)
     },
-    [year, month]
+    [moveFocus]
   )
 
   /**
-   * 時刻選択のオプション一覧を生成（30分単位）
-   * 例: ['00:00', '00:30', '01:00', ..., '23:30']
+   * カレンダーの日付をクリック（Enter/Space）した時の処理
+   * @param {string} dateKey - 選択された日付（YYYY-MM-DD 形式）
    */
-  const timeOptions = useMemo(() => {
-    const opts = []
-    for (let h = 0; h < 24; h++) {
-      for (let m of [0, 30]) {
-        const hh = String(h).padStart(2, '0')
-        const mm = String(m).padStart(2, '0')
-        opts.push(`${hh}:${mm}`)
-      }
-    }
-    return opts
+  const handleDateClick = useCallback((dateKey) => {
+    setSelectedDate(dateKey)
+    setFocusedDate(dateKey)
+    setAnnouncement(`${formatDateKey(dateKey)}を選択しました`)
   }, [])
 
+  /**
+   * 時刻の候補一覧（30分単位）
+   * 例: ['00:00', '00:30', '01:00', ..., '23:30']
+   */
+  const timeOptions = useMemo(() => getTimeOptions(), [])
+
+  /**
+   * 時刻の入力欄からフォーカスが外れた時に、HH:MM 形式にそろえる
+   * 例: "930" → "09:30"
+   */
+  const handleTimeBlur = useCallback(() => {
+    if (selectedTime) setTimeText(selectedTime)
+  }, [selectedTime])
+
   /**
    * Confirmボタンが有効かどうか判定
    * 日付と時刻の両方が選択されている場合のみ有効
@@ -191,40 +239,67 @@ export const LimitPicker = ({ isOpen, onClose, defaultLimitText, onConfirm }) =>
     return selectedDate && selectedTime
   }, [selectedDate, selectedTime])
 
+  // 選択中の日時が過去かどうか
+  const isPastLimit = useMemo(
+    () =>
+      Boolean(canSubmit) &&
+      new Date(datePartsToISO(selectedDate, selectedTime)) < now,
+    [canSubmit, selectedDate, selectedTime, now]
+  )
+
   /**
-   * 内部形式（YYYY-MM-DD HH:MM）をスラッシュ形式（YYYY/M/D H:MM）に変換
-   * @param {string} dateStr - 'YYYY-MM-DD' 形式の日付
-   * @param {string} timeStr - 'HH:MM' 形式の時刻
-   * @returns {string} - 'YYYY/M/D H:MM' 形式の文字列
+   * 日時をスラッシュ形式で親コンポーネントに渡して閉じる
+   * （期限の入力欄と同じ書式にするため、一度ISO形式にしてから変換する）
    */
-  const toJpText = useCallback((dateStr, timeStr) => {
-    if (!dateStr || !timeStr) return ''
-
-    const m = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/)
-    const t = timeStr.match(/^(\d{2}):(\d{2})$/)
-    if (!m || !t) return ''
-
-    const yyyy = m[1]
-    const M = String(Number(m[2])) // 先頭ゼロを除去
-    const D = String(Number(m[3])) // 先頭ゼロを除去
-    const H = String(Number(t[1])) // 先頭ゼロを除去
-    const Mi = t[2] // 分は先頭ゼロを保持
-
-    // YYYY/M/D H:MM 形式で返す
-    return `${yyyy}/${M}/${D} ${H}:${Mi}`
-  }, [])
+  const confirmDateParts = useCallback(
+    (date, time) => {
+      onConfirm?.(formatISOToJapanese(datePartsToISO(date, time)))
+      onClose?.()
+    },
+    [onConfirm, onClose]
+  )
 
   /**
    * Confirmボタンをクリックした時の処理
-   * 選択した日時をスラッシュ形式で親コンポーネントに渡す
+   * 選択した日時を親コンポーネントに渡す
    */
   const handleConfirm = useCallback(() => {
     if (!canSubmit) return
 
-    const jp = toJpText(selectedDate, selectedTime)
-    onConfirm?.(jp)
-    onClose?.()
-  }, [canSubmit, selectedDate, selectedTime, toJpText, onConfirm, onClose])
+    confirmDateParts(selectedDate, selectedTime)
+  }, [canSubmit, selectedDate, selectedTime, confirmDateParts])
+
+  /**
+   * 表示するプリセット（既に過ぎたものは選べないようにする）
+   */
+  const presets = useMemo(
+    () => resolveLimitPresets(limitPresetIds, workingHours, now),
+    [limitPresetIds, workingHours, now]
+  )
+
+  /**
+   * +1時間などのボタンをクリックした時の処理
+   * 選択中の日時（未選択の部分は現在の日時）をずらして選択する
+   * @param {string} offsetId - LIMIT_OFFSETS のID
+   */
+  const handleOffset = useCallback(
+    (offsetId) => {
+      const current = isoToDateParts(now.toISOString())
+      const { date, time } = shiftDateParts(
+        { date: selectedDate ?? current.date, time: selectedTime ?? current.time },
+        offsetId
+      )
+      const [y, m] = date.split('-').map(Number)
+
+      setYear(y)
+      setMonth(m)
+      setSelectedDate(date)
+      setFocusedDate(date)
+      setTimeText(time)
+      setAnnouncement(`${formatDateKey(date)} ${time}にしました`)
+    },
+    [now, selectedDate, selectedTime]
+  )
 
   /**
    * Clearボタンをクリックした時の処理
@@ -232,14 +307,11 @@ export const LimitPicker = ({ isOpen, onClose, defaultLimitText, onConfirm }) =>
    */
   const handleClear = useCallback(() => {
     setSelectedDate(null)
-    setSelectedTime(null)
+    setTimeText('')
     onConfirm?.('')
     onClose?.()
   }, [onConfirm, onClose])
 
-  // 現在選択されている日（1〜31）を取得
-  const selectedDay = selectedDate ? Number(selectedDate.split('-')[2]) : null
-
   return (
     <Modal isOpen={isOpen} onClose={onClose} titleId="limit-picker-title">
       {/* モーダルヘッダー（タイトルと閉じるボタン） */}
@@ -259,84 +331,193 @@ export const LimitPicker = ({ isOpen, onClose, defaultLimitText, onConfirm }) =>
 
       {/* ピッカー本体 */}
       <div className="limit_picker__body">
+        {/* 期限のプリセット（クリックするとそのまま確定する） */}
+        {presets.length > 0 && (
+          <div
+            className="limit_picker__presets"
+            role="group"
+            aria-label="よく使う期限"
+          >
+            {presets.map((preset) => (
+              <button
+                key={preset.id}
+                type="button"
+                className="limit_picker__preset"
+                title={formatISOToJapanese(
+                  datePartsToISO(preset.date, preset.time)
+                )}
+                disabled={preset.isPast}
+                onClick={() => confirmDateParts(preset.date, preset.time)}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* カレンダーヘッダー（前月・次月ボタンと年月表示） */}
         <div className="limit_picker__calendar_header">
           <button
             type="button"
-            onClick={handlePrevMonth}
+            onClick={() => moveMonth(-1)}
             className="limit_picker__nav_button"
+            aria-label="前の月"
           >
             &lt;
           </button>
-          <div className="limit_picker__month_label">
+          <div
+            id={`${id}-month`}
+            className="limit_picker__month_label"
+            aria-live="polite"
+          >
             {month}月 {year}
           </div>
           <button
             type="button"
-            onClick={handleNextMonth}
+            onClick={() => moveMonth(1)}
             className="limit_picker__nav_button"
+            aria-label="次の月"
           >
             &gt;
           </button>
         </div>
 
         {/* カレンダー本体（曜日ヘッダーと日付グリッド） */}
-        <div className="limit_picker__calendar">
+        <div
+          ref={gridRef}
+          role="grid"
+          className="limit_picker__calendar"
+          aria-labelledby={`${id}-month`}
+          aria-describedby={`${id}-grid-help`}
+        >
           {/* 曜日ヘッダー */}
-          <div className="limit_picker__weekday">日</div>
-          <div className="limit_picker__weekday">月</div>
-          <div className="limit_picker__weekday">火</div>
-          <div className="limit_picker__weekday">水</div>
-          <div className="limit_picker__weekday">木</div>
-          <div className="limit_picker__weekday">金</div>
-          <div className="limit_picker__weekday">土</div>
+          <div role="row" className="limit_picker__week">
+            {WEEKDAY_LABELS.map((label) => (
+              <div
+                key={label}
+                role="columnheader"
+                className="limit_picker__weekday"
+                aria-label={`${label}曜日`}
+              >
+                {label}
+              </div>
+            ))}
+          </div>
 
           {/* 日付グリッド */}
-          {calendarDays.map((day, idx) => {
-            // 空白セル（月の開始前）
-            if (day === null) {
-              return <div key={idx} className="limit_picker__day_empty"></div>
-            }
-
-            // 選択中の日付かどうか判定
-            const isSelected =
-              day === selectedDay &&
-              selectedDate &&
-              selectedDate.startsWith(
-                `${year}-${String(month).padStart(2, '0')}`
-              )
-
-            // 日付ボタン
-            return (
-              <button
-                key={idx}
-                type="button"
-                className={`limit_picker__day ${
-                  isSelected ? 'limit_picker__day--selected' : ''
-                }`}
-                onClick={() => handleDateClick(day)}
-              >
-                {day}
-              </button>
-            )
-          })}
+          {weeks.map((week) => (
+            <div key={week[0].dateKey} role="row" className="limit_picker__week">
+              {week.map(({ dateKey, day, isCurrentMonth }) => {
+                // 空白セル（前後の月の日）
+                if (!isCurrentMonth) {
+                  return (
+                    <div
+                      key={dateKey}
+                      role="gridcell"
+                      className="limit_picker__day_empty"
+                    ></div>
+                  )
+                }
+
+                const isSelected = selectedDate === dateKey
+                const isToday = dateKey === todayKey
+                const isPast = dateKey < todayKey
+
+                // 日付ボタン（今日・過去の日付は読み上げにも含める）
+                return (
+                  <button
+                    key={dateKey}
+                    type="button"
+                    role="gridcell"
+                    className={`limit_picker__day ${
+                      isSelected ? 'limit_picker__day--selected' : ''
+                    }`}
+                    data-date={dateKey}
+                    data-today={isToday || undefined}
+                    data-past={isPast || undefined}
+                    tabIndex={dateKey === tabbableDate ? 0 : -1}
+                    aria-selected={isSelected}
+                    aria-current={isToday ? 'date' : undefined}
+                    aria-label={`${formatDateKey(dateKey)}${
+                      isToday ? '、今日' : ''
+                    }${isPast ? '、過去の日付' : ''}`}
+                    onClick={() => handleDateClick(dateKey)}
+                    onKeyDown={(event) => handleGridKeyDown(event, dateKey)}
+                    onFocus={() => setFocusedDate(dateKey)}
+                  >
+                    {day}
+                  </button>
+                )
+              })}
+            </div>
+          ))}
         </div>
 
-        {/* 時刻選択セクション */}
+        {/* 操作方法と状況（スクリーンリーダー向け） */}
+        <p id={`${id}-grid-help`} className="visually_hidden">
+          矢印キーで日付を移動し、Enterで選択します。PageUp/PageDownで前月・次月、
+          Home/Endで週の始め・終わりに移動します。今日は{formatDateKey(todayKey)}
+          です。
+          {selectedDate && `選択中の日付は${formatDateKey(selectedDate)}です。`}
+        </p>
+        <div className="visually_hidden" aria-live="polite">
+          {announcement}
+        </div>
+
+        {/* 時刻入力セクション（30分単位の時刻を候補として表示） */}
         <div className="limit_picker__time_section">
-          <div className="limit_picker__time_label">時間</div>
-          <select
-            className="limit_picker__time_select"
-            value={selectedTime || ''}
-            onChange={(e) => setSelectedTime(e.target.value)}
-          >
-            <option value="">--:--</option>
+          <label htmlFor={`${id}-time`} className="limit_picker__time_label">
+            時間
+          </label>
+          <input
+            id={`${id}-time`}
+            type="text"
+            inputMode="numeric"
+            autoComplete="off"
+            className="limit_picker__time_input"
+            placeholder="HH:MM"
+            list={`${id}-time-options`}
+            value={timeText}
+            aria-invalid={isTimeInvalid}
+            aria-describedby={`${id}-time-message`}
+            onChange={(e) => setTimeText(e.target.value)}
+            onBlur={handleTimeBlur}
+          />
+          <datalist id={`${id}-time-options`}>
             {timeOptions.map((t) => (
-              <option key={t} value={t}>
-                {t}
-              </option>
+              <option key={t} value={t} />
             ))}
-          </select>
+          </datalist>
+        </div>
+        <p
+          id={`${id}-time-message`}
+          className="limit_picker__time_message"
+          data-variant={isTimeInvalid ? 'error' : isPastLimit ? 'past' : undefined}
+          aria-live="polite"
+        >
+          {isTimeInvalid
+            ? '時刻は 9:30 や 18:05 のように入力してください'
+            : isPastLimit
+              ? '過去の日時です'
+              : ''}
+        </p>
+
+        {/* 選択中の日時をずらすボタン */}
+        <div
+          className="limit_picker__offsets"
+          role="group"
+          aria-label="選択中の日時をずらす"
+        >
+          {LIMIT_OFFSETS.map((offset) => (
+            <button
+              key={offset.id}
+              type="button"
+              className="limit_picker__offset"
+              onClick={() => handleOffset(offset.id)}
+            >
+              {offset.label}
+            </button>
+          ))}
         </div>
       </div>
 
@@ -361,5 +542,3 @@ export const LimitPicker = ({ isOpen, onClose, defaultLimitText, onConfirm }) =>
 }
 
 export default LimitPicker
-
-
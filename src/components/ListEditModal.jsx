@@ -4,6 +4,11 @@ import { Modal } from '~/components/ui/Modal'
 import { AppTextField } from '~/components/ui/AppTextField'
 import { FormActions } from '~/components/ui/FormActions'
 import { updateList, deleteList, fetchLists } from '~/store/list'
+import { selectNewTaskPosition, setNewTaskPosition } from '~/store/order'
+import { selectBoardColumns, setBoardColumns } from '~/store/board'
+import { NEW_TASK_POSITIONS } from '~/utils/manualOrder'
+import { normalizeWipLimit } from '~/utils/board'
+import { BoardColumnsField } from '~/components/BoardColumnsField'
 import { useId } from '~/hooks/useId'
 
 /**
@@ -11,7 +16,9 @@ import { useId } from '~/hooks/useId'
  *
  * 【機能】
  * - リストの名前を編集
- * - リストを削除（確認ダイアログ付き）
+ * - 新しいタスクを一覧の先頭/末尾のどちらに追加するかを設定（このブラウザに保存）
+ * - ボード表示の列の名前・WIP上限を設定、列を追加・削除（このブラウザに保存）
+ * - リストを削除（削除後にトーストから取り消せる）
  * - Updateボタンで変更を保存
  * - Deleteボタンでリストを削除
  *
@@ -32,8 +39,17 @@ export const ListEditModal = ({ isOpen, onClose, listId }) => {
     state.list.lists?.find((l) => l.id === listId)
   )
 
+  const savedNewTaskPosition = useSelector((state) =>
+    selectNewTaskPosition(state, listId)
+  )
+  const savedColumns = useSelector((state) => selectBoardColumns(state, listId))
+
   // 状態管理
   const [title, setTitle] = useState('')
+  const [newTaskPosition, setNewTaskPositionValue] = useState(
+    savedNewTaskPosition
+  )
+  const [columns, setColumns] = useState(savedColumns)
   const [errorMessage, setErrorMessage] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
 
@@ -46,6 +62,16 @@ export const ListEditModal = ({ isOpen, onClose, listId }) => {
     void dispatch(fetchLists())
   }, [isOpen, dispatch])
 
+  /**
+   * モーダルが開いたときに、保存済みの追加位置と列の設定をフォームに反映
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setNewTaskPositionValue(savedNewTaskPosition)
+      setColumns(savedColumns)
+    }
+  }, [isOpen, savedNewTaskPosition, savedColumns])
+
   /**
    * リストデータが取得できたらフォームに反映
    */
@@ -64,6 +90,19 @@ export const ListEditModal = ({ isOpen, onClose, listId }) => {
       event.preventDefault()
       setIsSubmitting(true)
 
+      // 追加位置と列はこのブラウザだけの設定なので、APIを待たずに保存する
+      dispatch(setNewTaskPosition({ listId, position: newTaskPosition }))
+      dispatch(
+        setBoardColumns({
+          listId,
+          columns: columns.map((column) => ({
+            ...column,
+            title: column.title.trim(),
+            wipLimit: normalizeWipLimit(column.wipLimit),
+          })),
+        })
+      )
+
       void dispatch(updateList({ id: listId, title }))
         .unwrap()
         .then(() => {
@@ -78,19 +117,14 @@ export const ListEditModal = ({ isOpen, onClose, listId }) => {
           setIsSubmitting(false)
         })
     },
-    [listId, title, onClose, dispatch]
+    [listId, title, newTaskPosition, columns, onClose, dispatch]
   )
 
   /**
    * 削除ボタンをクリックした時の処理
-   * 確認ダイアログを表示してからリストを削除
+   * リストを削除（トーストまたはCtrl+Zで取り消せる）
    */
   const handleDelete = useCallback(() => {
-    // 削除前に確認
-    if (!window.confirm('Are you sure you want to delete this list?')) {
-      return
-    }
-
     setIsSubmitting(true)
 
     void dispatch(deleteList({ id: listId }))
@@ -147,6 +181,31 @@ export const ListEditModal = ({ isOpen, onClose, listId }) => {
           />
         </fieldset>
 
+        {/* 新しいタスクの追加位置 */}
+        <fieldset className="edit_list__form_field">
+          <label
+            htmlFor={`${id}-new-task-position`}
+            className="edit_list__form_label"
+          >
+            New tasks
+          </label>
+          <select
+            id={`${id}-new-task-position`}
+            className="app_input"
+            value={newTaskPosition}
+            onChange={(e) => setNewTaskPositionValue(e.target.value)}
+          >
+            {NEW_TASK_POSITIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </fieldset>
+
+        {/* ボード表示の列 */}
+        <BoardColumnsField value={columns} onChange={setColumns} />
+
         {/* ボタンエリア（Delete と Update） */}
         <FormActions
           buttons={[
@@ -0,0 +1,135 @@
+import { useMemo } from 'react'
+import { parseMarkdown } from '~/utils/markdown'
+import './Markdown.css'
+
+/**
+ * インラインの構文木をReactの要素にする
+ */
+const renderInline = (tokens) =>
+  tokens.map((token, idx) => {
+    switch (token.type) {
+      case 'code':
+        return <code key={idx}>{token.value}</code>
+      case 'strong':
+        return <strong key={idx}>{renderInline(token.children)}</strong>
+      case 'em':
+        return <em key={idx}>{renderInline(token.children)}</em>
+      case 'del':
+        return <del key={idx}>{renderInline(token.children)}</del>
+      case 'link':
+        return (
+          <a key={idx} href={token.href} target="_blank" rel="noopener noreferrer nofollow">
+            {renderInline(token.children)}
+          </a>
+        )
+      case 'br':
+        return <br key={idx} />
+      default:
+        return token.value
+    }
+  })
+
+/**
+ * Markdown - Markdownを表示する
+ *
+ * 【機能】
+ * - 見出し・リスト・コードブロック・引用・表・リンク（URLの自動リンク）などを表示
+ * - HTMLとしては解釈せずReactの要素として組み立てるため、本文中のタグはそのまま文字で表示される
+ *   （リンクは http / https / mailto のみ）
+ * - チェックリストの項目はチェックボックスとして表示し、onToggleTaskがあれば切り替えられる
+ *
+ * 【受け取るもの】
+ * @param {string} source - Markdownの文字列
+ * @param {function} onToggleTask - チェックボックスを切り替えた時の処理（引数: 行の位置, 新しい状態）
+ * @param {boolean} disabled - チェックボックスを操作できないようにするか
+ * @param {string} className - 追加のCSSクラス
+ *
+ * 【返すもの】
+ * - 表示用のHTML要素
+ */
+export const Markdown = ({ source, onToggleTask, disabled = false, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(source), [source])
+
+  const renderList = (list, key) => {
+    const Tag = list.ordered ? 'ol' : 'ul'
+
+    return (
+      <Tag key={key} start={list.ordered && list.start !== 1 ? list.start : undefined}>
+        {list.items.map((item, idx) => (
+          <li
+            key={idx}
+            className={item.checked !== null ? 'markdown__task_item' : undefined}
+            data-checked={item.checked ?? undefined}
+          >
+            {item.checked !== null && (
+              <input
+                type="checkbox"
+                className="markdown__task_checkbox"
+                checked={item.checked}
+                disabled={disabled || !onToggleTask || item.line === null}
+                onChange={() => onToggleTask?.(item.line, !item.checked)}
+              />
+            )}
+            {renderInline(item.children)}
+            {item.list && renderList(item.list, 'list')}
+          </li>
+        ))}
+      </Tag>
+    )
+  }
+
+  const renderBlocks = (items) =>
+    items.map((block, idx) => {
+      switch (block.type) {
+        case 'heading': {
+          const Tag = `h${block.level}`
+          return <Tag key={idx}>{renderInline(block.children)}</Tag>
+        }
+        case 'paragraph':
+          return <p key={idx}>{renderInline(block.children)}</p>
+        case 'code':
+          return (
+            <pre key={idx}>
+              <code data-lang={block.lang || undefined}>{block.text}</code>
+            </pre>
+          )
+        case 'list':
+          return renderList(block, idx)
+        case 'blockquote':
+          return <blockquote key={idx}>{renderBlocks(block.children)}</blockquote>
+        case 'table':
+          return (
+            <div key={idx} className="markdown__table_wrapper">
+              <table>
+                <thead>
+                  <tr>
+                    {block.header.map((cell, col) => (
+                      <th key={col} style={{ textAlign: block.align[col] ?? undefined }}>
+                        {renderInline(cell)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {block.rows.map((row, rowIdx) => (
+                    <tr key={rowIdx}>
+                      {row.map((cell, col) => (
+                        <td key={col} style={{ textAlign: block.align[col] ?? undefined }}>
+                          {renderInline(cell)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )
+        case 'hr':
+          return <hr key={idx} />
+        default:
+          return null
+      }
+    })
+
+  return <div className={['markdown', className].filter(Boolean).join(' ')}>{renderBlocks(blocks)}</div>
+}
@@ -0,0 +1,57 @@
+import { PRIORITIES } from '~/utils/priority'
+import './PriorityPicker.css'
+
+/**
+ * PriorityPicker - 優先度（P1〜P4）の選択
+ *
+ * 【機能】
+ * - 「なし」とP1〜P4のボタンから1つを選ぶ（選択中のボタンは優先度の色で表示）
+ *
+ * 【受け取るもの】
+ * @param {number|null} value - 選択中の優先度（1〜4。nullで優先度なし）
+ * @param {function} onChange - 選択を変えた時の処理（引数: 優先度またはnull）
+ * @param {function} onFocus - ボタンにフォーカスした時の処理（省略可）
+ * @param {boolean} disabled - 無効化するか
+ * @param {string} labelledBy - グループのラベルとなる要素のID（省略時は "Priority"）
+ *
+ * 【返すもの】
+ * - ボタンのグループ
+ */
+export const PriorityPicker = ({
+  value,
+  onChange,
+  onFocus,
+  disabled = false,
+  labelledBy,
+}) => {
+  const options = [
+    { value: null, label: 'なし', description: '優先度なし' },
+    ...PRIORITIES,
+  ]
+
+  return (
+    <div
+      className="priority_picker"
+      role="radiogroup"
+      aria-labelledby={labelledBy}
+      aria-label={labelledBy ? undefined : 'Priority'}
+    >
+      {options.map((option) => (
+        <button
+          key={option.label}
+          type="button"
+          role="radio"
+          aria-checked={value === option.value}
+          className="priority_picker__option"
+          data-priority={option.value ?? 'none'}
+          title={option.description}
+          disabled={disabled}
+          onFocus={onFocus}
+          onClick={() => onChange(option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,181 @@
+import { useId } from '~/hooks/useId'
+import {
+  RECURRENCE_TYPES,
+  createRecurrence,
+  describeRecurrence,
+  nextOccurrence,
+} from '~/utils/recurrence'
+import { formatISOToJapanese } from '~/utils/dateUtils'
+import './RecurrenceField.css'
+
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土']
+const WEEK_OPTIONS = [
+  { value: 1, label: '第1' },
+  { value: 2, label: '第2' },
+  { value: 3, label: '第3' },
+  { value: 4, label: '第4' },
+  { value: -1, label: '最終' },
+]
+
+/**
+ * RecurrenceField - 繰り返しの設定欄
+ *
+ * 【機能】
+ * - 繰り返しの種類を選択（しない / 毎日 / 平日 / 毎週 / 毎月（日付・曜日）/ N日ごと）
+ * - 種類に応じて、曜日・日付・第N週・間隔の日数を設定
+ * - 完了にしたときに作成される次回のタスクの期限を表示
+ *
+ * 【受け取るもの】
+ * @param {object|null} value - 繰り返しの設定（~/utils/recurrence の形式。nullで繰り返さない）
+ * @param {function} onChange - 設定の変更時の処理（引数: 新しい設定またはnull）
+ * @param {string|null} limit - 現在の期限（ISO 8601, UTC）。既定の曜日・日付と次回の期限の計算に使う
+ * @param {boolean} disabled - 無効化するか
+ *
+ * 【返すもの】
+ * - fieldsetのHTML要素
+ */
+export const RecurrenceField = ({ value, onChange, limit, disabled = false }) => {
+  const id = useId()
+
+  const nextLimit = value ? nextOccurrence(value, limit) : null
+
+  /**
+   * 曜日のチェックを切り替える（最後の1つは外せない）
+   */
+  const toggleWeekday = (day) => {
+    const days = value.days.includes(day)
+      ? value.days.filter((d) => d !== day)
+      : [...value.days, day].sort((a, b) => a - b)
+
+    if (days.length > 0) {
+      onChange({ ...value, days })
+    }
+  }
+
+  /**
+   * 数値の入力欄の変更（範囲外・空欄は無視する）
+   */
+  const changeNumber = (key, min, max) => (e) => {
+    const n = Number(e.target.value)
+    if (Number.isInteger(n) && n >= min && n <= max) {
+      onChange({ ...value, [key]: n })
+    }
+  }
+
+  return (
+    <fieldset className="edit_list__form_field">
+      <label htmlFor={`${id}-recurrence`} className="edit_list__form_label">
+        Repeat
+      </label>
+      <div className="recurrence_field">
+        <select
+          id={`${id}-recurrence`}
+          className="app_input"
+          value={value?.type ?? ''}
+          disabled={disabled}
+          onChange={(e) =>
+            onChange(e.target.value ? createRecurrence(e.target.value, limit) : null)
+          }
+        >
+          <option value="">繰り返さない</option>
+          {RECURRENCE_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+
+        {/* 毎週: 曜日を選択 */}
+        {value?.type === 'weekly' && (
+          <div className="recurrence_field__weekdays" role="group" aria-label="曜日">
+            {WEEKDAYS.map((label, day) => (
+              <label key={day} className="recurrence_field__weekday">
+                <input
+                  type="checkbox"
+                  checked={value.days.includes(day)}
+                  disabled={disabled}
+                  onChange={() => toggleWeekday(day)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {/* 毎月（日付）: 日を入力 */}
+        {value?.type === 'monthlyDay' && (
+          <label className="recurrence_field__inline">
+            毎月
+            <input
+              type="number"
+              className="app_input recurrence_field__number"
+              min={1}
+              max={31}
+              value={value.day}
+              disabled={disabled}
+              onChange={changeNumber('day', 1, 31)}
+            />
+            日
+          </label>
+        )}
+
+        {/* 毎月（曜日）: 第N週と曜日を選択 */}
+        {value?.type === 'monthlyWeekday' && (
+          <div className="recurrence_field__inline">
+            毎月
+            <select
+              className="app_input"
+              aria-label="週"
+              value={value.week}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, week: Number(e.target.value) })}
+            >
+              {WEEK_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="app_input"
+              aria-label="曜日"
+              value={value.weekday}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, weekday: Number(e.target.value) })}
+            >
+              {WEEKDAYS.map((label, day) => (
+                <option key={day} value={day}>
+                  {label}曜日
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* N日ごと: 間隔を入力 */}
+        {value?.type === 'interval' && (
+          <label className="recurrence_field__inline">
+            <input
+              type="number"
+              className="app_input recurrence_field__number"
+              min={1}
+              max={365}
+              value={value.days}
+              disabled={disabled}
+              onChange={changeNumber('days', 1, 365)}
+            />
+            日ごと
+          </label>
+        )}
+      </div>
+
+      {value && (
+        <p className="recurrence_field__hint">
+          {describeRecurrence(value)}
+          {nextLimit &&
+            `（完了にすると、期限 ${formatISOToJapanese(nextLimit)} の次回のタスクを作成します）`}
+        </p>
+      )}
+    </fieldset>
+  )
+}
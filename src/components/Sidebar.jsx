@@ -1,10 +1,29 @@
-import { useEffect } from 'react'
-import { Link, useLocation } from 'react-router-dom'
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useHistory, useLocation } from 'react-router-dom'
 import { useSelector, useDispatch } from 'react-redux'
 import { ListIcon } from '~/icons/ListIcon'
 import { PlusIcon } from '~/icons/PlusIcon'
+import { DragHandleIcon } from '~/icons/DragHandleIcon'
 import { useLogout } from '~/hooks/useLogout'
 import { fetchLists } from '~/store/list/index'
+import { dismissConflict } from '~/store/sync'
+import {
+  fetchAllTasks,
+  selectAllTags,
+  selectSmartViewCounts,
+} from '~/store/task'
+import {
+  selectOrderedLists,
+  setListOrder,
+  setListPinned,
+} from '~/store/order'
+import { useSortableList } from '~/hooks/useSortableList'
+import { useId } from '~/hooks/useId'
+import { useNow } from '~/hooks/useNow'
+import { SMART_VIEWS } from '~/utils/smartViews'
+import { mergeVisibleOrder } from '~/utils/manualOrder'
+import { decodeTagParam, normalizeTag } from '~/utils/tags'
+import { TagChip } from '~/components/TagChip'
 import './Sidebar.css'
 
 /**
@@ -12,23 +31,120 @@ import './Sidebar.css'
  *
  * 【機能】
  * - ログイン状態の表示と切り替え
- * - リスト一覧の表示
+ * - 全リストを横断するスマートビュー（今日 / 期限切れ / 近日中）へのリンクと、該当する未完了タスクの数
+ * - 期限のあるタスクを月単位で表示するカレンダー・時刻順に表示する週の予定へのリンク
+ * - リスト一覧の表示（ドラッグ・キーボードで並べ替え、よく使うリストは上部に固定できる）
  * - 現在選択中のリストをハイライト
+ * - タスクのハンドルをリストの上までドラッグして離すと、そのリストへ移動（移動はタスク一覧側で行う）
  * - 新しいリストの作成
+ * - 全リストを横断するタスク検索（検索ページ表示中は入力に合わせて結果を更新）
+ * - 全リストのタスクに付いているタグ（#ラベル）の一覧
+ * - オフライン中の未同期の変更件数と、同期時の競合の表示
+ * - 設定ページ（タイムゾーンなど）へのリンク
  * - ログアウト機能
  */
 export const Sidebar = () => {
   const dispatch = useDispatch()
-  const { pathname } = useLocation()
+  const history = useHistory()
+  const { pathname, search } = useLocation()
 
   // Redux storeからデータを取得
+  const id = useId()
   const lists = useSelector((state) => state.list.lists)
+  const orderedLists = useSelector(selectOrderedLists)
+  const pinnedListIds = useSelector((state) => state.order.pinnedListIds)
   const activeId = useSelector((state) => state.list.current)
   const isLoggedIn = useSelector((state) => state.auth.token !== null)
   const userName = useSelector((state) => state.auth.user?.name)
+  const pendingCount = useSelector((state) => state.sync.pendingCount)
+  const isSyncing = useSelector((state) => state.sync.isSyncing)
+  const isOnline = useSelector((state) => state.sync.isOnline)
+  const conflicts = useSelector((state) => state.sync.conflicts)
+  const tags = useSelector(selectAllTags)
 
-  // リスト新規作成ページではリストをハイライトしない
-  const shouldHighlight = !pathname.startsWith('/list/new')
+  // スマートビューの件数（時間の経過で期限切れになったタスクも数え直す）
+  const now = useNow()
+  const smartViewCounts = useSelector((state) =>
+    selectSmartViewCounts(state, now)
+  )
+
+  // リスト新規作成ページ・検索ページ・タグのページ・スマートビュー・カレンダー・週の予定・設定ではリストをハイライトしない
+  const shouldHighlight =
+    !pathname.startsWith('/list/new') &&
+    pathname !== '/search' &&
+    !pathname.startsWith('/tags/') &&
+    !pathname.startsWith('/views/') &&
+    pathname !== '/calendar' &&
+    pathname !== '/agenda' &&
+    pathname !== '/settings'
+
+  // タグのページで表示中のタグ
+  const activeTag = pathname.startsWith('/tags/')
+    ? normalizeTag(decodeTagParam(pathname.slice('/tags/'.length)))
+    : null
+
+  // 検索キーワード（検索ページではURLの ?q= と同期する）
+  const isSearchPage = pathname === '/search'
+  const [searchText, setSearchText] = useState('')
+
+  useEffect(() => {
+    if (isSearchPage) {
+      setSearchText(new URLSearchParams(search).get('q') ?? '')
+    }
+  }, [isSearchPage, search])
+
+  const toSearchLocation = (text) => ({
+    pathname: '/search',
+    // NOTE: 入力途中の末尾の空白を消さないよう、trimせずにそのまま入れる
+    search: text.trim() ? `?${new URLSearchParams({ q: text })}` : '',
+  })
+
+  const onChangeSearch = (e) => {
+    setSearchText(e.target.value)
+
+    // 検索ページでは入力するたびに結果を更新する（履歴は増やさない）
+    if (isSearchPage) {
+      history.replace(toSearchLocation(e.target.value))
+    }
+  }
+
+  const onSubmitSearch = (e) => {
+    e.preventDefault()
+
+    if (!isSearchPage) {
+      history.push(toSearchLocation(searchText))
+    }
+  }
+
+  // 固定したリストとそれ以外に分け、それぞれの中で並べ替えられるようにする
+  const pinnedLists = useMemo(
+    () =>
+      (orderedLists ?? []).filter((list) => pinnedListIds.includes(list.id)),
+    [orderedLists, pinnedListIds]
+  )
+  const otherLists = useMemo(
+    () =>
+      (orderedLists ?? []).filter((list) => !pinnedListIds.includes(list.id)),
+    [orderedLists, pinnedListIds]
+  )
+  const pinnedIds = useMemo(
+    () => pinnedLists.map((list) => list.id),
+    [pinnedLists]
+  )
+  const otherIds = useMemo(
+    () => otherLists.map((list) => list.id),
+    [otherLists]
+  )
+
+  const sortableOptions = {
+    getLabel: (listId) => lists?.find((list) => list.id === listId)?.title ?? '',
+    onMove: (order) => {
+      const allIds = orderedLists.map((list) => list.id)
+      dispatch(setListOrder(mergeVisibleOrder(allIds, order)))
+    },
+  }
+  const pinnedSortable = useSortableList(pinnedIds, sortableOptions)
+  const otherSortable = useSortableList(otherIds, sortableOptions)
 
   const { logout } = useLogout()
 
@@ -37,6 +153,64 @@ export const Sidebar = () => {
     void dispatch(fetchLists())
   }, [dispatch])
 
+  // タグの一覧を作るため、リストが揃ったら全リストのタスクを取得する
+  useEffect(() => {
+    if (isLoggedIn && lists) {
+      void dispatch(fetchAllTasks())
+    }
+  }, [isLoggedIn, lists, dispatch])
+
+  /**
+   * リスト1件の行（並べ替えのハンドル・リストへのリンク・固定ボタン）
+   * data-task-drop-list-id は、タスクをドラッグしてきた時のドロップ先の目印
+   */
+  const renderListItem = (listItem, sortable) => {
+    const isPinned = pinnedListIds.includes(listItem.id)
+
+    return (
+      <li
+        key={listItem.id}
+        className="sidebar__lists_row"
+        data-task-drop-list-id={listItem.id}
+        {...sortable.getItemProps(listItem.id)}
+      >
+        <button
+          type="button"
+          className="sidebar__lists_drag_handle"
+          aria-label={`並べ替え: ${listItem.title}`}
+          aria-describedby={`${id}-reorder-help`}
+          {...sortable.getHandleProps(listItem.id)}
+        >
+          <DragHandleIcon aria-hidden />
+        </button>
+        <Link
+          data-active={shouldHighlight && listItem.id === activeId}
+          to={`/lists/${listItem.id}`}
+          className="sidebar__lists_item"
+        >
+          <ListIcon aria-hidden className="sidebar__lists_icon" />
+          {listItem.title}
+        </Link>
+        <button
+          type="button"
+          className="sidebar__lists_pin"
+          aria-label={
+            isPinned
+              ? `${listItem.title} の固定を解除`
+              : `${listItem.title} を上部に固定`
+          }
+          aria-pressed={isPinned}
+          title={isPinned ? '固定を解除' : '上部に固定'}
+          onClick={() =>
+            dispatch(setListPinned({ listId: listItem.id, pinned: !isPinned }))
+          }
+        >
+          {isPinned ? '★' : '☆'}
+        </button>
+      </li>
+    )
+  }
+
   return (
     <div className="sidebar">
       {/* アプリタイトル */}
@@ -47,27 +221,83 @@ export const Sidebar = () => {
       {/* ログイン済みの場合 */}
       {isLoggedIn ? (
         <>
+          {/* タスク検索 */}
+          <form className="sidebar__search" role="search" onSubmit={onSubmitSearch}>
+            <input
+              type="search"
+              className="app_input sidebar__search_input"
+              placeholder="Search tasks..."
+              aria-label="Search tasks"
+              value={searchText}
+              onChange={onChangeSearch}
+            />
+          </form>
+
+          {/* スマートビュー（全リストの今日・期限切れ・近日中のタスク） */}
+          <ul className="sidebar__views">
+            {SMART_VIEWS.map((view) => (
+              <li key={view.id}>
+                <Link
+                  to={`/views/${view.id}`}
+                  className="sidebar__lists_item sidebar__views_item"
+                  data-active={pathname === `/views/${view.id}`}
+                  data-view={view.id}
+                  title={view.title}
+                >
+                  {view.label}
+                  {smartViewCounts[view.id] > 0 && (
+                    <span className="sidebar__views_count">
+                      {smartViewCounts[view.id]}
+                    </span>
+                  )}
+                </Link>
+              </li>
+            ))}
+            {/* 期限のあるタスクの月表示カレンダー */}
+            <li>
+              <Link
+                to="/calendar"
+                className="sidebar__lists_item sidebar__views_item"
+                data-active={pathname === '/calendar'}
+              >
+                Calendar
+              </Link>
+            </li>
+            {/* 期限のあるタスクを時刻順に並べた週の予定 */}
+            <li>
+              <Link
+                to="/agenda"
+                className="sidebar__lists_item sidebar__views_item"
+                data-active={pathname === '/agenda'}
+              >
+                Agenda
+              </Link>
+            </li>
+          </ul>
+
+          {/* 固定したリスト */}
+          {pinnedLists.length > 0 && (
+            <div className="sidebar__lists">
+              <h2 className="sidebar__lists_title">Pinned</h2>
+              <ul className="sidebar__lists_items">
+                {pinnedSortable.orderedIds
+                  .map((listId) => pinnedLists.find((list) => list.id === listId))
+                  .filter(Boolean)
+                  .map((listItem) => renderListItem(listItem, pinnedSortable))}
+              </ul>
+            </div>
+          )}
+
           {/* リスト一覧 */}
           {lists && (
             <div className="sidebar__lists">
               <h2 className="sidebar__lists_title">Lists</h2>
               <ul className="sidebar__lists_items">
                 {/* 各リストを表示 */}
-                {lists.map((listItem) => (
-                  <li key={listItem.id}>
-                    <Link
-                      data-active={shouldHighlight && listItem.id === activeId}
-                      to={`/lists/${listItem.id}`}
-                      className="sidebar__lists_item"
-                    >
-                      <ListIcon
-                        aria-hidden
-                        className="sidebar__lists_icon"
-                      />
-                      {listItem.title}
-                    </Link>
-                  </li>
-                ))}
+                {otherSortable.orderedIds
+                  .map((listId) => otherLists.find((list) => list.id === listId))
+                  .filter(Boolean)
+                  .map((listItem) => renderListItem(listItem, otherSortable))}
 
                 {/* 新しいリストを作成ボタン */}
                 <li>
@@ -83,12 +313,79 @@ export const Sidebar = () => {
             </div>
           )}
 
+          {/* 並べ替えの操作方法と状況（スクリーンリーダー向け） */}
+          <p id={`${id}-reorder-help`} className="visually_hidden">
+            SpaceかEnterで持ち上げ、上下の矢印キーで移動し、もう一度SpaceかEnterで置きます。Escで取り消します。
+          </p>
+          <div className="visually_hidden" aria-live="assertive">
+            {pinnedSortable.announcement}
+          </div>
+          <div className="visually_hidden" aria-live="assertive">
+            {otherSortable.announcement}
+          </div>
+
+          {/* タグ一覧 */}
+          {tags.length > 0 && (
+            <div className="sidebar__tags">
+              <h2 className="sidebar__lists_title">Tags</h2>
+              <ul className="sidebar__tags_items">
+                {tags.map(({ tag, count }) => (
+                  <li key={tag}>
+                    <TagChip
+                      tag={tag}
+                      count={count}
+                      isActive={normalizeTag(tag) === activeTag}
+                    />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* 同期状態（未送信の変更がある場合やオフライン時のみ表示） */}
+          {(pendingCount > 0 || !isOnline) && (
+            <div className="sidebar__sync" data-syncing={isSyncing}>
+              {isSyncing
+                ? '同期中...'
+                : `${isOnline ? '' : 'オフライン・'}${pendingCount}件の変更が同期待ち`}
+            </div>
+          )}
+
+          {/* 同期時にサーバー側と食い違った変更 */}
+          {conflicts.length > 0 && (
+            <ul className="sidebar__conflicts" role="alert">
+              {conflicts.map((conflict) => (
+                <li key={conflict.seq} className="sidebar__conflicts_item">
+                  <span>
+                    「{conflict.label || '(無題)'}」の変更を反映できませんでした:{' '}
+                    {conflict.message}
+                  </span>
+                  <button
+                    type="button"
+                    className="sidebar__conflicts_dismiss"
+                    aria-label="Dismiss"
+                    onClick={() => dispatch(dismissConflict(conflict))}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
           {/* 空白（リストとアカウント情報の間） */}
           <div className="sidebar__spacer" aria-hidden />
 
           {/* アカウント情報とログアウト */}
           <div className="sidebar__account">
             <p className="sidebar__account_name">{userName}</p>
+            <Link
+              to="/settings"
+              className="sidebar__account_settings"
+              data-active={pathname === '/settings'}
+            >
+              Settings
+            </Link>
             <button
               type="button"
               className="sidebar__account_logout"
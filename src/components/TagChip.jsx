@@ -0,0 +1,32 @@
+import { Link } from 'react-router-dom'
+import { tagHue } from '~/utils/tags'
+import './TagChip.css'
+
+/**
+ * TagChip - タグ（#ラベル）を色付きのチップで表示する
+ *
+ * 【機能】
+ * - タグ名から決まる色で表示（同じタグはどこでも同じ色）
+ * - クリックするとそのタグのタスク一覧ページへ移動
+ *
+ * 【受け取るもの】
+ * @param {string} tag - タグ名（#は含まない）
+ * @param {number} count - タグの付いたタスク数（省略時は表示しない）
+ * @param {boolean} isActive - 現在表示中のタグかどうか
+ *
+ * 【返すもの】
+ * - タグへのリンク
+ */
+export const TagChip = ({ tag, count, isActive = false }) => {
+  return (
+    <Link
+      to={`/tags/${encodeURIComponent(tag)}`}
+      className="tag_chip"
+      data-active={isActive}
+      style={{ '--tag-hue': tagHue(tag) }}
+    >
+      #{tag}
+      {count !== undefined && <span className="tag_chip__count">{count}</span>}
+    </Link>
+  )
+}
@@ -0,0 +1,48 @@
+import { tagHue } from '~/utils/tags'
+import './TagSuggestions.css'
+
+/**
+ * TagSuggestions - 入力中のタグの候補一覧
+ *
+ * 【機能】
+ * - useTagAutocompleteの候補を、入力欄の下にリストで表示
+ * - クリックで候補を確定（入力欄のフォーカスは外さない）
+ *
+ * 【受け取るもの】
+ * @param {string} id - リストのID（入力欄の aria-controls と対応させる）
+ * @param {string[]} suggestions - 候補のタグ名
+ * @param {number} activeIndex - キーボードで選択中の候補の位置
+ * @param {function} onAccept - 候補を確定する処理（引数: タグ名）
+ *
+ * 【返すもの】
+ * - 候補のリスト（候補が無い場合はnull）
+ */
+export const TagSuggestions = ({ id, suggestions, activeIndex, onAccept }) => {
+  if (suggestions.length === 0) {
+    return null
+  }
+
+  return (
+    <ul id={id} className="tag_suggestions" role="listbox" aria-label="タグの候補">
+      {suggestions.map((tag, index) => (
+        <li
+          key={tag}
+          id={`${id}-${index}`}
+          className="tag_suggestions__item"
+          role="option"
+          aria-selected={index === activeIndex}
+          // 入力欄からフォーカスが外れないよう、mousedownの既定の動作を止める
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onAccept(tag)}
+        >
+          <span
+            className="tag_suggestions__swatch"
+            style={{ '--tag-hue': tagHue(tag) }}
+            aria-hidden
+          />
+          #{tag}
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,204 @@
+import { useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { updateTask } from '~/store/task'
+import { showToast } from '~/store/history'
+import { selectBoardColumns } from '~/store/board'
+import {
+  columnChange,
+  groupTasksByColumn,
+  isOverWipLimit,
+  taskColumnId,
+} from '~/utils/board'
+import { formatISOToJapanese } from '~/utils/dateUtils'
+import { priorityLabel } from '~/utils/priority'
+import { useId } from '~/hooks/useId'
+import { useRemainingTime } from '~/hooks/useRemainingTime'
+import './TaskBoard.css'
+
+/**
+ * カードの期限（期限を過ぎた瞬間に期限超過の表示に変わる）
+ */
+const CardLimit = ({ limit, done }) => {
+  const remaining = useRemainingTime(limit)
+
+  return (
+    <span
+      className="task_board__card_limit"
+      data-overdue={!done && Boolean(remaining?.isOverdue)}
+    >
+      {formatISOToJapanese(limit)}
+    </span>
+  )
+}
+
+/**
+ * TaskBoard - リストのタスクを列（To do / In progress / Done など）に分けて表示するボード
+ *
+ * 【機能】
+ * - タスクを列ごとに表示（列はリストの編集で追加・変更できる）
+ * - カードを別の列へドラッグ（またはカードにフォーカスして ←/→ キー）で移動
+ *   - Done へ移すと完了にし、Done から出すと未完了に戻す
+ *   - 途中の列はタスクの付加情報（meta.column）に保存する
+ * - WIP上限を設定した列は、カードが上限を超えると警告を表示
+ *
+ * 【受け取るもの】
+ * @param {string} listId - 表示するリストのID
+ * @param {Array} tasks - 表示するタスク（並び替え・絞り込み済み）
+ *
+ * 【返すもの】
+ * - ボードのHTML要素
+ */
+export const TaskBoard = ({ listId, tasks }) => {
+  const dispatch = useDispatch()
+  const id = useId()
+
+  const columns = useSelector(state => selectBoardColumns(state, listId))
+  const tasksByColumn = useMemo(
+    () => groupTasksByColumn(tasks, columns),
+    [tasks, columns]
+  )
+
+  const [draggingId, setDraggingId] = useState(null)
+  const [dropColumnId, setDropColumnId] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+
+  /**
+   * タスクを列へ移す
+   */
+  const moveToColumn = (task, columnId) => {
+    if (taskColumnId(task, columns) === columnId) return
+
+    const column = columns.find(c => c.id === columnId)
+    const count = tasksByColumn[columnId].length + 1
+    setAnnouncement(
+      `「${task.title}」を${column.title}へ移動しました` +
+        (isOverWipLimit(column, count)
+          ? `。WIP上限（${column.wipLimit}件）を超えています`
+          : '')
+    )
+
+    void dispatch(updateTask({ id: task.id, ...columnChange(task, columnId) }))
+      .unwrap()
+      .catch(err => {
+        dispatch(showToast(`タスクを移動できませんでした: ${err.message}`))
+      })
+  }
+
+  /**
+   * ←/→ キーで隣の列へ移す
+   */
+  const handleCardKeyDown = (event, task) => {
+    if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return
+    event.preventDefault()
+
+    const index = columns.findIndex(c => c.id === taskColumnId(task, columns))
+    const next = columns[index + (event.key === 'ArrowLeft' ? -1 : 1)]
+    if (next) {
+      moveToColumn(task, next.id)
+    }
+  }
+
+  return (
+    <div className="task_board">
+      {columns.map(column => {
+        const columnTasks = tasksByColumn[column.id]
+        const isOver = isOverWipLimit(column, columnTasks.length)
+        const headingId = `${id}-column-${column.id}`
+
+        return (
+          <section
+            key={column.id}
+            className="task_board__column"
+            aria-labelledby={headingId}
+            data-column={column.id}
+            data-over-limit={isOver}
+            data-drop-over={dropColumnId === column.id}
+            onDragOver={e => {
+              if (!draggingId) return
+              e.preventDefault()
+              e.dataTransfer.dropEffect = 'move'
+              setDropColumnId(column.id)
+            }}
+            onDragLeave={e => {
+              // 列の中の要素へ移っただけの場合は強調を残す
+              if (e.currentTarget.contains(e.relatedTarget)) return
+              setDropColumnId(current =>
+                current === column.id ? null : current
+              )
+            }}
+            onDrop={e => {
+              e.preventDefault()
+              const task = tasks.find(t => t.id === draggingId)
+              setDraggingId(null)
+              setDropColumnId(null)
+              if (task) {
+                moveToColumn(task, column.id)
+              }
+            }}
+          >
+            <h3 id={headingId} className="task_board__column_title">
+              {column.title}
+              <span className="task_board__column_count">
+                {column.wipLimit
+                  ? `${columnTasks.length} / ${column.wipLimit}`
+                  : columnTasks.length}
+              </span>
+            </h3>
+            {isOver && (
+              <p className="task_board__wip_warning" role="status">
+                WIP上限（{column.wipLimit}件）を超えています
+              </p>
+            )}
+            <ul className="task_board__cards">
+              {columnTasks.map(task => (
+                <li key={task.id}>
+                  <Link
+                    to={`/lists/${listId}/tasks/${task.id}`}
+                    className="task_board__card"
+                    data-done={task.done}
+                    data-dragging={draggingId === task.id}
+                    aria-describedby={`${id}-board-help`}
+                    draggable
+                    onDragStart={e => {
+                      e.dataTransfer.effectAllowed = 'move'
+                      e.dataTransfer.setData('text/plain', task.id)
+                      setDraggingId(task.id)
+                    }}
+                    onDragEnd={() => {
+                      setDraggingId(null)
+                      setDropColumnId(null)
+                    }}
+                    onKeyDown={e => handleCardKeyDown(e, task)}
+                  >
+                    <span className="task_board__card_title">
+                      {priorityLabel(task.meta?.priority) && (
+                        <span
+                          className="task_board__card_priority"
+                          data-priority={task.meta.priority}
+                        >
+                          {priorityLabel(task.meta.priority)}
+                        </span>
+                      )}
+                      {task.title}
+                    </span>
+                    {task.limit && (
+                      <CardLimit limit={task.limit} done={task.done} />
+                    )}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )
+      })}
+      {/* 操作方法と状況（スクリーンリーダー向け） */}
+      <p id={`${id}-board-help`} className="visually_hidden">
+        ←/→ キーで隣の列へ移動します。
+      </p>
+      <div className="visually_hidden" aria-live="polite">
+        {announcement}
+      </div>
+    </div>
+  )
+}
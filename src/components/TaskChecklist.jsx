@@ -0,0 +1,132 @@
+import { useCallback } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { selectTaskById, toggleChecklistItem, updateTask } from '~/store/task'
+import { parseChecklist } from '~/utils/checklist'
+import { setTaskMeta } from '~/utils/taskMeta'
+import './TaskChecklist.css'
+
+/**
+ * TaskChecklist - タスクの詳細に書かれたチェックリスト（サブタスク）
+ *
+ * 【機能】
+ * - detail中の "- [ ] ..." / "- [x] ..." の行をチェックボックスとして表示
+ *   （詳細をMarkdownとして表示する場所では、showItems={false} で設定だけを表示する）
+ * - チェックを切り替えると、その行を書き換えたdetailを保存する
+ * - 「すべて完了したらタスクも完了にする」設定の切り替え（タスクごとに保存）
+ *
+ * 【受け取るもの】
+ * @param {string} taskId - 対象のタスクID（タスク本体はstoreのキャッシュから取得）
+ * @param {boolean} disabled - 操作できないようにするか（保存中のタスクなど）
+ * @param {boolean} showItems - 項目の一覧を表示するか
+ *
+ * 【返すもの】
+ * - チェックリストのHTML要素（チェックリストが無ければ何も表示しない）
+ */
+export const TaskChecklist = ({ taskId, disabled = false, showItems = true }) => {
+  const dispatch = useDispatch()
+  const task = useSelector((state) => selectTaskById(state, taskId))
+
+  const items = parseChecklist(task?.detail)
+  const isAutoComplete = Boolean(task?.meta?.checklistAutoComplete)
+
+  /**
+   * 項目のチェックを切り替える
+   */
+  const handleToggleItem = useCallback(
+    (item) => {
+      void dispatch(
+        toggleChecklistItem({ id: taskId, line: item.line, checked: !item.checked })
+      )
+    },
+    [taskId, dispatch]
+  )
+
+  /**
+   * 自動完了の設定を切り替える
+   */
+  const handleToggleAutoComplete = useCallback(() => {
+    void dispatch(
+      updateTask({
+        id: taskId,
+        meta: setTaskMeta(task?.meta, 'checklistAutoComplete', isAutoComplete ? null : true),
+      })
+    )
+  }, [taskId, task, isAutoComplete, dispatch])
+
+  if (!task || items.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="task_checklist">
+      {showItems && (
+        <ul className="task_checklist__items">
+          {items.map((item) => (
+            <li
+              key={item.line}
+              className="task_checklist__item"
+              style={{ paddingLeft: `${item.depth * 1.5}rem` }}
+            >
+              <label className="task_checklist__label" data-checked={item.checked}>
+                <input
+                  type="checkbox"
+                  checked={item.checked}
+                  disabled={disabled}
+                  onChange={() => handleToggleItem(item)}
+                />
+                {item.text}
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+      <label className="task_checklist__auto_complete">
+        <input
+          type="checkbox"
+          checked={isAutoComplete}
+          disabled={disabled}
+          onChange={handleToggleAutoComplete}
+        />
+        すべてチェックしたらタスクを完了にする
+      </label>
+    </div>
+  )
+}
+
+/**
+ * TaskChecklistProgress - チェックリストの進み具合（"2/5" とバー）
+ *
+ * 【受け取るもの】
+ * @param {number} done - チェック済みの項目数
+ * @param {number} total - 項目数（0なら何も表示しない）
+ *
+ * 【返すもの】
+ * - 進み具合のHTML要素
+ */
+export const TaskChecklistProgress = ({ done, total }) => {
+  if (total === 0) {
+    return null
+  }
+
+  return (
+    <div
+      className="task_checklist_progress"
+      data-complete={done === total}
+      role="progressbar"
+      aria-valuemin={0}
+      aria-valuemax={total}
+      aria-valuenow={done}
+      aria-label="サブタスクの進み具合"
+    >
+      <div className="task_checklist_progress__bar">
+        <div
+          className="task_checklist_progress__fill"
+          style={{ width: `${(done / total) * 100}%` }}
+        />
+      </div>
+      <span className="task_checklist_progress__text">
+        {done}/{total}
+      </span>
+    </div>
+  )
+}
@@ -1,21 +1,57 @@
-import React, { useCallback, useEffect, useState, useRef } from 'react'
+import React, { useCallback, useEffect, useMemo, useState, useRef } from 'react'
 import { useDispatch } from 'react-redux'
 import './TaskCreateForm.css'
 import { CheckIcon } from '~/icons/CheckIcon'
 import { CalendarIcon } from '~/icons/CalendarIcon'
 import { createTask } from '~/store/task'
 import { FormActions } from './ui/FormActions'
-import parseLimitText from '~/utils/parseLimitText'
+import {
+  findNaturalLimit,
+  parseNaturalLimit,
+  removeNaturalLimit,
+} from '~/utils/parseNaturalLimit'
+import { formatISOToJapanese, parseLimitText } from '~/utils/dateUtils'
+import { findPriorityMarker, removePriorityMarker } from '~/utils/priority'
+import { setTaskMeta } from '~/utils/taskMeta'
 import { LimitPicker } from '~/components/LimitPicker'
+import { Markdown } from '~/components/Markdown'
+import { WritePreviewTabs } from '~/components/WritePreviewTabs'
+import { TagSuggestions } from '~/components/TagSuggestions'
+import { PriorityPicker } from '~/components/PriorityPicker'
+import { useTagAutocomplete } from '~/hooks/useTagAutocomplete'
+import { useId } from '~/hooks/useId'
+
+/**
+ * 入力内容から、自然な言い回しの期限を探す
+ * - 期限欄に入力がある場合は期限欄だけを見る（固定形式ならそのまま使うので対象外）
+ * - 期限欄が空ならタイトルの中から探す
+ * @returns {object|null} - { source: 'limit' | 'title', iso, text, start, end }
+ */
+const findLimitSuggestion = (title, limit, now = new Date()) => {
+  if (limit.trim() !== '') {
+    if (parseLimitText(limit)) return null
+
+    const iso = parseNaturalLimit(limit, now)
+    return iso ? { source: 'limit', iso, text: limit.trim() } : null
+  }
+
+  const found = findNaturalLimit(title, now)
+  return found ? { source: 'title', ...found } : null
+}
 
 /**
  * TaskCreateForm - タスク作成フォーム
  *
  * 【機能】
  * - フォーカス時に展開、ブラー時に折りたたみ（自動展開/折りたたみ）
- * - タイトルと詳細を入力してタスクを作成
+ * - タイトルと詳細を入力してタスクを作成（詳細はMarkdown。Write/Previewで表示を確認できる）
  * - 完了/未完了の初期状態を設定
- * - 期限を設定（カレンダーピッカー）
+ * - 期限を設定（カレンダーピッカー、または期限欄への直接入力）
+ * - タイトル・期限欄の「明日15時」「tomorrow 9am」のような言い回しを期限として認識し、
+ *   プレビューを表示（×で認識を取り消せる）。タイトル中の言い回しは「期限にする」を押したときだけ
+ *   期限欄に移してタイトルから取り除く（押さなければタイトルも期限もそのまま）
+ * - 優先度（P1〜P4）を設定（ボタン、またはタイトル中の "!1"〜"!4"。作成時にタイトルから取り除く）
+ * - タイトルに # を入力すると、既存のタグを候補として表示（↑↓で選択、Enter/Tabで確定）
  * - Addボタンで保存、Discardボタンでクリア
  *
  * 【受け取るもの】
@@ -26,6 +62,7 @@ import { LimitPicker } from '~/components/LimitPicker'
  */
 export const TaskCreateForm = () => {
   const dispatch = useDispatch()
+  const id = useId()
 
   // ref管理
   const refForm = useRef(null)
@@ -42,6 +79,18 @@ export const TaskCreateForm = () => {
   const [detail, setDetail] = useState('')
   const [done, setDone] = useState(false)
   const [limit, setLimit] = useState('')
+  const [priority, setPriority] = useState(null)
+  const [detailMode, setDetailMode] = useState('write')
+
+  // タイトル中の優先度の指定（"!1"〜"!4"）はボタンでの選択より優先する
+  const titlePriority = findPriorityMarker(title)
+  const effectivePriority = titlePriority?.priority ?? priority
+
+  // タイトルのタグ入力の補完
+  const tagAutocomplete = useTagAutocomplete(title, setTitle)
+
+  // 認識した期限のプレビューを×で取り消した言い回し（'title:明日' のような形式）
+  const [dismissedSuggestion, setDismissedSuggestion] = useState(null)
 
   // 期限ピッカーの状態管理
   const [isLimitPickerOpen, setIsLimitPickerOpen] = useState(false)
@@ -67,8 +116,8 @@ export const TaskCreateForm = () => {
    * 条件を満たす場合にフォームを折りたたむ
    */
   const handleBlur = useCallback(() => {
-    // タイトルまたは詳細が入力されている場合は何もしない
-    if (title || detail) {
+    // タイトル・詳細・期限のいずれかが入力されている場合は何もしない
+    if (title || detail || limit) {
       return
     }
 
@@ -89,7 +138,7 @@ export const TaskCreateForm = () => {
       setFormState('initial')
       setDone(false)
     }, 100)
-  }, [title, detail])
+  }, [title, detail, limit])
 
   /**
    * Discardボタンをクリックした時の処理
@@ -99,10 +148,62 @@ export const TaskCreateForm = () => {
     setTitle('')
     setDetail('')
     setLimit('')
+    setPriority(null)
+    setDismissedSuggestion(null)
+    setDetailMode('write')
     setFormState('initial')
     setDone(false)
   }, [])
 
+  /**
+   * 入力中の言い回しから認識した期限（取り消したものは除く）
+   */
+  const suggestion = useMemo(() => {
+    const found = findLimitSuggestion(title, limit)
+    if (!found || dismissedSuggestion === `${found.source}:${found.text}`) {
+      return null
+    }
+    return found
+  }, [title, limit, dismissedSuggestion])
+
+  /**
+   * 期限のプレビューの×ボタンをクリックした時の処理
+   * 同じ言い回しは期限として扱わない（タイトルにもそのまま残す）
+   */
+  const dismissSuggestion = useCallback(() => {
+    if (suggestion) {
+      setDismissedSuggestion(`${suggestion.source}:${suggestion.text}`)
+    }
+  }, [suggestion])
+
+  /**
+   * 期限のプレビューの「期限にする」ボタンをクリックした時の処理
+   * タイトル中の言い回しを期限欄に移し、タイトルから取り除く（言い回しだけのタイトルはそのまま）
+   */
+  const acceptSuggestion = useCallback(() => {
+    if (suggestion?.source !== 'title') {
+      return
+    }
+    setLimit(formatISOToJapanese(suggestion.iso))
+    setTitle(removeNaturalLimit(title, suggestion) || title)
+  }, [suggestion, title])
+
+  /**
+   * 優先度のボタンを選んだ時の処理
+   * タイトル中に優先度の指定があれば、選んだ方に揃えるため取り除く
+   */
+  const handleChangePriority = useCallback(
+    (value) => {
+      setPriority(value)
+
+      const found = findPriorityMarker(title)
+      if (found) {
+        setTitle(removePriorityMarker(title, found))
+      }
+    },
+    [title]
+  )
+
   /**
    * 期限設定ピッカーを開く
    */
@@ -129,7 +230,7 @@ export const TaskCreateForm = () => {
 
   /**
    * 期限設定ピッカーで確定ボタンが押されたときの処理
-   * @param {string} jpText - スラッシュ形式の日時（JST）
+   * @param {string} jpText - スラッシュ形式の日時（設定したタイムゾーン）
    */
   const handleConfirmLimit = useCallback((jpText) => {
     setLimit(jpText)
@@ -138,29 +239,59 @@ export const TaskCreateForm = () => {
   /**
    * フォーム送信時の処理
    * タスクを作成してDBに保存
+   * （一覧には仮IDで即座に表示されるため、フォームはすぐにクリアする）
    */
   const onSubmit = useCallback(
     (event) => {
       event.preventDefault()
 
-      setFormState('submitting')
+      // スラッシュ形式（設定したタイムゾーン）をISO形式（UTC）に変換してDB保存
+      let nextTitle = title
+      let nextLimit = parseLimitText(limit)
+
+      // 期限欄の言い回しから認識した期限は、送信時点の現在時刻で計算し直す
+      // （タイトル中の言い回しは「期限にする」を押さない限り使わない）
+      const found =
+        suggestion?.source === 'limit' && findLimitSuggestion(title, limit)
+      if (found) {
+        nextLimit = found.iso
+      }
 
-      // スラッシュ形式（JST）をISO形式（UTC）に変換してDB保存
-      const nextLimit = parseLimitText(limit)
+      // タイトル中の優先度の指定も取り除く（指定だけのタイトルはそのまま）
+      const foundPriority = findPriorityMarker(nextTitle)
+      if (foundPriority) {
+        nextTitle = removePriorityMarker(nextTitle, foundPriority) || nextTitle
+      }
+      const meta = setTaskMeta({}, 'priority', effectivePriority)
 
-      void dispatch(createTask({ title, detail, done, limit: nextLimit }))
+      void dispatch(
+        createTask({ title: nextTitle, detail, done, limit: nextLimit, meta })
+      )
         .unwrap()
-        .then(() => {
-          // 成功したらフォームをクリア
-          handleDiscard()
-        })
-        .catch((err) => {
-          // エラーが発生した場合はアラートを表示
-          alert(err.message)
+        .catch(() => {
+          // 失敗した場合は入力内容を復元して再送できるようにする
+          // （エラーメッセージは一覧側に表示される）
+          setTitle(title)
+          setDetail(detail)
+          setLimit(limit)
+          setPriority(priority)
+          setDone(done)
           setFormState('focused')
         })
+
+      handleDiscard()
     },
-    [title, detail, done, limit, dispatch, handleDiscard]
+    [
+      title,
+      detail,
+      done,
+      limit,
+      priority,
+      effectivePriority,
+      suggestion,
+      dispatch,
+      handleDiscard,
+    ]
   )
 
   /**
@@ -222,50 +353,133 @@ export const TaskCreateForm = () => {
           )}
         </button>
 
-        {/* タイトル入力フィールド */}
-        <input
-          type="text"
-          className="task_create_form__title"
-          placeholder="Add a new task..."
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
-          onFocus={handleFocus}
-          onBlur={handleBlur}
-          required
-          disabled={formState === 'submitting'}
-        />
+        {/* タイトル入力フィールド（# に続けて入力するとタグの候補を表示） */}
+        <div className="task_create_form__title_field">
+          <input
+            type="text"
+            className="task_create_form__title"
+            placeholder="Add a new task..."
+            value={title}
+            {...tagAutocomplete.inputProps}
+            onFocus={handleFocus}
+            onBlur={() => {
+              tagAutocomplete.close()
+              handleBlur()
+            }}
+            required
+            disabled={formState === 'submitting'}
+          />
+          <TagSuggestions
+            id={tagAutocomplete.listboxId}
+            suggestions={tagAutocomplete.suggestions}
+            activeIndex={tagAutocomplete.activeIndex}
+            onAccept={tagAutocomplete.accept}
+          />
+        </div>
       </div>
 
+      {/* 言い回しから認識した期限のプレビュー */}
+      {suggestion && (
+        <div className="task_create_form__limit_chip" aria-live="polite">
+          <CalendarIcon className="task_create_form__limit_chip_icon" />
+          <span>
+            期限: {formatISOToJapanese(suggestion.iso)}（「{suggestion.text}」）
+          </span>
+          {suggestion.source === 'title' && (
+            <button
+              type="button"
+              className="task_create_form__limit_chip_accept"
+              onClick={acceptSuggestion}
+              onFocus={handleFocus}
+            >
+              期限にする
+            </button>
+          )}
+          <button
+            type="button"
+            className="task_create_form__limit_chip_dismiss"
+            aria-label="期限として認識しない"
+            onClick={dismissSuggestion}
+            onFocus={handleFocus}
+          >
+            ×
+          </button>
+        </div>
+      )}
+
       {/* 展開時のみ表示される詳細入力エリア */}
       {formState !== 'initial' && (
         <div>
-          {/* 詳細入力フィールド（複数行） */}
-          <textarea
-            ref={setElemTextarea}
-            rows={1}
-            className="task_create_form__detail"
-            placeholder="Add a description here..."
-            value={detail}
-            onChange={(e) => setDetail(e.target.value)}
-            onBlur={handleBlur}
-            required
-            disabled={formState === 'submitting'}
+          {/* 詳細の入力/プレビューの切り替え */}
+          <WritePreviewTabs
+            mode={detailMode}
+            onChange={setDetailMode}
+            onFocus={handleFocus}
           />
 
-          {/* 期限設定ボタン */}
+          {/* 詳細入力フィールド（複数行）またはプレビュー */}
+          {detailMode === 'write' ? (
+            <textarea
+              ref={setElemTextarea}
+              rows={1}
+              className="task_create_form__detail"
+              placeholder="Add a description here..."
+              value={detail}
+              onChange={(e) => setDetail(e.target.value)}
+              onBlur={handleBlur}
+              required
+              disabled={formState === 'submitting'}
+            />
+          ) : (
+            <div className="write_preview_tabs__preview">
+              {detail ? (
+                <Markdown source={detail} />
+              ) : (
+                <span className="write_preview_tabs__empty">Nothing to preview</span>
+              )}
+            </div>
+          )}
+
+          {/* 期限設定ボタンと期限の入力欄（「明日15時」などの言い回しも入力できる） */}
           <div className="task_create_form__limit_row">
             <button
               type="button"
               className="task_create_form__limit_button_combo"
+              aria-label="期限を設定"
               onClick={openLimitPicker}
               onFocus={handleFocus}
               disabled={formState === 'submitting'}
             >
               <CalendarIcon />
-              <span className="task_create_form__limit_text">
-                {limit && limit.trim() !== '' ? limit : '期限を設定'}
-              </span>
             </button>
+            <input
+              type="text"
+              className="task_create_form__limit_input"
+              placeholder="期限を設定（例: 明日15時、tomorrow 9am）"
+              aria-label="期限"
+              value={limit}
+              onChange={(e) => setLimit(e.target.value)}
+              onFocus={handleFocus}
+              onBlur={handleBlur}
+              disabled={formState === 'submitting'}
+            />
+          </div>
+
+          {/* 優先度 */}
+          <div className="task_create_form__priority_row">
+            <span
+              id={`${id}-priority`}
+              className="task_create_form__priority_label"
+            >
+              Priority
+            </span>
+            <PriorityPicker
+              value={effectivePriority}
+              onChange={handleChangePriority}
+              onFocus={handleFocus}
+              disabled={formState === 'submitting'}
+              labelledBy={`${id}-priority`}
+            />
           </div>
 
           {/* 期限設定ピッカーモーダル */}
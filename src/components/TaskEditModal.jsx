@@ -1,25 +1,39 @@
 import { useCallback, useEffect, useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
+import { useHistory } from 'react-router-dom'
 import { Modal } from '~/components/ui/Modal'
 import { AppTextField } from '~/components/ui/AppTextField'
 import { FormActions } from '~/components/ui/FormActions'
-import { updateTask, deleteTask, fetchTasks } from '~/store/task'
-import { setCurrentList } from '~/store/list'
+import {
+  updateTask,
+  deleteTask,
+  fetchTasks,
+  selectTaskById,
+} from '~/store/task'
 import { useId } from '~/hooks/useId'
 import { CalendarIcon } from '~/icons/CalendarIcon'
 import { LimitPicker } from '~/components/LimitPicker'
-import { formatISOToJapanese } from '~/utils/dateUtils'
-import parseLimitText from '~/utils/parseLimitText'
+import { TaskTransferField } from '~/components/TaskTransferField'
+import { RecurrenceField } from '~/components/RecurrenceField'
+import { Markdown } from '~/components/Markdown'
+import { WritePreviewTabs } from '~/components/WritePreviewTabs'
+import { PriorityPicker } from '~/components/PriorityPicker'
+import { formatISOToJapanese, parseLimitText } from '~/utils/dateUtils'
+import { setTaskMeta } from '~/utils/taskMeta'
+import { findPriorityMarker, removePriorityMarker } from '~/utils/priority'
 import './TaskEditModal.css'
 
 /**
  * TaskEditModal - タスク編集モーダル
  *
  * 【機能】
- * - タスクのタイトル、詳細、完了状態、期限を編集
+ * - タスクのタイトル、詳細、完了状態、期限を編集（詳細はMarkdown。Write/Previewで表示を確認できる）
  * - Updateボタンで変更を保存
  * - Deleteボタンでタスクを削除
  * - カレンダーアイコンから期限を設定
+ * - 優先度（P1〜P4）を設定（タイトル中の "!1"〜"!4" でも指定でき、保存時にタイトルから取り除く）
+ * - 繰り返しの設定（完了にすると期限を進めた次回のタスクを作成）
+ * - 別のリストへ移動/コピー（完了後は移動先のリストを表示）
  *
  * 【受け取るもの】
  * @param {boolean} isOpen - モーダルの開閉状態
@@ -32,29 +46,31 @@ import './TaskEditModal.css'
  */
 export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
   const dispatch = useDispatch()
+  const history = useHistory()
   const id = useId()
 
   // Redux storeから編集対象のタスクを取得
-  const task = useSelector((state) =>
-    state.task.tasks?.find((task) => task.id === taskId)
-  )
+  const task = useSelector((state) => selectTaskById(state, taskId))
 
   // 状態管理
   const [title, setTitle] = useState('')
   const [detail, setDetail] = useState('')
   const [done, setDone] = useState(false)
   const [limit, setLimit] = useState('')
+  const [recurrence, setRecurrence] = useState(null)
+  const [priority, setPriority] = useState(null)
+  const [detailMode, setDetailMode] = useState('write')
   const [isLimitPickerOpen, setIsLimitPickerOpen] = useState(false)
   const [errorMessage, setErrorMessage] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
 
   /**
-   * モーダルが開いたときに現在のリストを設定し、タスク一覧を最新化
+   * モーダルが開いたときに、タスクが所属するリストのキャッシュを最新化
+   * （キャッシュが新しければ再取得しない）
    */
   useEffect(() => {
     if (!isOpen) return
-    void dispatch(setCurrentList(listId))
-    void dispatch(fetchTasks())
+    void dispatch(fetchTasks({ listId }))
   }, [isOpen, listId, dispatch])
 
   /**
@@ -67,10 +83,13 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
       setDetail(task.detail)
       setDone(task.done)
 
-      // ISO形式（UTC）をスラッシュ形式（JST）に変換して表示
+      // ISO形式（UTC）をスラッシュ形式（設定したタイムゾーン）に変換して表示
       // 例: "2025-10-25T07:30:00Z" → "2025/10/25 16:30"
       const limitText = formatISOToJapanese(task.limit || '')
       setLimit(limitText)
+      setRecurrence(task.meta?.recurrence ?? null)
+      setPriority(task.meta?.priority ?? null)
+      setDetailMode('write')
     }
   }, [isOpen, task])
 
@@ -83,12 +102,34 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
       event.preventDefault()
       setIsSubmitting(true)
 
-      // スラッシュ形式（JST）をISO形式（UTC）に変換してDB保存
+      // スラッシュ形式（設定したタイムゾーン）をISO形式（UTC）に変換してDB保存
       // 例: "2025/10/25 16:30" → "2025-10-25T07:30:00Z"
       const nextLimit = parseLimitText(limit)
 
+      // タイトル中の優先度の指定は、選択中の優先度より優先して取り除く
+      let nextTitle = title
+      let nextPriority = priority
+      const foundPriority = findPriorityMarker(title)
+      if (foundPriority) {
+        nextTitle = removePriorityMarker(title, foundPriority) || title
+        nextPriority = foundPriority.priority
+      }
+
+      const meta = setTaskMeta(
+        setTaskMeta(task?.meta, 'recurrence', recurrence),
+        'priority',
+        nextPriority
+      )
+
       void dispatch(
-        updateTask({ id: taskId, title, detail, done, limit: nextLimit })
+        updateTask({
+          id: taskId,
+          title: nextTitle,
+          detail,
+          done,
+          limit: nextLimit,
+          meta,
+        })
       )
         .unwrap()
         .then(() => {
@@ -103,7 +144,18 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
           setIsSubmitting(false)
         })
     },
-    [title, detail, done, limit, taskId, onClose, dispatch]
+    [
+      title,
+      detail,
+      done,
+      limit,
+      recurrence,
+      priority,
+      task,
+      taskId,
+      onClose,
+      dispatch,
+    ]
   )
 
   /**
@@ -122,7 +174,7 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
 
   /**
    * 期限設定ピッカーで確定ボタンが押されたときの処理
-   * @param {string} jpText - スラッシュ形式の日時（JST）
+   * @param {string} jpText - スラッシュ形式の日時（設定したタイムゾーン）
    */
   const handleConfirmLimit = useCallback((jpText) => {
     setLimit(jpText)
@@ -130,14 +182,9 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
 
   /**
    * 削除ボタンをクリックした時の処理
-   * 確認ダイアログを表示してからタスクを削除
+   * タスクを削除（トーストまたはCtrl+Zで取り消せる）
    */
   const handleDelete = useCallback(() => {
-    // 削除前に確認
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return
-    }
-
     setIsSubmitting(true)
 
     void dispatch(deleteTask({ id: taskId }))
@@ -155,6 +202,18 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
       })
   }, [taskId, onClose, dispatch])
 
+  /**
+   * 別のリストへ移動/コピーした時の処理
+   * モーダルを閉じて移動先のリストを表示する
+   */
+  const handleTransferred = useCallback(
+    ({ listId: toListId }) => {
+      onClose?.()
+      history.push(`/lists/${toListId}`)
+    },
+    [onClose, history]
+  )
+
   // モーダルのタイトルに使うID（アクセシビリティ対応）
   const titleId = `${id}-task-edit-title`
 
@@ -194,19 +253,32 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
           />
         </fieldset>
 
-        {/* 詳細入力フィールド（複数行） */}
+        {/* 詳細入力フィールド（複数行）またはプレビュー */}
         <fieldset className="edit_list__form_field">
-          <label htmlFor={`${id}-detail`} className="edit_list__form_label">
-            Description
-          </label>
-          <AppTextField
-            id={`${id}-detail`}
-            placeholder="Blah blah blah"
-            value={detail}
-            multiline
-            required
-            onChange={(e) => setDetail(e.target.value)}
-          />
+          <div className="task_edit_modal__detail_header">
+            <label htmlFor={`${id}-detail`} className="edit_list__form_label">
+              Description
+            </label>
+            <WritePreviewTabs mode={detailMode} onChange={setDetailMode} />
+          </div>
+          {detailMode === 'write' ? (
+            <AppTextField
+              id={`${id}-detail`}
+              placeholder="Blah blah blah"
+              value={detail}
+              multiline
+              required
+              onChange={(e) => setDetail(e.target.value)}
+            />
+          ) : (
+            <div className="write_preview_tabs__preview">
+              {detail ? (
+                <Markdown source={detail} />
+              ) : (
+                <span className="write_preview_tabs__empty">Nothing to preview</span>
+              )}
+            </div>
+          )}
         </fieldset>
 
         {/* 完了チェックボックス */}
@@ -224,6 +296,27 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
           </div>
         </fieldset>
 
+        {/* 優先度 */}
+        <fieldset className="edit_list__form_field">
+          <span id={`${id}-priority`} className="edit_list__form_label">
+            Priority
+          </span>
+          <PriorityPicker
+            value={findPriorityMarker(title)?.priority ?? priority}
+            onChange={(value) => {
+              setPriority(value)
+
+              // タイトル中の優先度の指定は、選んだ方に揃えるため取り除く
+              const found = findPriorityMarker(title)
+              if (found) {
+                setTitle(removePriorityMarker(title, found))
+              }
+            }}
+            disabled={isSubmitting}
+            labelledBy={`${id}-priority`}
+          />
+        </fieldset>
+
         {/* 期限設定ボタン */}
         <fieldset className="edit_list__form_field">
           <button
@@ -246,6 +339,23 @@ export const TaskEditModal = ({ isOpen, onClose, listId, taskId }) => {
           onConfirm={handleConfirmLimit}
         />
 
+        {/* 繰り返しの設定 */}
+        <RecurrenceField
+          value={recurrence}
+          onChange={setRecurrence}
+          limit={parseLimitText(limit)}
+          disabled={isSubmitting}
+        />
+
+        {/* 別のリストへ移動/コピー */}
+        <TaskTransferField
+          taskId={taskId}
+          listId={listId}
+          disabled={isSubmitting}
+          onTransferred={handleTransferred}
+          onError={setErrorMessage}
+        />
+
         {/* ボタンエリア（Delete と Update） */}
         <FormActions
           buttons={[
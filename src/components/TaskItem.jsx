@@ -1,136 +1,181 @@
-import { useState, useCallback } from 'react'
-import { useParams } from 'react-router-dom'
-import { useDispatch } from 'react-redux'
+import { useState, useCallback, useLayoutEffect, useRef } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
 import { PencilIcon } from '~/icons/PencilIcon'
 import { CheckIcon } from '~/icons/CheckIcon'
 import { CalendarIcon } from '~/icons/CalendarIcon'
-import { updateTask } from '~/store/task'
+import { DragHandleIcon } from '~/icons/DragHandleIcon'
+import {
+  updateTask,
+  toggleChecklistItem,
+  selectTaskById,
+  selectIsTaskPending,
+  selectIsTaskSaving,
+  selectTaskTags,
+} from '~/store/task'
+import { useRemainingTime } from '~/hooks/useRemainingTime'
 import { formatISOToJapanese } from '~/utils/dateUtils'
+import { describeRecurrence } from '~/utils/recurrence'
+import { PRIORITIES } from '~/utils/priority'
 import { TaskEditModal } from '~/components/TaskEditModal'
+import { TaskChecklist, TaskChecklistProgress } from '~/components/TaskChecklist'
+import { Markdown } from '~/components/Markdown'
+import { TagChip } from '~/components/TagChip'
+import { checklistProgress } from '~/utils/checklist'
 import './TaskItem.css'
 
+// 詳細がこの高さ（px）を超える場合は折りたたんで「Show more」を表示する（CSSのmax-heightと同じ）
+const COLLAPSED_DETAIL_HEIGHT = 160
+
 /**
  * TaskItem - タスク1件を表示するコンポーネント
  *
  * 【機能】
  * - タスクの完了/未完了をチェックボックスで切り替え
- * - タイトルと詳細を表示
- * - 期限がある場合は期限と残り時間を表示
+ * - タイトルと詳細（Markdown）を表示。長い詳細は折りたたみ、「Show more」で全体を表示
+ * - 優先度（P1〜P4）が設定されている場合は色付きの印を表示
+ * - 期限がある場合は期限と残り時間を表示（残り時間は時間の経過に合わせて更新し、期限ちょうどに期限超過になる）
+ * - 繰り返しタスクは繰り返しの設定を表示
+ * - 詳細中のチェックリストをサブタスクとして扱う（その場でチェックでき、進み具合 n/m を表示）
+ * - タイトル・詳細中の #タグ を色付きのチップで表示（クリックでタグのタスク一覧へ）
  * - 編集ボタンでタスク編集モーダルを開く
+ * - 並べ替え用のハンドルを表示（dragHandlePropsを渡した場合のみ。ドラッグ・キーボードで並べ替える）
+ * - 保存中（API通信中）のタスクは薄く表示する
  *
  * 【受け取るもの】
- * @param {object} task - タスクデータ
+ * @param {string} taskId - 表示するタスクのID（タスク本体はstoreのキャッシュから取得）
+ *   キャッシュ上のタスクは以下を持つ
  *   - id: タスクID
+ *   - listId: 所属するリストID
  *   - title: タスクのタイトル
  *   - detail: タスクの詳細
  *   - done: 完了フラグ（true/false）
  *   - limit: 期限（ISO 8601形式、UTC）
+ *   - meta: 付加情報（繰り返しの設定 meta.recurrence、優先度 meta.priority など）
+ *
+ * @param {boolean} isSelectable - 選択モードかどうか（trueの時、選択用のチェックボックスを表示）
+ * @param {boolean} isSelected - 選択されているか
+ * @param {function} onSelect - 選択を切り替える処理（引数: タスクID, { shiftKey }）
+ * @param {object} dragHandleProps - 並べ替え用のハンドルに渡すprops（useSortableListのgetHandlePropsの結果）
  *
  * 【返すもの】
  * - タスク1件のHTML要素
  */
-export const TaskItem = ({ task }) => {
+export const TaskItem = ({
+  taskId,
+  isSelectable = false,
+  isSelected = false,
+  onSelect,
+  dragHandleProps,
+}) => {
   const dispatch = useDispatch()
-  const { listId } = useParams()
 
-  // taskオブジェクトから必要な情報を取り出す
-  const { id, title, detail, done, limit } = task
+  // storeのキャッシュからタスクを取得し、必要な情報を取り出す
+  const task = useSelector((state) => selectTaskById(state, taskId))
+  const { id, listId, title, detail, done, limit, meta } = task ?? {}
+  const recurrenceText = describeRecurrence(meta?.recurrence)
+  const priority = PRIORITIES.find((p) => p.value === meta?.priority)
+  const progress = checklistProgress(detail)
+  const tags = task ? selectTaskTags(task) : []
 
   // 状態管理
-  const [isSubmitting, setIsSubmitting] = useState(false)
   const [isEditOpen, setIsEditOpen] = useState(false)
-
-  // 期限をフォーマット（UTC → JST変換）
-  // 例: "2025-10-25T07:30:00Z" → "2025/10/25 16:30"
-  const formattedLimit = formatISOToJapanese(limit)
+  const [isDetailExpanded, setIsDetailExpanded] = useState(false)
+  const [isDetailOverflowing, setIsDetailOverflowing] = useState(false)
+  const refDetail = useRef(null)
 
   /**
-   * 期限までの残り時間を計算する関数
-   * @param {string} iso - ISO 8601形式の期限日時（UTC）
-   * @returns {object|null} - { text: 表示テキスト, isOverdue: 期限超過フラグ }
+   * 詳細の高さを測り、折りたたむ必要があるか判定する
    */
-  const calculateTimeRemaining = (iso) => {
-    // 期限が設定されていない場合
-    if (!iso) return null
-
-    // ISO文字列をDateオブジェクトに変換
-    const limitDate = new Date(iso)
-    const now = new Date()
-
-    // 現在時刻と期限の差分をミリ秒で計算
-    const diffMs = limitDate - now
-
-    // 期限超過の場合（差分がマイナス）
-    if (diffMs < 0) {
-      return {
-        text: '期限超過',
-        isOverdue: true
-      }
-    }
-
-    // 差分を各単位に変換
-    const diffMinutes = Math.floor(diffMs / (1000 * 60))
-    const diffHours = Math.floor(diffMs / (1000 * 60 * 60))
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24))
-
-    // 1日以上残っている場合
-    if (diffDays > 0) {
-      const remainingHours = Math.floor(
-        (diffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)
-      )
-      return {
-        text: `残り${diffDays}日${remainingHours}時間`,
-        isOverdue: false
-      }
-    }
-
-    // 1時間以上残っている場合
-    if (diffHours > 0) {
-      const remainingMinutes = Math.floor(
-        (diffMs % (1000 * 60 * 60)) / (1000 * 60)
-      )
-      return {
-        text: `残り${diffHours}時間${remainingMinutes}分`,
-        isOverdue: false
-      }
-    }
-
-    // 1時間未満の場合
-    return {
-      text: `残り${diffMinutes}分`,
-      isOverdue: false
-    }
-  }
+  useLayoutEffect(() => {
+    const elem = refDetail.current
+    setIsDetailOverflowing(
+      Boolean(elem) && elem.scrollHeight > COLLAPSED_DETAIL_HEIGHT
+    )
+  }, [detail])
+
+  // 作成直後でサーバーのIDがまだ無いタスクは編集できない
+  // （作成をoutboxへ積んだタスクは、再送時にIDが置き換わるので編集できる）
+  const isTemporary = useSelector((state) => selectIsTaskSaving(state, id))
+
+  // このタスクに対するAPI通信が完了していないか
+  const isPending = useSelector((state) => selectIsTaskPending(state, id))
 
-  // 残り時間を計算
-  const timeRemaining = calculateTimeRemaining(limit)
+  // 期限をフォーマット（UTC → 設定したタイムゾーンに変換）
+  // 例: "2025-10-25T07:30:00Z" → "2025/10/25 16:30"
+  const formattedLimit = formatISOToJapanese(limit)
+
+  // 期限までの残り時間（共有の時計で、表示が変わる時刻ごとに更新される）
+  // 例: { text: '残り2日3時間', isOverdue: false }
+  const timeRemaining = useRemainingTime(limit)
 
   /**
    * チェックボックスをクリックした時の処理
    * タスクの完了/未完了を切り替える
+   * （storeには即座に反映され、失敗時は自動で元に戻る）
    */
   const handleToggle = useCallback(() => {
-    setIsSubmitting(true)
-
     void dispatch(
       updateTask({
         id,
         done: !done, // 現在の状態を反転
       })
-    ).finally(() => {
-      setIsSubmitting(false)
-    })
+    )
   }, [id, done, dispatch])
 
+  /**
+   * 詳細中のチェックリストの項目を切り替えた時の処理
+   * @param {number} line - 項目の行の位置
+   * @param {boolean} checked - 新しい状態
+   */
+  const handleToggleChecklist = useCallback(
+    (line, checked) => {
+      void dispatch(toggleChecklistItem({ id, line, checked }))
+    },
+    [id, dispatch]
+  )
+
+  // 削除やIDの置き換え直後は、一覧より先にこのコンポーネントが再描画されることがある
+  if (!task) {
+    return null
+  }
+
   return (
-    <div className="task_item">
+    <div
+      className="task_item"
+      data-pending={isPending}
+      data-selected={isSelectable && isSelected}
+    >
       {/* タイトル行 */}
       <div className="task_item__title_container">
+        {/* 並べ替え用のハンドル */}
+        {dragHandleProps && (
+          <button
+            type="button"
+            className="task_item__drag_handle"
+            aria-label={`並べ替え: ${title}`}
+            {...dragHandleProps}
+          >
+            <DragHandleIcon aria-hidden />
+          </button>
+        )}
+
+        {/* 選択用チェックボックス（選択モードの時のみ。Shift+クリックで範囲選択） */}
+        {isSelectable && (
+          <input
+            type="checkbox"
+            className="task_item__select"
+            aria-label={`Select ${title}`}
+            checked={isSelected}
+            readOnly
+            onClick={(event) => onSelect?.(id, { shiftKey: event.shiftKey })}
+          />
+        )}
+
         {/* 完了/未完了チェックボックス */}
         <button
           type="button"
           onClick={handleToggle}
-          disabled={isSubmitting}
+          disabled={isTemporary}
           className="task__item__mark_button"
         >
           {done ? (
@@ -150,6 +195,17 @@ export const TaskItem = ({ task }) => {
           )}
         </button>
 
+        {/* 優先度の印 */}
+        {priority && (
+          <span
+            className="task_item__priority"
+            data-priority={priority.value}
+            title={`優先度: ${priority.description}`}
+          >
+            {priority.label}
+          </span>
+        )}
+
         {/* タイトル */}
         <div className="task_item__title" data-done={done}>
           {title}
@@ -158,27 +214,76 @@ export const TaskItem = ({ task }) => {
         {/* 空白（タイトルと編集ボタンの間） */}
         <div aria-hidden className="task_item__title_spacer" />
 
+        {/* サブタスクの進み具合 */}
+        <TaskChecklistProgress done={progress.done} total={progress.total} />
+
         {/* 編集ボタン */}
         <button
           type="button"
           className="task_item__title_action"
           onClick={() => setIsEditOpen(true)}
+          disabled={isTemporary}
         >
           <PencilIcon aria-label="Edit" />
         </button>
       </div>
 
-      {/* 詳細 */}
-      <div className="task_item__detail">{detail}</div>
+      {/* タグ */}
+      {tags.length > 0 && (
+        <div className="task_item__tags">
+          {tags.map((tag) => (
+            <TagChip key={tag} tag={tag} />
+          ))}
+        </div>
+      )}
 
-      {/* 期限情報（期限が設定されている場合のみ表示） */}
-      {limit && (
+      {/* 詳細（Markdown。チェックリストはその場でチェックできる） */}
+      {detail && (
+        <div className="task_item__detail_container">
+          <div
+            ref={refDetail}
+            className="task_item__detail"
+            data-collapsed={isDetailOverflowing && !isDetailExpanded}
+          >
+            <Markdown
+              source={detail}
+              onToggleTask={handleToggleChecklist}
+              disabled={isTemporary}
+            />
+          </div>
+          {isDetailOverflowing && (
+            <button
+              type="button"
+              className="task_item__detail_toggle"
+              aria-expanded={isDetailExpanded}
+              onClick={() => setIsDetailExpanded((prev) => !prev)}
+            >
+              {isDetailExpanded ? 'Show less' : 'Show more'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* サブタスクの設定（すべてチェックしたら完了にする） */}
+      <TaskChecklist taskId={id} disabled={isTemporary} showItems={false} />
+
+      {/* 期限情報（期限または繰り返しが設定されている場合のみ表示） */}
+      {(limit || recurrenceText) && (
         <div className="task_item__limit_row">
           {/* 期限日時 */}
-          <div className="task_item__limit">
-            <CalendarIcon className="task_item__limit_icon" />
-            <span className="task_item__limit_value">{formattedLimit}</span>
-          </div>
+          {limit && (
+            <div className="task_item__limit">
+              <CalendarIcon className="task_item__limit_icon" />
+              <span className="task_item__limit_value">{formattedLimit}</span>
+            </div>
+          )}
+
+          {/* 繰り返しの設定 */}
+          {recurrenceText && (
+            <div className="task_item__recurrence" title="繰り返し">
+              ↻ {recurrenceText}
+            </div>
+          )}
 
           {/* 残り時間バッジ */}
           {timeRemaining && (
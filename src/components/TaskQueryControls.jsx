@@ -0,0 +1,65 @@
+import { useId } from '~/hooks/useId'
+import { SORT_OPTIONS, DUE_FILTER_OPTIONS } from '~/utils/taskQuery'
+import './TaskQueryControls.css'
+
+/**
+ * TaskQueryControls - タスク一覧の並び替え・絞り込みの操作欄
+ *
+ * 【機能】
+ * - 並び替え: 手動 / 作成順 / 期限が近い順 / 優先度→期限順 / タイトル順 / 未完了を先に
+ * - 期限で絞り込み: 期限切れ / 今日 / 今週 / 期限なし
+ * - 未完了のタスクだけを表示
+ *
+ * 【受け取るもの】
+ * @param {object} query - 現在の条件 { sort, due, incompleteOnly }
+ * @param {function} onChange - 条件の変更時の処理（引数: 変更する項目だけのオブジェクト）
+ *
+ * 【返すもの】
+ * - 操作欄のHTML要素
+ */
+export const TaskQueryControls = ({ query, onChange }) => {
+  const id = useId()
+
+  return (
+    <div className="task_query_controls">
+      <label htmlFor={`${id}-sort`} className="task_query_controls__label">
+        Sort
+      </label>
+      <select
+        id={`${id}-sort`}
+        className="app_input task_query_controls__select"
+        value={query.sort}
+        onChange={(e) => onChange({ sort: e.target.value })}
+      >
+        {SORT_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <label htmlFor={`${id}-due`} className="task_query_controls__label">
+        Filter
+      </label>
+      <select
+        id={`${id}-due`}
+        className="app_input task_query_controls__select"
+        value={query.due}
+        onChange={(e) => onChange({ due: e.target.value })}
+      >
+        {DUE_FILTER_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <label className="task_query_controls__checkbox">
+        <input
+          type="checkbox"
+          checked={query.incompleteOnly}
+          onChange={(e) => onChange({ incompleteOnly: e.target.checked })}
+        />
+        未完了のみ
+      </label>
+    </div>
+  )
+}
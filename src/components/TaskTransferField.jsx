@@ -0,0 +1,113 @@
+import { useCallback, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { moveTask, copyTask } from '~/store/task'
+import { useId } from '~/hooks/useId'
+import './TaskTransferField.css'
+
+/**
+ * TaskTransferField - タスクを別のリストへ移動/コピーする入力欄
+ *
+ * 【機能】
+ * - 移動先のリストを選択（現在のリストは除く）
+ * - 移動: 移動先に作成してから元のリストから削除
+ * - コピー: 移動先に同じ内容（タイトル・詳細・完了状態・期限）のタスクを作成
+ *
+ * 【受け取るもの】
+ * @param {string} taskId - 対象のタスクID
+ * @param {string} listId - タスクが現在所属しているリストID
+ * @param {boolean} disabled - 無効化するか（親フォームの送信中など）
+ * @param {function} onTransferred - 完了時の処理（引数: { mode: 'move' | 'copy', listId, taskId }）
+ * @param {function} onError - 失敗時の処理（引数: エラーメッセージ）
+ *
+ * 【返すもの】
+ * - fieldsetのHTML要素
+ */
+export const TaskTransferField = ({
+  taskId,
+  listId,
+  disabled = false,
+  onTransferred,
+  onError,
+}) => {
+  const dispatch = useDispatch()
+  const id = useId()
+
+  const lists = useSelector((state) => state.list.lists)
+  const targetLists = lists?.filter((list) => list.id !== listId) ?? []
+
+  // 状態管理
+  const [toListId, setToListId] = useState('')
+  const [isTransferring, setIsTransferring] = useState(false)
+
+  /**
+   * 移動またはコピーを実行する
+   * @param {'move' | 'copy'} mode
+   */
+  const transfer = useCallback(
+    (mode) => {
+      if (!toListId) return
+
+      setIsTransferring(true)
+
+      const action = mode === 'move' ? moveTask : copyTask
+
+      void dispatch(action({ id: taskId, toListId }))
+        .unwrap()
+        .then((newTaskId) => {
+          onTransferred?.({ mode, listId: toListId, taskId: newTaskId })
+        })
+        .catch((err) => {
+          onError?.(err.message)
+        })
+        .finally(() => {
+          setIsTransferring(false)
+        })
+    },
+    [taskId, toListId, dispatch, onTransferred, onError]
+  )
+
+  const isDisabled = disabled || isTransferring || !toListId
+
+  return (
+    <fieldset className="edit_list__form_field">
+      <label htmlFor={`${id}-transfer`} className="edit_list__form_label">
+        List
+      </label>
+      <div className="task_transfer_field">
+        <select
+          id={`${id}-transfer`}
+          className="app_input task_transfer_field__select"
+          value={toListId}
+          disabled={disabled || isTransferring || targetLists.length === 0}
+          onChange={(e) => setToListId(e.target.value)}
+        >
+          <option value="">
+            {targetLists.length === 0 ? '他のリストがありません' : '移動/コピー先のリスト'}
+          </option>
+          {targetLists.map((list) => (
+            <option key={list.id} value={list.id}>
+              {list.title}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="app_button"
+          data-variant="secondary"
+          disabled={isDisabled}
+          onClick={() => transfer('copy')}
+        >
+          Copy
+        </button>
+        <button
+          type="button"
+          className="app_button"
+          disabled={isDisabled}
+          onClick={() => transfer('move')}
+        >
+          Move
+        </button>
+      </div>
+    </fieldset>
+  )
+}
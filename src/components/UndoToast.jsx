@@ -0,0 +1,83 @@
+import { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { undo, redo, dismissToast } from '~/store/history'
+import './UndoToast.css'
+
+// トーストを自動で閉じるまでの時間
+const TOAST_DURATION_MS = 6000
+
+/**
+ * UndoToast - 直前の操作を知らせるトースト（画面右下）
+ *
+ * 【機能】
+ * - タスク・リストの更新や削除の直後に内容を表示
+ * - 「元に戻す」「やり直す」ボタンで操作履歴を辿る（Ctrl+Z / Ctrl+Shift+Z と同じ）
+ * - 一定時間で自動的に閉じる
+ *
+ * 【受け取るもの】
+ * なし
+ *
+ * 【返すもの】
+ * - トーストのHTML要素（表示する内容がない場合は何も返さない）
+ */
+export const UndoToast = () => {
+  const dispatch = useDispatch()
+
+  const toast = useSelector((state) => state.history.toast)
+  const canUndo = useSelector((state) => state.history.past.length > 0)
+  const canRedo = useSelector((state) => state.history.future.length > 0)
+  const isApplying = useSelector((state) => state.history.isApplying)
+
+  /**
+   * 新しいトーストが表示されたら、一定時間後に閉じる
+   */
+  useEffect(() => {
+    if (!toast) return
+
+    const timer = setTimeout(() => {
+      dispatch(dismissToast())
+    }, TOAST_DURATION_MS)
+
+    return () => {
+      clearTimeout(timer)
+    }
+  }, [toast, dispatch])
+
+  if (!toast) {
+    return null
+  }
+
+  return (
+    <div className="undo_toast" role="status" aria-live="polite">
+      <span className="undo_toast__message">{toast.message}</span>
+      {canUndo && (
+        <button
+          type="button"
+          className="undo_toast__action"
+          onClick={() => dispatch(undo())}
+          disabled={isApplying}
+        >
+          元に戻す
+        </button>
+      )}
+      {canRedo && (
+        <button
+          type="button"
+          className="undo_toast__action"
+          onClick={() => dispatch(redo())}
+          disabled={isApplying}
+        >
+          やり直す
+        </button>
+      )}
+      <button
+        type="button"
+        className="undo_toast__close"
+        aria-label="Close"
+        onClick={() => dispatch(dismissToast())}
+      >
+        ×
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import './WritePreviewTabs.css'
+
+/**
+ * WritePreviewTabs - 詳細の入力欄の「Write / Preview」切り替え
+ *
+ * 【受け取るもの】
+ * @param {'write' | 'preview'} mode - 現在のモード
+ * @param {function} onChange - モードを切り替えた時の処理（引数: 新しいモード）
+ * @param {function} onFocus - ボタンにフォーカスした時の処理（省略可能）
+ *
+ * 【返すもの】
+ * - タブのHTML要素
+ */
+export const WritePreviewTabs = ({ mode, onChange, onFocus }) => {
+  return (
+    <div className="write_preview_tabs" role="tablist">
+      {['write', 'preview'].map((value) => (
+        <button
+          key={value}
+          type="button"
+          role="tab"
+          className="write_preview_tabs__tab"
+          aria-selected={mode === value}
+          data-active={mode === value}
+          onClick={() => onChange(value)}
+          onFocus={onFocus}
+        >
+          {value === 'write' ? 'Write' : 'Preview'}
+        </button>
+      ))}
+    </div>
+  )
+}
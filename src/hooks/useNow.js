@@ -0,0 +1,33 @@
+import { useCallback, useRef, useSyncExternalStore } from 'react';
+import { subscribeClock } from '~/utils/clock';
+
+/*
+ * 現在時刻を一定間隔で更新して返す（期限の判定や件数を時間の経過に合わせて更新するため）
+ * 共有の時計（~/utils/clock）を使うので、呼び出し元がいくつあっても同じ区切り（毎分0秒など）で
+ * まとめて更新され、タブが非表示の間は止まる
+ * @param {number} intervalMs - 更新間隔（ミリ秒）
+ */
+export const useNow = (intervalMs = 60 * 1000) => {
+  // NOTE: 同じ区切りの間は同じDateを返す（useSyncExternalStoreは値が変わった時だけ再描画する）
+  const cache = useRef(null);
+
+  const subscribe = useCallback(
+    notify =>
+      subscribeClock(
+        now => (Math.floor(now / intervalMs) + 1) * intervalMs,
+        notify,
+      ),
+    [intervalMs],
+  );
+
+  const getNow = () => {
+    const period = `${intervalMs}:${Math.floor(Date.now() / intervalMs)}`;
+    if (cache.current?.period !== period) {
+      cache.current = { period, now: new Date() };
+    }
+
+    return cache.current.now;
+  };
+
+  return useSyncExternalStore(subscribe, getNow, getNow);
+};
@@ -0,0 +1,80 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { flushOutbox, loadOutbox, setIsOnline } from '~/store/sync';
+
+// NOTE: 送れないまま終わった再送の後は、5秒から倍々に（最大5分まで）間隔を空けて再送する
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+/*
+ * オンライン/オフラインの切り替えを監視し、オンライン復帰時にoutboxを再送する
+ * アプリ起動時にも、前回のセッションで送れなかった分があれば再送する
+ * 接続が切れずに送れなかった場合（サーバーの一時的なエラーなど）に備えて、
+ * 未送信分がある間は間隔を空けて再送し、タブに戻った時にも再送する
+ */
+export const useOutboxSync = () => {
+  const dispatch = useDispatch();
+  const pendingCount = useSelector(state => state.sync.pendingCount);
+  const isSyncing = useSelector(state => state.sync.isSyncing);
+  const retryCount = useSelector(state => state.sync.retryCount);
+  const isLoggedIn = useSelector(state => state.auth.token !== null);
+
+  useEffect(() => {
+    void dispatch(loadOutbox())
+      .unwrap()
+      .then(() => {
+        if (navigator.onLine) {
+          void dispatch(flushOutbox());
+        }
+      })
+      .catch(() => {
+        // IndexedDBが使えない環境（プライベートモードなど）では、未送信分は無いものとして続ける
+      });
+
+    const flushIfOnline = () => {
+      if (navigator.onLine) {
+        void dispatch(flushOutbox());
+      }
+    };
+    const handleOnline = () => {
+      dispatch(setIsOnline(true));
+      void dispatch(flushOutbox());
+    };
+    const handleOffline = () => {
+      dispatch(setIsOnline(false));
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        flushIfOnline();
+      }
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('focus', flushIfOnline);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('focus', flushIfOnline);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [dispatch]);
+
+  // 未送信分がある間は、間隔を空けて再送する（オフラインの間はonlineイベントを待つ）
+  useEffect(() => {
+    if (pendingCount === 0 || isSyncing || !isLoggedIn) {
+      return;
+    }
+
+    const delay = Math.min(RETRY_BASE_MS * 2 ** retryCount, RETRY_MAX_MS);
+    const timer = setTimeout(() => {
+      if (navigator.onLine) {
+        void dispatch(flushOutbox());
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [dispatch, pendingCount, isSyncing, retryCount, isLoggedIn]);
+};
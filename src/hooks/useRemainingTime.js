@@ -0,0 +1,26 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { subscribeClock } from '~/utils/clock';
+import {
+  OVERDUE_TEXT,
+  describeRemainingTime,
+  nextRemainingTimeChange,
+} from '~/utils/remainingTime';
+
+/*
+ * 期限までの残り時間を、表示が変わるたびに更新して返す
+ * 共有の時計（~/utils/clock）を使うので、タイマーは表示が次に変わる時刻の1つだけで、タブが非表示の間は止まる
+ * @param {string} limit - ISO 8601形式の期限日時（UTC）
+ * @returns {{ text: string, isOverdue: boolean } | null} - 期限が無ければnull
+ */
+export const useRemainingTime = limit => {
+  const subscribe = useCallback(
+    notify =>
+      subscribeClock(now => nextRemainingTimeChange(limit, now), notify),
+    [limit],
+  );
+
+  const getText = () => describeRemainingTime(limit)?.text ?? null;
+  const text = useSyncExternalStore(subscribe, getText, getText);
+
+  return text === null ? null : { text, isOverdue: text === OVERDUE_TEXT };
+};
@@ -0,0 +1,204 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { moveItem } from '~/utils/manualOrder';
+
+/*
+ * ドラッグとキーボードで並べ替えられる一覧
+ * - ハンドルをドラッグすると、ポインターの位置に合わせて表示順を入れ替え、離すと確定する
+ * - ハンドルにフォーカスしてSpace/Enterで持ち上げ、↑↓（Home/End）で移動、
+ *   Space/Enterで確定、Esc（またはTab）で取り消す
+ * - 操作の状況はスクリーンリーダー向けのメッセージ（announcement）で知らせる
+ * - getDropTargetを渡すと、一覧の外の要素（サイドバーのリストなど）の上で離した時にonDropを呼ぶ
+ *
+ * @param {string[]} ids - 表示順のID
+ * @param {object} options
+ * @param {function} options.onMove - 確定時の処理（引数: 並べ替えた後のIDの配列, 動かしたID）
+ * @param {function} options.getLabel - IDから読み上げ用の名前を返す関数
+ * @param {function} options.getDropTarget - ポインターの位置（clientX, clientY）にある
+ *   ドロップ先を返す関数（無ければnull。省略可）
+ * @param {function} options.onDrop - ドロップ先で離した時の処理（引数: 動かしたID, ドロップ先）。
+ *   読み上げるメッセージを返す
+ * @returns {{ orderedIds, draggingId, dropTarget, announcement, getItemProps, getHandleProps }}
+ */
+export const useSortableList = (
+  ids,
+  { onMove, getLabel, getDropTarget, onDrop },
+) => {
+  // NOTE: 並べ替え中の状態 { id, mode: 'pointer' | 'keyboard', order, dropTarget }
+  const [drag, setDrag] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const itemRefs = useRef(new Map());
+  const handleRefs = useRef(new Map());
+
+  /*
+   * 並べ替え中に一覧のタスクが増減した（削除・他の端末での追加など）場合は取り消す
+   * NOTE: idsは再取得や時刻の更新のたびに作り直されるので、配列ではなく中身で比べる
+   */
+  const idSetKey = [...ids].sort().join('\n');
+  useEffect(() => {
+    setDrag(null);
+  }, [idSetKey]);
+
+  // キーボードで動かした後も、動かしているタスクのハンドルにフォーカスを保つ
+  useLayoutEffect(() => {
+    if (drag?.mode === 'keyboard') {
+      handleRefs.current.get(drag.id)?.focus();
+    }
+  }, [drag]);
+
+  const describePosition = (order, id) =>
+    `${order.indexOf(id) + 1} / ${order.length} 番目`;
+
+  const start = (id, mode) => {
+    setDrag({ id, mode, order: ids, dropTarget: null });
+    setAnnouncement(
+      `「${getLabel(id)}」を持ち上げました。現在 ${describePosition(ids, id)}です。` +
+        (mode === 'keyboard'
+          ? '↑↓キーで移動し、SpaceかEnterで置きます。Escで取り消します。'
+          : ''),
+    );
+  };
+
+  const moveTo = (index, { announce }) => {
+    const from = drag.order.indexOf(drag.id);
+    const to = Math.min(Math.max(index, 0), drag.order.length - 1);
+    if (from === to) return;
+
+    const order = moveItem(drag.order, from, to);
+    setDrag({ ...drag, order });
+    if (announce) {
+      setAnnouncement(`${describePosition(order, drag.id)}に移動しました`);
+    }
+  };
+
+  const drop = () => {
+    const { id, order, dropTarget } = drag;
+    setDrag(null);
+
+    if (dropTarget) {
+      setAnnouncement(onDrop(id, dropTarget) ?? '');
+      return;
+    }
+
+    setAnnouncement(
+      `「${getLabel(id)}」を ${describePosition(order, id)}に置きました`,
+    );
+
+    if (order.some((orderId, index) => orderId !== ids[index])) {
+      onMove(order, id);
+    }
+  };
+
+  const cancel = () => {
+    setDrag(null);
+    setAnnouncement('並べ替えを取り消し、元の位置に戻しました');
+  };
+
+  /*
+   * ポインターの高さから、動かしているタスクを入れる位置を求める
+   * （他のタスクの中央より下にポインターがあれば、そのタスクの後ろに入れる）
+   */
+  const indexAtPointer = clientY =>
+    drag.order
+      .filter(id => id !== drag.id)
+      .filter(id => {
+        const rect = itemRefs.current.get(id)?.getBoundingClientRect();
+        return rect && clientY > rect.top + rect.height / 2;
+      }).length;
+
+  const setRef = (refs, id) => elem => {
+    if (elem) {
+      refs.current.set(id, elem);
+    } else {
+      refs.current.delete(id);
+    }
+  };
+
+  const getItemProps = id => ({
+    ref: setRef(itemRefs, id),
+    'data-dragging': drag?.id === id,
+  });
+
+  const getHandleProps = id => ({
+    ref: setRef(handleRefs, id),
+    'aria-pressed': drag?.id === id,
+    onPointerDown: e => {
+      if (drag || e.button !== 0) return;
+
+      e.preventDefault();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      start(id, 'pointer');
+    },
+    onPointerMove: e => {
+      if (drag?.mode !== 'pointer' || drag.id !== id) return;
+
+      // 一覧の外のドロップ先の上にある間は、一覧の中では動かさない
+      const dropTarget = getDropTarget?.(e.clientX, e.clientY) ?? null;
+      if (dropTarget !== drag.dropTarget) {
+        setDrag({ ...drag, dropTarget });
+      } else if (!dropTarget) {
+        moveTo(indexAtPointer(e.clientY), { announce: false });
+      }
+    },
+    onPointerUp: () => {
+      if (drag?.mode === 'pointer' && drag.id === id) {
+        drop();
+      }
+    },
+    onPointerCancel: () => {
+      if (drag?.mode === 'pointer' && drag.id === id) {
+        cancel();
+      }
+    },
+    onKeyDown: e => {
+      if (!drag) {
+        if (e.key === ' ' || e.key === 'Enter') {
+          e.preventDefault();
+          start(id, 'keyboard');
+        }
+        return;
+      }
+
+      if (drag.mode !== 'keyboard' || drag.id !== id) return;
+
+      const index = drag.order.indexOf(id);
+      switch (e.key) {
+      case 'ArrowUp':
+        e.preventDefault();
+        moveTo(index - 1, { announce: true });
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        moveTo(index + 1, { announce: true });
+        break;
+      case 'Home':
+        e.preventDefault();
+        moveTo(0, { announce: true });
+        break;
+      case 'End':
+        e.preventDefault();
+        moveTo(drag.order.length - 1, { announce: true });
+        break;
+      case ' ':
+      case 'Enter':
+        e.preventDefault();
+        drop();
+        break;
+      case 'Escape':
+      case 'Tab':
+        cancel();
+        break;
+      default:
+        break;
+      }
+    },
+  });
+
+  return {
+    orderedIds: drag ? drag.order : ids,
+    draggingId: drag?.id ?? null,
+    dropTarget: drag?.dropTarget ?? null,
+    announcement,
+    getItemProps,
+    getHandleProps,
+  };
+};
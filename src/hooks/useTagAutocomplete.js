@@ -0,0 +1,135 @@
+import { useCallback, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { selectAllTags } from '~/store/task';
+import { findPartialTag, normalizeTag } from '~/utils/tags';
+import { useId } from '~/hooks/useId';
+
+// NOTE: 一度に表示する候補の最大数
+const MAX_SUGGESTIONS = 8;
+
+/*
+ * 入力欄で # に続けて入力している間、既存のタグを候補として表示する
+ * - ↑↓で候補を選び、Enter/Tabで確定、Escで閉じる
+ * - 確定すると入力途中のタグを候補で置き換え、キャレットをその後ろへ移す
+ *
+ * @param {string} value - 入力欄の値
+ * @param {function} setValue - 入力欄の値を変更する関数
+ * @returns {{ inputRef, inputProps, listboxId, suggestions, activeIndex, accept, close }}
+ */
+export const useTagAutocomplete = (value, setValue) => {
+  const tags = useSelector(selectAllTags);
+  const listboxId = `tag-suggestions-${useId()}`;
+
+  const inputRef = useRef(null);
+  const pendingCaretRef = useRef(null);
+  const [partial, setPartial] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = useMemo(() => {
+    if (!partial) return [];
+
+    const key = normalizeTag(partial.prefix);
+    return tags
+      .map(({ tag }) => tag)
+      .filter(tag => {
+        const normalized = normalizeTag(tag);
+        return normalized.startsWith(key) && normalized !== key;
+      })
+      .slice(0, MAX_SUGGESTIONS);
+  }, [partial, tags]);
+
+  // 候補を確定した後、入力欄の値が変わってからキャレットを動かす
+  useLayoutEffect(() => {
+    if (pendingCaretRef.current !== null && inputRef.current) {
+      const caret = pendingCaretRef.current;
+      pendingCaretRef.current = null;
+      inputRef.current.setSelectionRange(caret, caret);
+    }
+  }, [value]);
+
+  const updatePartial = useCallback(elem => {
+    const caret = elem.selectionStart ?? elem.value.length;
+    setPartial(findPartialTag(elem.value, caret));
+    setActiveIndex(0);
+  }, []);
+
+  const accept = useCallback(
+    tag => {
+      if (!partial) return;
+
+      const rest = value.slice(partial.end);
+      const inserted = `#${tag}${rest.startsWith(' ') ? '' : ' '}`;
+
+      // キャレットはタグの後ろの空白の後ろへ
+      pendingCaretRef.current = partial.start + `#${tag} `.length;
+      setValue(value.slice(0, partial.start) + inserted + rest);
+      setPartial(null);
+    },
+    [partial, value, setValue],
+  );
+
+  const onChange = useCallback(
+    e => {
+      setValue(e.target.value);
+      updatePartial(e.target);
+    },
+    [setValue, updatePartial],
+  );
+
+  const onKeyDown = useCallback(
+    e => {
+      // 日本語入力の変換中はキー操作を横取りしない
+      if (suggestions.length === 0 || e.nativeEvent.isComposing) return;
+
+      switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(prev => (prev + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(
+          prev => (prev - 1 + suggestions.length) % suggestions.length,
+        );
+        break;
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        accept(suggestions[activeIndex] ?? suggestions[0]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        setPartial(null);
+        break;
+      default:
+        break;
+      }
+    },
+    [suggestions, activeIndex, accept],
+  );
+
+  const isOpen = suggestions.length > 0;
+
+  return {
+    inputRef,
+    listboxId,
+    suggestions,
+    activeIndex,
+    accept,
+    inputProps: {
+      ref: inputRef,
+      onChange,
+      onKeyDown,
+      // クリックや←→でキャレットが動いた時も候補を更新する
+      onSelect: e => updatePartial(e.target),
+      role: 'combobox',
+      'aria-autocomplete': 'list',
+      'aria-expanded': isOpen,
+      'aria-controls': listboxId,
+      'aria-activedescendant': isOpen
+        ? `${listboxId}-${activeIndex}`
+        : undefined,
+    },
+    close: () => setPartial(null),
+  };
+};
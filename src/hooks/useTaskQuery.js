@@ -0,0 +1,27 @@
+import { useCallback, useMemo } from 'react';
+import { useHistory, useLocation } from 'react-router-dom';
+import { parseTaskQuery, stringifyTaskQuery } from '~/utils/taskQuery';
+
+/*
+ * タスク一覧の並び替え・絞り込み条件をクエリ文字列と同期する
+ * 条件の変更は履歴を増やさないよう history.replace で反映する
+ */
+export const useTaskQuery = () => {
+  const history = useHistory();
+  const location = useLocation();
+
+  const query = useMemo(() => parseTaskQuery(location.search), [location.search]);
+
+  const setQuery = useCallback(
+    patch => {
+      const search = stringifyTaskQuery(
+        { ...query, ...patch },
+        location.search,
+      );
+      history.replace({ pathname: location.pathname, search });
+    },
+    [query, history, location.pathname, location.search],
+  );
+
+  return [query, setQuery];
+};
@@ -0,0 +1,20 @@
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { createSearchIndex } from '~/utils/searchIndex';
+
+// NOTE: インデックスはアプリ全体で1つ。storeのタスクと差分だけ同期する
+const searchIndex = createSearchIndex();
+
+/*
+ * 読み込み済みの全タスクを対象に全文検索する
+ * タスクが追加・更新・削除されると、変わったタスクだけインデックスし直して再検索する
+ */
+export const useTaskSearch = query => {
+  const entities = useSelector(state => state.task.entities);
+
+  return useMemo(() => {
+    searchIndex.sync(entities);
+
+    return searchIndex.search(query);
+  }, [entities, query]);
+};
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+/*
+ * タスクの複数選択を管理する
+ * - Shiftを押しながらの選択で、直前に選択したタスクからの範囲をまとめて選択する
+ * - orderedIds（表示順のタスクID）から消えたタスクは、選択からも外す
+ */
+export const useTaskSelection = orderedIds => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const anchorIdRef = useRef(null);
+
+  useEffect(() => {
+    setSelectedIds(prev => {
+      const next = prev.filter(id => orderedIds.includes(id));
+      return next.length === prev.length ? prev : next;
+    });
+  }, [orderedIds]);
+
+  const toggle = useCallback(
+    (id, { shiftKey = false } = {}) => {
+      const anchorId = anchorIdRef.current;
+      const anchorIdx = orderedIds.indexOf(anchorId);
+      const idx = orderedIds.indexOf(id);
+
+      if (shiftKey && anchorIdx !== -1 && idx !== -1) {
+        const [from, to] = anchorIdx < idx ? [anchorIdx, idx] : [idx, anchorIdx];
+        const range = orderedIds.slice(from, to + 1);
+
+        setSelectedIds(prev => Array.from(new Set([...prev, ...range])));
+      } else {
+        setSelectedIds(prev =>
+          prev.includes(id)
+            ? prev.filter(selectedId => selectedId !== id)
+            : [...prev, id],
+        );
+      }
+
+      anchorIdRef.current = id;
+    },
+    [orderedIds],
+  );
+
+  const selectAll = useCallback(() => {
+    setSelectedIds(orderedIds);
+  }, [orderedIds]);
+
+  const clear = useCallback(() => {
+    setSelectedIds([]);
+    anchorIdRef.current = null;
+  }, []);
+
+  const selectedSet = useMemo(() => new Set(selectedIds), [selectedIds]);
+  const isSelected = useCallback(id => selectedSet.has(id), [selectedSet]);
+
+  return {
+    selectedIds,
+    setSelectedIds,
+    isSelected,
+    toggle,
+    selectAll,
+    clear,
+  };
+};
@@ -0,0 +1,40 @@
+import { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { undo, redo } from '~/store/history';
+
+// NOTE: 入力欄の中ではブラウザ標準のテキストの取り消しを優先する
+const isEditableTarget = target =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/*
+ * Ctrl+Z（Macは⌘+Z）で取り消し、Ctrl+Shift+Z / Ctrl+Y でやり直し
+ */
+export const useUndoShortcuts = () => {
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    const handleKeyDown = event => {
+      if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        void dispatch(undo());
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        void dispatch(redo());
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [dispatch]);
+};
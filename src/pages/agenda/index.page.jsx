@@ -0,0 +1,486 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useHistory, useLocation } from 'react-router-dom'
+import { ChevronIcon } from '~/icons/ChevronIcon'
+import { fetchAllTasks, selectAllTasksStatus, updateTask } from '~/store/task'
+import { selectOrderedLists } from '~/store/order'
+import { showToast } from '~/store/history'
+import { useNow } from '~/hooks/useNow'
+import {
+  MINUTES_PER_DAY,
+  TIME_STEP_MINUTES,
+  WEEKDAY_LABELS,
+  addDays,
+  datePartsToISO,
+  isoToDateParts,
+  minutesToTime,
+  timeToMinutes,
+  todayDateKey,
+  weekDateKeys,
+  weekStartKey,
+} from '~/utils/calendar'
+import {
+  formatISOToJapanese,
+  formatISOToJapaneseTime,
+} from '~/utils/dateUtils'
+import { priorityLabel } from '~/utils/priority'
+import './index.css'
+
+// 1時間の高さ（px）。タスクは TIME_STEP_MINUTES 分の高さで表示する
+const HOUR_HEIGHT = 48
+const STEP_HEIGHT = (HOUR_HEIGHT * TIME_STEP_MINUTES) / 60
+
+// 表示を開いた時に見えるようにする時刻
+const INITIAL_SCROLL_HOUR = 8
+
+// これ以上動かしたらクリックではなくドラッグとみなす（px）
+const DRAG_THRESHOLD = 4
+
+const HOURS = Array.from({ length: 24 }, (_, i) => i)
+
+// ?week=YYYY-MM-DD の形式（週の中のどの日でもよい）
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// NOTE: 入力欄の中ではカーソル移動を優先する
+const isEditableTarget = target =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+
+/**
+ * 1日のタスクを、時刻が重なるものは横に並ぶよう列（lane）に割り当てる
+ * @returns {Array<{ task, minutes, lane, laneCount }>}
+ */
+const layoutDayTasks = tasks => {
+  const items = tasks.map(task => ({
+    task,
+    minutes: timeToMinutes(isoToDateParts(task.limit).time),
+  }))
+  const placed = []
+  let cluster = []
+  let laneEnds = []
+
+  // 重なりが途切れたところで、それまでのまとまりの列数を確定する
+  const closeCluster = () => {
+    cluster.forEach(item => {
+      item.laneCount = laneEnds.length
+    })
+    cluster = []
+    laneEnds = []
+  }
+
+  items.forEach(item => {
+    if (laneEnds.length > 0 && laneEnds.every(end => end <= item.minutes)) {
+      closeCluster()
+    }
+
+    const free = laneEnds.findIndex(end => end <= item.minutes)
+    const lane = free === -1 ? laneEnds.length : free
+    laneEnds[lane] = item.minutes + TIME_STEP_MINUTES
+
+    const entry = { ...item, lane }
+    cluster.push(entry)
+    placed.push(entry)
+  })
+  closeCluster()
+
+  return placed
+}
+
+const Agenda = () => {
+  const dispatch = useDispatch()
+  const history = useHistory()
+  const { search } = useLocation()
+  const now = useNow()
+
+  const lists = useSelector(selectOrderedLists)
+  const entities = useSelector(state => state.task.entities)
+
+  // 表示する週と絞り込むリストはURLに持たせる（再読み込み・共有しても同じ表示になる）
+  const params = new URLSearchParams(search)
+  const today = todayDateKey(now)
+  const weekParam = params.get('week') ?? ''
+  const weekStart = weekStartKey(
+    DATE_PATTERN.test(weekParam) ? weekParam : today
+  )
+  const listId = params.get('list') || null
+
+  const days = useMemo(() => weekDateKeys(weekStart), [weekStart])
+  const weekEnd = days[days.length - 1]
+
+  // ドラッグ中のタスク { taskId, startY, minutes, previewMinutes, moved }
+  const [drag, setDrag] = useState(null)
+  // ドラッグ直後のクリック（タスクの編集ページへの遷移）を打ち消すため
+  const suppressClickRef = useRef(false)
+  const scrollRef = useRef(null)
+
+  const filteredTasks = useMemo(
+    () =>
+      Object.values(entities)
+        .filter(task => task.limit && (!listId || task.listId === listId))
+        .sort((a, b) => new Date(a.limit) - new Date(b.limit)),
+    [entities, listId]
+  )
+
+  // 表示中の週のタスクを日付（設定したタイムゾーン）ごとに並べる
+  const layoutByDate = useMemo(() => {
+    const groups = {}
+    filteredTasks.forEach(task => {
+      const date = isoToDateParts(task.limit)?.date
+      if (!date || date < weekStart || date > weekEnd) return
+      groups[date] = [...(groups[date] ?? []), task]
+    })
+    return Object.fromEntries(
+      Object.entries(groups).map(([date, tasks]) => [
+        date,
+        layoutDayTasks(tasks),
+      ])
+    )
+  }, [filteredTasks, weekStart, weekEnd])
+
+  // 期限切れのレーン（表示中の週に関わらず、未完了で期限を過ぎたタスク）
+  const overdueTasks = useMemo(
+    () => filteredTasks.filter(task => !task.done && new Date(task.limit) < now),
+    [filteredTasks, now]
+  )
+
+  const nowParts = isoToDateParts(now.toISOString())
+  const nowTop = (timeToMinutes(nowParts.time) / 60) * HOUR_HEIGHT
+
+  // まだタスクを取得していないリストがある間は、予定が揃っていない
+  // （取得に失敗したリストは待たずに、読み込めた分とエラーを表示する）
+  const { isLoading, errorMessage } = useSelector(selectAllTasksStatus)
+
+  // 全リストのタスクから期限のあるものを探す
+  useEffect(() => {
+    if (lists) {
+      void dispatch(fetchAllTasks())
+    }
+  }, [lists])
+
+  // 朝の時間帯が見えるようにスクロールしておく
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = INITIAL_SCROLL_HOUR * HOUR_HEIGHT
+    }
+  }, [])
+
+  /**
+   * URLのクエリを書き換える（履歴は増やさない）
+   */
+  const updateParams = changes => {
+    const next = new URLSearchParams(search)
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value)
+      } else {
+        next.delete(key)
+      }
+    })
+    history.replace({ search: next.toString() })
+  }
+
+  const moveWeek = delta => updateParams({ week: addDays(weekStart, delta * 7) })
+
+  // ←/→ で前週・翌週、T で今週に移動する
+  useEffect(() => {
+    const handleKeyDown = event => {
+      if (
+        event.ctrlKey ||
+        event.metaKey ||
+        event.altKey ||
+        isEditableTarget(event.target)
+      ) {
+        return
+      }
+
+      if (event.key === 'ArrowLeft') {
+        event.preventDefault()
+        moveWeek(-1)
+      } else if (event.key === 'ArrowRight') {
+        event.preventDefault()
+        moveWeek(1)
+      } else if (event.key === 't' || event.key === 'T') {
+        updateParams({ week: null })
+      }
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [search, weekStart])
+
+  /**
+   * タスクの期限の時刻を変更する（日付はそのまま）
+   */
+  const reschedule = (task, minutes) => {
+    const parts = isoToDateParts(task.limit)
+    if (!parts || timeToMinutes(parts.time) === minutes) return
+
+    void dispatch(
+      updateTask({
+        id: task.id,
+        limit: datePartsToISO(parts.date, minutesToTime(minutes)),
+      })
+    )
+      .unwrap()
+      .catch(err => {
+        dispatch(showToast(`期限を変更できませんでした: ${err.message}`))
+      })
+  }
+
+  // 0:00〜23:30 の範囲に収める
+  const clampMinutes = minutes =>
+    Math.min(Math.max(minutes, 0), MINUTES_PER_DAY - TIME_STEP_MINUTES)
+
+  /**
+   * タスクを上下にドラッグして、TIME_STEP_MINUTES 分単位で時刻をずらす
+   */
+  const getDragProps = (task, minutes) => ({
+    onPointerDown: event => {
+      if (event.button !== 0) return
+      event.currentTarget.setPointerCapture?.(event.pointerId)
+      setDrag({
+        taskId: task.id,
+        startY: event.clientY,
+        minutes,
+        previewMinutes: minutes,
+        moved: false,
+      })
+    },
+    onPointerMove: event => {
+      if (drag?.taskId !== task.id) return
+      const dy = event.clientY - drag.startY
+      const steps = Math.round(dy / STEP_HEIGHT)
+      setDrag({
+        ...drag,
+        previewMinutes: clampMinutes(drag.minutes + steps * TIME_STEP_MINUTES),
+        moved: drag.moved || Math.abs(dy) > DRAG_THRESHOLD,
+      })
+    },
+    onPointerUp: () => {
+      if (drag?.taskId !== task.id) return
+      if (drag.moved) {
+        suppressClickRef.current = true
+        reschedule(task, drag.previewMinutes)
+      }
+      setDrag(null)
+    },
+    onPointerCancel: () => setDrag(null),
+    onClick: event => {
+      if (suppressClickRef.current) {
+        suppressClickRef.current = false
+        event.preventDefault()
+      }
+    },
+    // キーボードでは ↑/↓ で時刻をずらす
+    onKeyDown: event => {
+      if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return
+      event.preventDefault()
+      const delta = event.key === 'ArrowUp' ? -1 : 1
+      reschedule(task, clampMinutes(minutes + delta * TIME_STEP_MINUTES))
+    },
+  })
+
+  const listTitle = listId && lists?.find(list => list.id === listId)?.title
+  const [, startMonth, startDay] = weekStart.split('-').map(Number)
+  const [, endMonth, endDay] = weekEnd.split('-').map(Number)
+
+  return (
+    <div className="agenda">
+      <div className="agenda__header">
+        <h2 className="agenda__title">Agenda</h2>
+        <select
+          className="app_input agenda__list_select"
+          aria-label="表示するリスト"
+          value={listId ?? ''}
+          onChange={e => updateParams({ list: e.target.value })}
+        >
+          <option value="">All lists</option>
+          {(lists ?? []).map(list => (
+            <option key={list.id} value={list.id}>
+              {list.title}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="agenda__description">
+        {listTitle ? `「${listTitle}」` : 'すべてのリスト'}
+        の期限のあるタスクを時刻順に表示します。タスクを上下にドラッグ（または
+        ↑/↓ キー）すると期限を{TIME_STEP_MINUTES}分単位でずらせます。←/→
+        キーで前週・翌週、T キーで今週に移動します
+      </p>
+
+      <div className="agenda__toolbar">
+        <button
+          type="button"
+          className="agenda__nav_button"
+          onClick={() => moveWeek(-1)}
+          aria-label="前週"
+          aria-keyshortcuts="ArrowLeft"
+        >
+          <ChevronIcon className="agenda__nav_icon" data-direction="left" />
+        </button>
+        <span className="agenda__week" aria-live="polite">
+          {startMonth}月{startDay}日 〜 {endMonth}月{endDay}日
+        </span>
+        <button
+          type="button"
+          className="agenda__nav_button"
+          onClick={() => moveWeek(1)}
+          aria-label="翌週"
+          aria-keyshortcuts="ArrowRight"
+        >
+          <ChevronIcon className="agenda__nav_icon" data-direction="right" />
+        </button>
+        <button
+          type="button"
+          className="app_button agenda__today_button"
+          data-variant="secondary"
+          onClick={() => updateParams({ week: null })}
+          aria-keyshortcuts="T"
+        >
+          This week
+        </button>
+        {isLoading && (
+          <span className="agenda__status">タスクを読み込み中...</span>
+        )}
+        {errorMessage && (
+          <span className="agenda__error" role="alert">
+            {errorMessage}
+          </span>
+        )}
+      </div>
+
+      {/* 期限切れのレーン */}
+      {overdueTasks.length > 0 && (
+        <section className="agenda__overdue" aria-label="期限切れ">
+          <h3 className="agenda__overdue_title">
+            期限切れ
+            <span className="agenda__overdue_count">{overdueTasks.length}</span>
+          </h3>
+          <ul className="agenda__overdue_items">
+            {overdueTasks.map(task => (
+              <li key={task.id}>
+                <Link
+                  to={`/lists/${task.listId}/tasks/${task.id}`}
+                  className="agenda__overdue_item"
+                  data-priority={task.meta?.priority}
+                >
+                  <span className="agenda__overdue_limit">
+                    {formatISOToJapanese(task.limit)}
+                  </span>
+                  {task.title}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <div className="agenda__grid">
+        {/* 曜日と日付の見出し */}
+        <div className="agenda__days_header">
+          <div className="agenda__corner" />
+          {days.map((dateKey, i) => (
+            <div
+              key={dateKey}
+              className="agenda__day_heading"
+              data-today={dateKey === today}
+            >
+              <span className="agenda__day_weekday">{WEEKDAY_LABELS[i]}</span>
+              <span className="agenda__day_date">
+                {Number(dateKey.slice(8, 10))}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="agenda__scroll" ref={scrollRef}>
+          <div
+            className="agenda__body"
+            style={{ height: `${24 * HOUR_HEIGHT}px` }}
+          >
+            {/* 時刻の目盛り */}
+            <div className="agenda__hours" aria-hidden="true">
+              {HOURS.map(hour => (
+                <div
+                  key={hour}
+                  className="agenda__hour"
+                  style={{ height: `${HOUR_HEIGHT}px` }}
+                >
+                  {hour > 0 && `${hour}:00`}
+                </div>
+              ))}
+            </div>
+
+            {days.map(dateKey => (
+              <div
+                key={dateKey}
+                className="agenda__day"
+                data-today={dateKey === today}
+                style={{ '--agenda-hour-height': `${HOUR_HEIGHT}px` }}
+              >
+                {/* 現在時刻の線 */}
+                {dateKey === nowParts.date && (
+                  <div
+                    className="agenda__now_line"
+                    style={{ top: `${nowTop}px` }}
+                    aria-hidden="true"
+                  />
+                )}
+                {(layoutByDate[dateKey] ?? []).map(
+                  ({ task, minutes, lane, laneCount }) => {
+                    const isDragging = drag?.taskId === task.id
+                    const shownMinutes = isDragging
+                      ? drag.previewMinutes
+                      : minutes
+                    // ドラッグ中は、離した時に設定される期限を表示する
+                    const shownLimit = isDragging
+                      ? datePartsToISO(dateKey, minutesToTime(shownMinutes))
+                      : task.limit
+
+                    return (
+                      <Link
+                        key={task.id}
+                        to={`/lists/${task.listId}/tasks/${task.id}`}
+                        className="agenda__task"
+                        data-done={task.done}
+                        data-overdue={!task.done && new Date(task.limit) < now}
+                        data-priority={task.meta?.priority}
+                        data-dragging={isDragging && drag.moved}
+                        draggable={false}
+                        aria-label={`${task.title}（期限: ${formatISOToJapanese(task.limit)}）`}
+                        style={{
+                          top: `${(shownMinutes / 60) * HOUR_HEIGHT}px`,
+                          height: `${STEP_HEIGHT}px`,
+                          left: `${(lane / laneCount) * 100}%`,
+                          width: `${100 / laneCount}%`,
+                        }}
+                        {...getDragProps(task, minutes)}
+                      >
+                        <span className="agenda__task_time">
+                          {formatISOToJapaneseTime(shownLimit)}
+                        </span>
+                        {priorityLabel(task.meta?.priority) && (
+                          <span className="agenda__task_priority">
+                            {priorityLabel(task.meta.priority)}
+                          </span>
+                        )}
+                        <span className="agenda__task_title">{task.title}</span>
+                      </Link>
+                    )
+                  }
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Agenda
@@ -0,0 +1,285 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useHistory, useLocation } from 'react-router-dom'
+import { ChevronIcon } from '~/icons/ChevronIcon'
+import { PlusIcon } from '~/icons/PlusIcon'
+import { CalendarQuickAdd } from '~/components/CalendarQuickAdd'
+import { fetchAllTasks, selectAllTasksStatus, updateTask } from '~/store/task'
+import { selectOrderedLists } from '~/store/order'
+import { showToast } from '~/store/history'
+import { useNow } from '~/hooks/useNow'
+import {
+  WEEKDAY_LABELS,
+  addMonths,
+  datePartsToISO,
+  isoToDateParts,
+  monthWeeks,
+  todayDateKey,
+} from '~/utils/calendar'
+import { priorityLabel } from '~/utils/priority'
+import './index.css'
+
+// ?month=YYYY-MM の形式
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/
+
+const Calendar = () => {
+  const dispatch = useDispatch()
+  const history = useHistory()
+  const { search } = useLocation()
+  const now = useNow()
+
+  const lists = useSelector(selectOrderedLists)
+  const entities = useSelector(state => state.task.entities)
+
+  // 表示する月と絞り込むリストはURLに持たせる（再読み込み・共有しても同じ表示になる）
+  const params = new URLSearchParams(search)
+  const today = todayDateKey(now)
+  const monthMatch = MONTH_PATTERN.exec(params.get('month') ?? '')
+  const year = monthMatch ? Number(monthMatch[1]) : Number(today.slice(0, 4))
+  const month = monthMatch ? Number(monthMatch[2]) : Number(today.slice(5, 7))
+  const listId = params.get('list') || null
+
+  const [quickAddKey, setQuickAddKey] = useState(null)
+  const [draggingId, setDraggingId] = useState(null)
+  const [dropOverKey, setDropOverKey] = useState(null)
+
+  const weeks = useMemo(() => monthWeeks(year, month), [year, month])
+
+  // 期限のあるタスクを日付（設定したタイムゾーン）ごとに、時刻順に並べる
+  const tasksByDate = useMemo(() => {
+    const groups = {}
+    Object.values(entities)
+      .filter(task => task.limit && (!listId || task.listId === listId))
+      .sort((a, b) => new Date(a.limit) - new Date(b.limit))
+      .forEach(task => {
+        const date = isoToDateParts(task.limit)?.date
+        if (!date) return
+        groups[date] = [...(groups[date] ?? []), task]
+      })
+    return groups
+  }, [entities, listId])
+
+  // まだタスクを取得していないリストがある間は、カレンダーが揃っていない
+  // （取得に失敗したリストは待たずに、読み込めた分とエラーを表示する）
+  const { isLoading, errorMessage } = useSelector(selectAllTasksStatus)
+
+  // 全リストのタスクから期限のあるものを探す
+  useEffect(() => {
+    if (lists) {
+      void dispatch(fetchAllTasks())
+    }
+  }, [lists])
+
+  /**
+   * URLのクエリを書き換える（履歴は増やさない）
+   */
+  const updateParams = changes => {
+    const next = new URLSearchParams(search)
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value)
+      } else {
+        next.delete(key)
+      }
+    })
+    history.replace({ search: next.toString() })
+    setQuickAddKey(null)
+  }
+
+  const moveMonth = delta => {
+    const next = addMonths(year, month, delta)
+    updateParams({
+      month: `${next.year}-${String(next.month).padStart(2, '0')}`,
+    })
+  }
+
+  /**
+   * タスクを別の日にドロップした時の処理（時刻はそのままで日付だけ変える）
+   */
+  const handleDrop = dateKey => {
+    const task = entities[draggingId]
+    setDraggingId(null)
+    setDropOverKey(null)
+    if (!task) return
+
+    const parts = isoToDateParts(task.limit)
+    if (!parts || parts.date === dateKey) return
+
+    void dispatch(
+      updateTask({ id: task.id, limit: datePartsToISO(dateKey, parts.time) })
+    )
+      .unwrap()
+      .catch(err => {
+        dispatch(showToast(`期限を変更できませんでした: ${err.message}`))
+      })
+  }
+
+  const handleQuickAddError = message => {
+    dispatch(showToast(`タスクを追加できませんでした: ${message}`))
+  }
+
+  const listTitle = listId && lists?.find(list => list.id === listId)?.title
+
+  return (
+    <div className="calendar">
+      <div className="calendar__header">
+        <h2 className="calendar__title">Calendar</h2>
+        <select
+          className="app_input calendar__list_select"
+          aria-label="表示するリスト"
+          value={listId ?? ''}
+          onChange={e => updateParams({ list: e.target.value })}
+        >
+          <option value="">All lists</option>
+          {(lists ?? []).map(list => (
+            <option key={list.id} value={list.id}>
+              {list.title}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="calendar__description">
+        {listTitle ? `「${listTitle}」` : 'すべてのリスト'}
+        の期限のあるタスク。日付をクリックするとその日が期限のタスクを追加でき、タスクを別の日にドラッグすると期限を変更できます
+      </p>
+
+      <div className="calendar__toolbar">
+        <button
+          type="button"
+          className="calendar__nav_button"
+          onClick={() => moveMonth(-1)}
+          aria-label="前月"
+        >
+          <ChevronIcon className="calendar__nav_icon" data-direction="left" />
+        </button>
+        <span className="calendar__month" aria-live="polite">
+          {year}年{month}月
+        </span>
+        <button
+          type="button"
+          className="calendar__nav_button"
+          onClick={() => moveMonth(1)}
+          aria-label="翌月"
+        >
+          <ChevronIcon className="calendar__nav_icon" data-direction="right" />
+        </button>
+        <button
+          type="button"
+          className="app_button calendar__today_button"
+          data-variant="secondary"
+          onClick={() => updateParams({ month: null })}
+        >
+          Today
+        </button>
+        {isLoading && (
+          <span className="calendar__status">タスクを読み込み中...</span>
+        )}
+        {errorMessage && (
+          <span className="calendar__error" role="alert">
+            {errorMessage}
+          </span>
+        )}
+      </div>
+
+      <div className="calendar__grid">
+        <div className="calendar__week">
+          {WEEKDAY_LABELS.map(label => (
+            <div key={label} className="calendar__weekday">
+              {label}
+            </div>
+          ))}
+        </div>
+        {weeks.map(week => (
+          <div key={week[0].dateKey} className="calendar__week">
+            {week.map(({ dateKey, day, isCurrentMonth }) => (
+              <div
+                key={dateKey}
+                className="calendar__day"
+                data-current-month={isCurrentMonth}
+                data-today={dateKey === today}
+                data-drop-over={dropOverKey === dateKey}
+                onClick={() => setQuickAddKey(dateKey)}
+                onDragOver={e => {
+                  if (!draggingId) return
+                  e.preventDefault()
+                  e.dataTransfer.dropEffect = 'move'
+                  setDropOverKey(dateKey)
+                }}
+                onDragLeave={() =>
+                  setDropOverKey(key => (key === dateKey ? null : key))
+                }
+                onDrop={e => {
+                  e.preventDefault()
+                  handleDrop(dateKey)
+                }}
+              >
+                <div className="calendar__day_header">
+                  <span className="calendar__day_number">{day}</span>
+                  {/* キーボードからも追加できるようにボタンを置く */}
+                  <button
+                    type="button"
+                    className="calendar__add_button"
+                    aria-label={`${dateKey} にタスクを追加`}
+                    onClick={e => {
+                      e.stopPropagation()
+                      setQuickAddKey(dateKey)
+                    }}
+                  >
+                    <PlusIcon className="calendar__add_icon" />
+                  </button>
+                </div>
+                <ul className="calendar__tasks">
+                  {(tasksByDate[dateKey] ?? []).map(task => (
+                    <li key={task.id}>
+                      <Link
+                        to={`/lists/${task.listId}/tasks/${task.id}`}
+                        className="calendar__task"
+                        data-done={task.done}
+                        data-priority={task.meta?.priority}
+                        data-dragging={draggingId === task.id}
+                        title={task.title}
+                        draggable
+                        onClick={e => e.stopPropagation()}
+                        onDragStart={e => {
+                          e.dataTransfer.effectAllowed = 'move'
+                          e.dataTransfer.setData('text/plain', task.id)
+                          setDraggingId(task.id)
+                        }}
+                        onDragEnd={() => {
+                          setDraggingId(null)
+                          setDropOverKey(null)
+                        }}
+                      >
+                        <span className="calendar__task_time">
+                          {isoToDateParts(task.limit).time}
+                        </span>
+                        {priorityLabel(task.meta?.priority) && (
+                          <span className="calendar__task_priority">
+                            {priorityLabel(task.meta.priority)}
+                          </span>
+                        )}
+                        <span className="calendar__task_title">
+                          {task.title}
+                        </span>
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+                {quickAddKey === dateKey && (
+                  <CalendarQuickAdd
+                    dateKey={dateKey}
+                    listId={listId}
+                    onClose={() => setQuickAddKey(null)}
+                    onError={handleQuickAddError}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default Calendar
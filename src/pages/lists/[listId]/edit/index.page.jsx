@@ -56,10 +56,6 @@ const EditList = () => {
   )
 
   const handleDelete = useCallback(() => {
-    if (!window.confirm('Are you sure you want to delete this list?')) {
-      return
-    }
-
     setIsSubmitting(true)
 
     void dispatch(deleteList({ id: listId }))
@@ -1,38 +1,135 @@
-import { useEffect, useState } from 'react'
+import { useCallback, useEffect, useMemo, useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
 import { useParams } from 'react-router-dom'
 import { TaskItem } from '~/components/TaskItem'
 import { TaskCreateForm } from '~/components/TaskCreateForm'
+import { BulkActionBar } from '~/components/BulkActionBar'
+import { TaskQueryControls } from '~/components/TaskQueryControls'
+import { TaskBoard } from '~/components/TaskBoard'
+import { useTaskSelection } from '~/hooks/useTaskSelection'
+import { useTaskQuery } from '~/hooks/useTaskQuery'
+import { useSortableList } from '~/hooks/useSortableList'
+import { useId } from '~/hooks/useId'
+import { useNow } from '~/hooks/useNow'
+import { applyTaskQuery, isTaskQueryFiltered } from '~/utils/taskQuery'
+import { mergeVisibleOrder } from '~/utils/manualOrder'
 import { setCurrentList } from '~/store/list'
-import { fetchTasks } from '~/store/task'
+import {
+  fetchTasks,
+  clearMutationError,
+  moveTask,
+  selectTasksByList,
+} from '~/store/task'
+import { showToast } from '~/store/history'
+import { selectOrderedTasksByList, setTaskOrder } from '~/store/order'
+import { selectListLayout, setListLayout } from '~/store/board'
+import { LIST_LAYOUTS } from '~/utils/board'
 import './index.css'
 import { ListEditModal } from '~/components/ListEditModal'
 
 const ListIndex = () => {
   const dispatch = useDispatch()
   const { listId } = useParams()
+  const id = useId()
 
   const [isListEditOpen, setIsListEditOpen] = useState(false)
+  const [isSelectionMode, setIsSelectionMode] = useState(false)
 
-  const isLoading = useSelector(
-    state => state.task.isLoading || state.list.isLoading,
+  // NOTE: キャッシュがあればそれを表示しつつ、裏で再取得する（手動で並べた順に並べる）
+  const tasks = useSelector(state => selectOrderedTasksByList(state, listId))
+  // NOTE: 並び替えが「作成順」の時は、手動の並び順を適用する前の作成順を使う
+  const tasksInCreatedOrder = useSelector(state =>
+    selectTasksByList(state, listId)
   )
-
-  const tasks = useSelector(state => state.task.tasks)
+  const isLoading = useSelector(state => state.list.isLoading) || !tasks
+  const lists = useSelector(state => state.list.lists)
   const listName = useSelector(state => {
     const currentId = state.list.current
     const list = state.list.lists?.find(list => list.id === currentId)
     return list?.title
   })
-  const incompleteTasksCount = useSelector(state => {
-    return state.task.tasks?.filter(task => !task.done).length
+  const mutationError = useSelector(state => state.task.mutationError)
+  // 縦に並べる一覧か、列に分けたボードか（リストごとに保存する）
+  const layout = useSelector(state => selectListLayout(state, listId))
+  const isBoard = layout === 'board'
+  const incompleteTasksCount = tasks?.filter(task => !task.done).length
+
+  // 並び替え・絞り込み（条件はクエリ文字列に保存する）
+  // 期限切れ・今日・今週の判定は時間の経過に合わせて更新する
+  const [query, setQuery] = useTaskQuery()
+  const isFiltered = isTaskQueryFiltered(query)
+  const now = useNow()
+  const visibleTasks = useMemo(() => {
+    const source = query.sort === 'created' ? tasksInCreatedOrder : tasks
+    return source ? applyTaskQuery(source, query, now) : null
+  }, [tasks, tasksInCreatedOrder, query, now])
+  const visibleIncompleteCount = visibleTasks?.filter(task => !task.done).length
+
+  // 複数選択（表示順でShift+クリックの範囲選択をする）
+  const taskIds = useMemo(
+    () => visibleTasks?.map(task => task.id) ?? [],
+    [visibleTasks]
+  )
+  const selection = useTaskSelection(taskIds)
+
+  // 手動の並べ替え（並び替えが「手動」の時のみ。絞り込み中は表示中のタスクの間で入れ替える）
+  const canReorder = query.sort === 'manual'
+  const tasksById = useMemo(
+    () => new Map((tasks ?? []).map(task => [task.id, task])),
+    [tasks]
+  )
+  const sortable = useSortableList(taskIds, {
+    getLabel: taskId => tasksById.get(taskId)?.title ?? '',
+    onMove: order => {
+      const allIds = tasks.map(task => task.id)
+      dispatch(
+        setTaskOrder({ listId, taskIds: mergeVisibleOrder(allIds, order) })
+      )
+    },
+    // サイドバーの別のリストの上で離すと、そのリストへ移動する
+    getDropTarget: (x, y) => {
+      const elem = document
+        .elementFromPoint(x, y)
+        ?.closest('[data-task-drop-list-id]')
+      return elem && elem.dataset.taskDropListId !== listId ? elem : null
+    },
+    onDrop: (taskId, elem) => {
+      const toListId = elem.dataset.taskDropListId
+      const toListName = lists?.find(list => list.id === toListId)?.title ?? ''
+
+      void dispatch(moveTask({ id: taskId, toListId }))
+        .unwrap()
+        .catch(err => {
+          dispatch(showToast(`タスクを移動できませんでした: ${err.message}`))
+        })
+
+      return `「${tasksById.get(taskId)?.title ?? ''}」を「${toListName}」へ移動します`
+    },
   })
 
+  // ドラッグ中のタスクがサイドバーのリストの上にある間、そのリストを強調する
+  useEffect(() => {
+    const elem = sortable.dropTarget
+    if (!elem) return
+
+    elem.dataset.dropOver = 'true'
+    return () => {
+      delete elem.dataset.dropOver
+    }
+  }, [sortable.dropTarget])
+
   useEffect(() => {
     dispatch(setCurrentList(listId))
-    dispatch(fetchTasks({ force: true })).unwrap()
+    void dispatch(fetchTasks({ listId }))
+    setIsSelectionMode(false)
+    selection.clear()
   }, [listId])
 
+  const toggleSelectionMode = useCallback(() => {
+    setIsSelectionMode(prev => !prev)
+    selection.clear()
+  }, [selection.clear])
+
   if (isLoading) {
     return <div></div>
   }
@@ -42,21 +139,120 @@ const ListIndex = () => {
       <div className="tasks_list__title">
         {listName}
         {incompleteTasksCount > 0 && (
-          <span className="tasks_list__title__count">
-            {incompleteTasksCount}
+          <span
+            className="tasks_list__title__count"
+            title={isFiltered ? '表示中の未完了 / 未完了の合計' : undefined}
+          >
+            {isFiltered
+              ? `${visibleIncompleteCount} / ${incompleteTasksCount}`
+              : incompleteTasksCount}
           </span>
         )}
         <div className="tasks_list__title_spacer"></div>
+        <div className="tasks_list__layout" role="group" aria-label="表示">
+          {LIST_LAYOUTS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className="tasks_list__layout_button"
+              aria-pressed={layout === option.value}
+              onClick={() => {
+                dispatch(setListLayout({ listId, layout: option.value }))
+                setIsSelectionMode(false)
+                selection.clear()
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {!isBoard && (
+          <button
+            type="button"
+            className="app_button"
+            data-variant="secondary"
+            onClick={toggleSelectionMode}
+          >
+            {isSelectionMode ? 'Done' : 'Select'}
+          </button>
+        )}
         <button type="button" className="app_button" onClick={() => setIsListEditOpen(true)}>Edit...</button>
       </div>
-      <div className="tasks_list__items">
-        <TaskCreateForm />
-        {tasks?.map(task => {
-          return <TaskItem key={task.id} task={task} />
-        })}
-        {tasks?.length === 0 && (
-          <div className="tasks_list__items__empty">No tasks yet!</div>
-        )}
+      <TaskQueryControls query={query} onChange={setQuery} />
+      {isSelectionMode && (
+        <BulkActionBar
+          listId={listId}
+          selectedIds={selection.selectedIds}
+          totalCount={taskIds.length}
+          onSelectAll={selection.selectAll}
+          onClearSelection={selection.clear}
+          onSettled={selection.setSelectedIds}
+        />
+      )}
+      {mutationError && (
+        <div className="tasks_list__error" role="alert">
+          <span>変更を保存できなかったため元に戻しました: {mutationError}</span>
+          <button
+            type="button"
+            className="tasks_list__error_dismiss"
+            aria-label="Dismiss"
+            onClick={() => dispatch(clearMutationError())}
+          >
+            ×
+          </button>
+        </div>
+      )}
+      {isBoard && (
+        <>
+          <div className="tasks_list__items">
+            <TaskCreateForm />
+          </div>
+          <TaskBoard listId={listId} tasks={visibleTasks} />
+        </>
+      )}
+      {!isBoard && (
+        <div className="tasks_list__items">
+          <TaskCreateForm />
+          {sortable.orderedIds.map(taskId => {
+            return (
+              <div
+                key={taskId}
+                className="tasks_list__item"
+                {...sortable.getItemProps(taskId)}
+              >
+                <TaskItem
+                  taskId={taskId}
+                  isSelectable={isSelectionMode}
+                  isSelected={selection.isSelected(taskId)}
+                  onSelect={selection.toggle}
+                  dragHandleProps={
+                    canReorder
+                      ? {
+                          ...sortable.getHandleProps(taskId),
+                          'aria-describedby': `${id}-reorder-help`,
+                        }
+                      : undefined
+                  }
+                />
+              </div>
+            )
+          })}
+          {tasks?.length === 0 && (
+            <div className="tasks_list__items__empty">No tasks yet!</div>
+          )}
+          {tasks?.length > 0 && visibleTasks?.length === 0 && (
+            <div className="tasks_list__items__empty">
+              条件に一致するタスクはありません
+            </div>
+          )}
+        </div>
+      )}
+      {/* 並べ替えの操作方法と状況（スクリーンリーダー向け） */}
+      <p id={`${id}-reorder-help`} className="visually_hidden">
+        SpaceかEnterで持ち上げ、上下の矢印キーで移動し、もう一度SpaceかEnterで置きます。Escで取り消します。
+      </p>
+      <div className="visually_hidden" aria-live="assertive">
+        {sortable.announcement}
       </div>
       <ListEditModal isOpen={isListEditOpen} onClose={() => setIsListEditOpen(false)} listId={listId} />
     </div>
@@ -5,11 +5,20 @@ import { BackButton } from '~/components/BackButton'
 import { FormActions } from '~/components/ui/FormActions'
 import './index.css'
 import { setCurrentList } from '~/store/list'
-import { fetchTasks, updateTask, deleteTask } from '~/store/task'
+import {
+  fetchTasks,
+  updateTask,
+  deleteTask,
+  selectTaskById,
+} from '~/store/task'
 import { useId } from '~/hooks/useId'
 import { AppTextField } from '~/components/ui/AppTextField'
 import { CalendarIcon } from '~/icons/CalendarIcon'
 import { LimitPicker } from '~/components/LimitPicker'
+import { TaskTransferField } from '~/components/TaskTransferField'
+import { TaskChecklist, TaskChecklistProgress } from '~/components/TaskChecklist'
+import { checklistProgress } from '~/utils/checklist'
+import { formatISOToJapanese, parseLimitText } from '~/utils/dateUtils'
 
 const EditTask = () => {
   const id = useId()
@@ -27,68 +36,37 @@ const EditTask = () => {
   const [errorMessage, setErrorMessage] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
 
-  const task = useSelector(state =>
-    state.task.tasks?.find(task => task.id === taskId),
-  )
+  const task = useSelector(state => selectTaskById(state, taskId))
+  const progress = checklistProgress(task?.detail)
 
   useEffect(() => {
     if (task) {
       setTitle(task.title)
       setDetail(task.detail)
       setDone(task.done)
-      const iso = task.limit || ''
-      const m = iso.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):\d{2}Z$/)
-      if (m) {
-        const mi = Number(m[5])
-        if (mi === 0) {
-          setLimit(`${m[1]}年${Number(m[2])}月${Number(m[3])}日${Number(m[4])}時`)
-        } else {
-          setLimit(`${m[1]}年${Number(m[2])}月${Number(m[3])}日${Number(m[4])}時${mi}分`)
-        }
-      } else {
-        setLimit(iso)
-      }
+      // ISO形式（UTC）をスラッシュ形式（設定したタイムゾーン）に変換して表示
+      setLimit(formatISOToJapanese(task.limit || ''))
     }
   }, [task])
 
   useEffect(() => {
     void dispatch(setCurrentList(listId))
-    void dispatch(fetchTasks())
+    void dispatch(fetchTasks({ listId }))
   }, [listId])
 
   const onSubmit = useCallback(
     event => {
       event.preventDefault()
 
-      setIsSubmitting(true)
-
-      const raw = limit && limit.trim() !== '' ? limit.trim() : ''
-      let nextLimit = null
-      if (raw) {
-        const jp1 = raw.match(/^(\d{4})年(\d{1,2})月(\d{1,2})日(\d{1,2})時(\d{1,2})分$/)
-        if (jp1) {
-          const yyyy = jp1[1]
-          const mm = String(jp1[2]).padStart(2, '0')
-          const dd = String(jp1[3]).padStart(2, '0')
-          const hh = String(jp1[4]).padStart(2, '0')
-          const mi = String(jp1[5]).padStart(2, '0')
-          nextLimit = `${yyyy}-${mm}-${dd}T${hh}:${mi}:00Z`
-        } else {
-          const jp2 = raw.match(/^(\d{4})年(\d{1,2})月(\d{1,2})日(\d{1,2})時$/)
-          if (jp2) {
-            const yyyy = jp2[1]
-            const mm = String(jp2[2]).padStart(2, '0')
-            const dd = String(jp2[3]).padStart(2, '0')
-            const hh = String(jp2[4]).padStart(2, '0')
-            nextLimit = `${yyyy}-${mm}-${dd}T${hh}:00:00Z`
-          } else {
-            // 後方互換: 旧形式/ISO も許容
-            const m1 = raw.match(/^(\d{4}-\d{2}-\d{2})-(\d{2}:\d{2}:\d{2})$/)
-            if (m1) nextLimit = `${m1[1]}T${m1[2]}Z`
-            else nextLimit = raw
-          }
-        }
+      // スラッシュ形式（設定したタイムゾーン）をISO形式（UTC）に変換してDB保存
+      // 書式に合わない期限は保存しない（空なら期限なし）
+      const nextLimit = parseLimitText(limit)
+      if (limit.trim() !== '' && nextLimit === null) {
+        setErrorMessage('期限の形式が正しくありません（例: 2025/10/15 14:28）')
+        return
       }
+
+      setIsSubmitting(true)
       void dispatch(updateTask({ id: taskId, title, detail, done, limit: nextLimit }))
         .unwrap()
         .then(() => {
@@ -110,11 +88,15 @@ const EditTask = () => {
     setLimit(jpText)
   }, [])
 
-  const handleDelete = useCallback(() => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return
-    }
+  // 別のリストへ移動/コピーしたら、移動先のタスクを表示する
+  const handleTransferred = useCallback(
+    ({ listId: toListId, taskId: toTaskId }) => {
+      history.push(`/lists/${toListId}/tasks/${toTaskId}`)
+    },
+    [],
+  )
 
+  const handleDelete = useCallback(() => {
     setIsSubmitting(true)
 
     void dispatch(deleteTask({ id: taskId }))
@@ -135,6 +117,16 @@ const EditTask = () => {
       <BackButton />
       <h2 className="edit_list__title">Edit List</h2>
       <p className="edit_list__error">{errorMessage}</p>
+      {/* サブタスク（チェックするとすぐに保存される） */}
+      {progress.total > 0 && (
+        <section className="edit_list__form_field">
+          <div className="edit_task__checklist_header">
+            <span className="edit_list__form_label">Subtasks</span>
+            <TaskChecklistProgress done={progress.done} total={progress.total} />
+          </div>
+          <TaskChecklist taskId={taskId} disabled={isSubmitting} />
+        </section>
+      )}
       <form className="edit_list__form" onSubmit={onSubmit}>
         <fieldset className="edit_list__form_field">
           <label htmlFor={`${id}-title`} className="edit_list__form_label">
@@ -181,6 +173,13 @@ const EditTask = () => {
           </div>
         </fieldset>
         <LimitPicker isOpen={isLimitPickerOpen} onClose={closeLimitPicker} defaultLimitText={limit} onConfirm={handleConfirmLimit} />
+        <TaskTransferField
+          taskId={taskId}
+          listId={listId}
+          disabled={isSubmitting}
+          onTransferred={handleTransferred}
+          onError={setErrorMessage}
+        />
         <FormActions
           buttons={[
             {
@@ -0,0 +1,88 @@
+import { useEffect, useMemo } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useLocation } from 'react-router-dom'
+import { HighlightedText } from '~/components/HighlightedText'
+import { useTaskSearch } from '~/hooks/useTaskSearch'
+import { fetchAllTasks, selectAllTasksStatus } from '~/store/task'
+import { formatISOToJapanese } from '~/utils/dateUtils'
+import './index.css'
+
+const Search = () => {
+  const dispatch = useDispatch()
+  const { search } = useLocation()
+  const query = (new URLSearchParams(search).get('q') ?? '').trim()
+
+  const lists = useSelector(state => state.list.lists)
+  const results = useTaskSearch(query)
+
+  // リストIDからリスト名を引けるようにする
+  const listTitles = useMemo(
+    () => Object.fromEntries((lists || []).map(list => [list.id, list.title])),
+    [lists]
+  )
+
+  // まだタスクを取得していないリストがある間は、検索結果が揃っていない
+  // （取得に失敗したリストは待たずに、読み込めた分とエラーを表示する）
+  const { isLoading, errorMessage } = useSelector(selectAllTasksStatus)
+
+  // 検索対象として全リストのタスクを取得する
+  useEffect(() => {
+    if (lists) {
+      void dispatch(fetchAllTasks())
+    }
+  }, [lists])
+
+  return (
+    <div className="search">
+      <h2 className="search__title">
+        {query ? `「${query}」の検索結果` : 'Search'}
+        {query && <span className="search__title__count">{results.length}</span>}
+      </h2>
+      {isLoading && <p className="search__status">タスクを読み込み中...</p>}
+      {errorMessage && (
+        <p className="search__error" role="alert">
+          {errorMessage}
+        </p>
+      )}
+      {!query && (
+        <p className="search__status">
+          サイドバーの検索欄にキーワードを入力してください（スペース区切りで複数指定できます）
+        </p>
+      )}
+      {query && !isLoading && results.length === 0 && (
+        <p className="search__status">一致するタスクはありません</p>
+      )}
+      <ul className="search__results">
+        {results.map(({ task, titleRanges, detailSnippet }) => (
+          <li key={task.id}>
+            <Link
+              to={`/lists/${task.listId}/tasks/${task.id}`}
+              className="search__result"
+            >
+              <div className="search__result_title" data-done={task.done}>
+                <HighlightedText text={task.title} ranges={titleRanges} />
+              </div>
+              {detailSnippet && (
+                <div className="search__result_detail">
+                  {detailSnippet.hasBefore && '…'}
+                  <HighlightedText
+                    text={detailSnippet.text}
+                    ranges={detailSnippet.ranges}
+                  />
+                  {detailSnippet.hasAfter && '…'}
+                </div>
+              )}
+              <div className="search__result_meta">
+                <span>{listTitles[task.listId] ?? ''}</span>
+                <span>{task.done ? 'Complete' : 'Incomplete'}</span>
+                {task.limit && <span>期限: {formatISOToJapanese(task.limit)}</span>}
+              </div>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default Search
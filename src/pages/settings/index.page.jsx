@@ -0,0 +1,206 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { BackButton } from '~/components/BackButton'
+import { FormActions } from '~/components/ui/FormActions'
+import { useId } from '~/hooks/useId'
+import { useNow } from '~/hooks/useNow'
+import {
+  setLimitPresetIds,
+  setTimeZoneSetting,
+  setWorkingHours,
+} from '~/store/settings'
+import { showToast } from '~/store/history'
+import {
+  formatTimeZoneOffset,
+  getBrowserTimeZone,
+  listTimeZones,
+  toZonedParts,
+} from '~/utils/timeZone'
+import { timeToMinutes } from '~/utils/calendar'
+import { LIMIT_PRESETS } from '~/utils/limitPresets'
+import './index.css'
+
+/**
+ * タイムゾーンでの現在時刻（選択中のタイムゾーンの確認用）
+ */
+const formatNowIn = (now, timeZone) => {
+  const { year, month, day, hour, minute } = toZonedParts(now, timeZone)
+  return `${year}/${month}/${day} ${hour}:${String(minute).padStart(2, '0')}`
+}
+
+const Settings = () => {
+  const dispatch = useDispatch()
+  const id = useId()
+  const now = useNow()
+
+  const savedTimeZone = useSelector(state => state.settings.timeZone)
+  const savedWorkingHours = useSelector(state => state.settings.workingHours)
+  const savedPresetIds = useSelector(state => state.settings.limitPresetIds)
+  const [timeZone, setTimeZone] = useState(savedTimeZone ?? '')
+  const [workingHours, setWorkingHoursDraft] = useState(savedWorkingHours)
+  const [presetIds, setPresetIds] = useState(savedPresetIds)
+
+  useEffect(() => {
+    setTimeZone(savedTimeZone ?? '')
+  }, [savedTimeZone])
+
+  useEffect(() => {
+    setWorkingHoursDraft(savedWorkingHours)
+  }, [savedWorkingHours])
+
+  useEffect(() => {
+    setPresetIds(savedPresetIds)
+  }, [savedPresetIds])
+
+  // 始業・終業の両方が入力され、始業が終業より前か
+  const isWorkingHoursValid =
+    Boolean(workingHours.start && workingHours.end) &&
+    timeToMinutes(workingHours.start) < timeToMinutes(workingHours.end)
+
+  const togglePreset = useCallback(presetId => {
+    setPresetIds(ids =>
+      ids.includes(presetId)
+        ? ids.filter(id => id !== presetId)
+        : [...ids, presetId]
+    )
+  }, [])
+
+  const browserTimeZone = getBrowserTimeZone()
+  // 選択肢は一覧を開いた時点の時差で表示する（夏時間の時期によって変わるため）
+  const timeZoneOptions = useMemo(
+    () =>
+      listTimeZones().map(zone => ({
+        value: zone,
+        label: `${zone}（${formatTimeZoneOffset(new Date(), zone)}）`,
+      })),
+    []
+  )
+
+  const onSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      if (!isWorkingHoursValid) return
+
+      dispatch(setTimeZoneSetting(timeZone || null))
+      dispatch(setWorkingHours(workingHours))
+      dispatch(setLimitPresetIds(presetIds))
+      dispatch(showToast('設定を保存しました'))
+    },
+    [timeZone, workingHours, presetIds, isWorkingHoursValid]
+  )
+
+  return (
+    <main className="settings">
+      <BackButton />
+      <h2 className="settings__title">Settings</h2>
+      <form className="settings__form" onSubmit={onSubmit}>
+        <fieldset className="settings__form_field">
+          <label htmlFor={`${id}-time-zone`} className="settings__form_label">
+            Time zone
+          </label>
+          <select
+            id={`${id}-time-zone`}
+            className="app_input"
+            value={timeZone}
+            aria-describedby={`${id}-time-zone-hint`}
+            onChange={event => setTimeZone(event.target.value)}
+          >
+            <option value="">
+              ブラウザのタイムゾーン（{browserTimeZone}）
+            </option>
+            {timeZoneOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p id={`${id}-time-zone-hint`} className="settings__form_hint">
+            期限の入力・表示、カレンダーや「今日」の判定に使います。期限はUTCで保存されるので、
+            タイムゾーンを変えても同じ時点を指したまま、その地域の時刻で表示されます。
+            <br />
+            現在の時刻: {formatNowIn(now, timeZone || browserTimeZone)}
+          </p>
+        </fieldset>
+        <fieldset className="settings__form_field">
+          <legend className="settings__form_label">Working hours</legend>
+          <div className="settings__working_hours">
+            <input
+              type="time"
+              className="app_input"
+              aria-label="始業時刻"
+              value={workingHours.start}
+              aria-invalid={!isWorkingHoursValid}
+              aria-describedby={`${id}-working-hours-hint`}
+              onChange={event =>
+                setWorkingHoursDraft(hours => ({
+                  ...hours,
+                  start: event.target.value,
+                }))
+              }
+            />
+            <span aria-hidden="true">〜</span>
+            <input
+              type="time"
+              className="app_input"
+              aria-label="終業時刻"
+              value={workingHours.end}
+              aria-invalid={!isWorkingHoursValid}
+              aria-describedby={`${id}-working-hours-hint`}
+              onChange={event =>
+                setWorkingHoursDraft(hours => ({
+                  ...hours,
+                  end: event.target.value,
+                }))
+              }
+            />
+          </div>
+          <p
+            id={`${id}-working-hours-hint`}
+            className="settings__form_hint"
+            data-variant={isWorkingHoursValid ? undefined : 'error'}
+          >
+            {isWorkingHoursValid
+              ? '期限のプリセットの時刻に使います（「明日」「来週の月曜」は始業、それ以外は終業の時刻）。'
+              : '始業時刻は終業時刻より前にしてください。'}
+          </p>
+        </fieldset>
+        <fieldset className="settings__form_field">
+          <legend className="settings__form_label">Deadline presets</legend>
+          <div className="settings__presets">
+            {LIMIT_PRESETS.map(preset => (
+              <label key={preset.id} className="settings__preset">
+                <input
+                  type="checkbox"
+                  checked={presetIds.includes(preset.id)}
+                  onChange={() => togglePreset(preset.id)}
+                />
+                {isWorkingHoursValid
+                  ? preset.label(workingHours)
+                  : preset.label(savedWorkingHours)}
+              </label>
+            ))}
+          </div>
+          <p className="settings__form_hint">
+            期限の設定画面に表示するプリセットを選びます。
+          </p>
+        </fieldset>
+        <FormActions
+          buttons={[
+            {
+              to: '/',
+              text: 'Cancel',
+              variant: 'secondary',
+            },
+            {
+              text: 'Save',
+              type: 'submit',
+              disabled: !isWorkingHoursValid,
+            },
+          ]}
+        />
+      </form>
+    </main>
+  )
+}
+
+export default Settings
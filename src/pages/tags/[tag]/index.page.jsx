@@ -0,0 +1,72 @@
+import { useEffect, useMemo } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useParams } from 'react-router-dom'
+import { TaskItem } from '~/components/TaskItem'
+import { fetchAllTasks, selectAllTasksStatus, selectTasksByTag } from '~/store/task'
+import { selectOrderedLists } from '~/store/order'
+import { decodeTagParam, tagHue } from '~/utils/tags'
+import './index.css'
+
+const TagTasks = () => {
+  const dispatch = useDispatch()
+  const { tag: tagParam } = useParams()
+  const tag = decodeTagParam(tagParam)
+
+  const lists = useSelector(selectOrderedLists)
+  const tasks = useSelector(state => selectTasksByTag(state, tag))
+
+  // リストごとにまとめる（サイドバーのリストの並び順）
+  const groups = useMemo(
+    () =>
+      (lists || [])
+        .map(list => ({
+          list,
+          tasks: tasks.filter(task => task.listId === list.id),
+        }))
+        .filter(group => group.tasks.length > 0),
+    [lists, tasks]
+  )
+
+  // まだタスクを取得していないリストがある間は、一覧が揃っていない
+  // （取得に失敗したリストは待たずに、読み込めた分とエラーを表示する）
+  const { isLoading, errorMessage } = useSelector(selectAllTasksStatus)
+
+  // 全リストのタスクからタグの付いたものを探す
+  useEffect(() => {
+    if (lists) {
+      void dispatch(fetchAllTasks())
+    }
+  }, [lists])
+
+  return (
+    <div className="tag_tasks">
+      <h2 className="tag_tasks__title" style={{ '--tag-hue': tagHue(tag) }}>
+        #{tag}
+        <span className="tag_tasks__title__count">{tasks.length}</span>
+      </h2>
+      {isLoading && <p className="tag_tasks__status">タスクを読み込み中...</p>}
+      {errorMessage && (
+        <p className="tag_tasks__error" role="alert">
+          {errorMessage}
+        </p>
+      )}
+      {!isLoading && tasks.length === 0 && (
+        <p className="tag_tasks__status">このタグの付いたタスクはありません</p>
+      )}
+      {groups.map(({ list, tasks: listTasks }) => (
+        <section key={list.id} className="tag_tasks__group">
+          <h3 className="tag_tasks__group_title">
+            <Link to={`/lists/${list.id}`}>{list.title}</Link>
+          </h3>
+          <div className="tag_tasks__items">
+            {listTasks.map(task => (
+              <TaskItem key={task.id} taskId={task.id} />
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  )
+}
+
+export default TagTasks
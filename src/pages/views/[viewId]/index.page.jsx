@@ -0,0 +1,160 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useParams } from 'react-router-dom'
+import { CheckIcon } from '~/icons/CheckIcon'
+import { fetchAllTasks, selectAllTasksStatus, updateTask } from '~/store/task'
+import { selectOrderedLists } from '~/store/order'
+import { showToast } from '~/store/history'
+import { useNow } from '~/hooks/useNow'
+import {
+  findSmartView,
+  groupSmartViewTasks,
+  matchesSmartViewDeadline,
+} from '~/utils/smartViews'
+import { formatISOToJapanese } from '~/utils/dateUtils'
+import { priorityLabel } from '~/utils/priority'
+import NotFound from '~/pages/404'
+import './index.css'
+
+const SmartView = () => {
+  const dispatch = useDispatch()
+  const { viewId } = useParams()
+  const view = findSmartView(viewId)
+  const now = useNow()
+
+  const lists = useSelector(selectOrderedLists)
+  const entities = useSelector(state => state.task.entities)
+
+  // この画面で完了にしたタスク（取り消せるよう、画面を離れるまで一覧に残す）
+  const [completedIds, setCompletedIds] = useState([])
+
+  useEffect(() => {
+    setCompletedIds([])
+  }, [viewId])
+
+  const tasks = useMemo(
+    () =>
+      Object.values(entities).filter(
+        task =>
+          matchesSmartViewDeadline(task, viewId, now) &&
+          (!task.done || completedIds.includes(task.id))
+      ),
+    [entities, viewId, now, completedIds]
+  )
+  const groups = useMemo(
+    () => groupSmartViewTasks(tasks, lists || [], now),
+    [tasks, lists, now]
+  )
+  const incompleteCount = tasks.filter(task => !task.done).length
+
+  // まだタスクを取得していないリストがある間は、一覧が揃っていない
+  // （取得に失敗したリストは待たずに、読み込めた分とエラーを表示する）
+  const { isLoading, errorMessage } = useSelector(selectAllTasksStatus)
+
+  // 全リストのタスクから期限の条件に合うものを探す
+  useEffect(() => {
+    if (lists) {
+      void dispatch(fetchAllTasks())
+    }
+  }, [lists])
+
+  /**
+   * タスクの完了/未完了を切り替える
+   */
+  const handleToggle = task => {
+    if (!task.done) {
+      setCompletedIds(prev => [...prev, task.id])
+    }
+
+    void dispatch(updateTask({ id: task.id, done: !task.done }))
+      .unwrap()
+      .catch(err => {
+        dispatch(showToast(`タスクを更新できませんでした: ${err.message}`))
+      })
+  }
+
+  if (!view) {
+    return <NotFound />
+  }
+
+  return (
+    <div className="smart_view">
+      <h2 className="smart_view__title">
+        {view.label}
+        <span className="smart_view__title__count">{incompleteCount}</span>
+      </h2>
+      <p className="smart_view__description">
+        すべてのリストの、{view.title}の未完了のタスク
+      </p>
+      {isLoading && <p className="smart_view__status">タスクを読み込み中...</p>}
+      {errorMessage && (
+        <p className="smart_view__error" role="alert">
+          {errorMessage}
+        </p>
+      )}
+      {!isLoading && tasks.length === 0 && (
+        <p className="smart_view__status">該当するタスクはありません</p>
+      )}
+      {groups.map(({ list, days }) => (
+        <section key={list.id} className="smart_view__group">
+          <h3 className="smart_view__group_title">
+            <Link to={`/lists/${list.id}`}>{list.title}</Link>
+          </h3>
+          {days.map(({ day, heading, tasks: dayTasks }) => (
+            <div key={day} className="smart_view__day">
+              <h4 className="smart_view__day_heading">{heading}</h4>
+              <ul className="smart_view__items">
+                {dayTasks.map(task => (
+                  <li
+                    key={task.id}
+                    className="smart_view__item"
+                    data-done={task.done}
+                  >
+                    {/* 完了/未完了の切り替え */}
+                    <button
+                      type="button"
+                      className="smart_view__mark"
+                      aria-label={
+                        task.done
+                          ? `${task.title} を未完了に戻す`
+                          : `${task.title} を完了にする`
+                      }
+                      aria-pressed={task.done}
+                      onClick={() => handleToggle(task)}
+                    >
+                      {task.done && (
+                        <CheckIcon className="smart_view__mark_check" />
+                      )}
+                    </button>
+                    {priorityLabel(task.meta?.priority) && (
+                      <span
+                        className="smart_view__priority"
+                        data-priority={task.meta.priority}
+                      >
+                        {priorityLabel(task.meta.priority)}
+                      </span>
+                    )}
+                    <Link
+                      to={`/lists/${task.listId}/tasks/${task.id}`}
+                      className="smart_view__item_title"
+                    >
+                      {task.title}
+                    </Link>
+                    <span
+                      className="smart_view__item_limit"
+                      data-overdue={!task.done && new Date(task.limit) < now}
+                    >
+                      {formatISOToJapanese(task.limit)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </section>
+      ))}
+    </div>
+  )
+}
+
+export default SmartView
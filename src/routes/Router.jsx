@@ -1,7 +1,9 @@
-import React from 'react'
+import React, { Fragment } from 'react'
 import { useSelector } from 'react-redux'
 import { BrowserRouter, Route, Redirect, Switch } from 'react-router-dom'
 import { Sidebar } from '~/components/Sidebar'
+import { UndoToast } from '~/components/UndoToast'
+import { useUndoShortcuts } from '~/hooks/useUndoShortcuts'
 import Home from '~/pages/index.page'
 import NotFound from '~/pages/404'
 import SignIn from '~/pages/signin/index.page'
@@ -10,49 +12,81 @@ import EditTask from '~/pages/lists/[listId]/tasks/[taskId]/index.page'
 import SignUp from '~/pages/signup/index.page'
 import EditList from '~/pages/lists/[listId]/edit/index.page'
 import ListIndex from '~/pages/lists/[listId]/index.page'
+import Search from '~/pages/search/index.page'
+import TagTasks from '~/pages/tags/[tag]/index.page'
+import SmartView from '~/pages/views/[viewId]/index.page'
+import Calendar from '~/pages/calendar/index.page'
+import Agenda from '~/pages/agenda/index.page'
+import Settings from '~/pages/settings/index.page'
+import { selectTimeZone } from '~/store/settings'
 
 export const Router = () => {
   const auth = useSelector(state => state.auth.token !== null)
+  // タイムゾーンを変えたら、日時を表示している画面をすべて作り直す
+  const timeZone = useSelector(selectTimeZone)
+
+  useUndoShortcuts()
 
   return (
     <BrowserRouter>
-      <Sidebar />
-      <div className="main_content">
-        {auth ? (
-          <Switch>
-            <Route exact path="/">
-              <Home />
-            </Route>
-            <Route exact path="/lists/:listId">
-              <ListIndex />
-            </Route>
-            <Route exact path="/list/new">
-              <NewList />
-            </Route>
-            <Route exact path="/lists/:listId/tasks/:taskId">
-              <EditTask />
-            </Route>
-            <Route exact path="/lists/:listId/edit">
-              <EditList />
-            </Route>
-            <Route path="*">
-              <NotFound />
-            </Route>
-          </Switch>
-        ) : (
-          <Switch>
-            <Route exact path="/signin">
-              <SignIn />
-            </Route>
-            <Route exact path="/signup">
-              <SignUp />
-            </Route>
-            <Route path="/">
-              <Redirect to="/signin" />
-            </Route>
-          </Switch>
-        )}
-      </div>
+      <Fragment key={timeZone}>
+        <Sidebar />
+        <div className="main_content">
+          {auth ? (
+            <Switch>
+              <Route exact path="/">
+                <Home />
+              </Route>
+              <Route exact path="/lists/:listId">
+                <ListIndex />
+              </Route>
+              <Route exact path="/list/new">
+                <NewList />
+              </Route>
+              <Route exact path="/lists/:listId/tasks/:taskId">
+                <EditTask />
+              </Route>
+              <Route exact path="/lists/:listId/edit">
+                <EditList />
+              </Route>
+              <Route exact path="/search">
+                <Search />
+              </Route>
+              <Route exact path="/tags/:tag">
+                <TagTasks />
+              </Route>
+              <Route exact path="/views/:viewId">
+                <SmartView />
+              </Route>
+              <Route exact path="/calendar">
+                <Calendar />
+              </Route>
+              <Route exact path="/agenda">
+                <Agenda />
+              </Route>
+              <Route exact path="/settings">
+                <Settings />
+              </Route>
+              <Route path="*">
+                <NotFound />
+              </Route>
+            </Switch>
+          ) : (
+            <Switch>
+              <Route exact path="/signin">
+                <SignIn />
+              </Route>
+              <Route exact path="/signup">
+                <SignUp />
+              </Route>
+              <Route path="/">
+                <Redirect to="/signin" />
+              </Route>
+            </Switch>
+          )}
+        </div>
+      </Fragment>
+      {auth && <UndoToast />}
     </BrowserRouter>
   )
 }
@@ -3,6 +3,8 @@ import axios from '~/vendor/axios';
 import { handleThunkError } from '~/utils/handleThunkError';
 import { resetTask } from '~/store/task';
 import { resetList } from '~/store/list';
+import { clearOutbox } from '~/store/sync';
+import { resetHistory } from '~/store/history';
 
 const initialState = {
   // NOTE: localStorageから直接取得している。SSR時にはこのままでは動かないので注意
@@ -105,5 +107,8 @@ export const logout = createAsyncThunk(
     // 他のステートをリセット
     thunkApi.dispatch(resetTask());
     thunkApi.dispatch(resetList());
+    thunkApi.dispatch(resetHistory());
+    // 未送信の変更は別ユーザーのトークンで送らないよう破棄する
+    void thunkApi.dispatch(clearOutbox());
   },
 );
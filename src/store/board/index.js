@@ -0,0 +1,76 @@
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { replaceListId } from '~/store/list';
+import { addIdAlias } from '~/store/history';
+import { DEFAULT_LIST_LAYOUT, resolveBoardColumns } from '~/utils/board';
+
+// NOTE: 表示の切り替えと列の設定はこのブラウザだけの設定としてlocalStorageに保存する
+// （タスクがどの列にあるかはtask.metaに保存するので、他の端末でも保たれる）
+const STORAGE_KEY = 'railway-todo-app__board';
+
+const loadState = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saved = loadState();
+
+const initialState = {
+  // NOTE: リストごとの表示 { [listId]: 'list' | 'board' }
+  layoutByList: saved.layoutByList ?? {},
+  // NOTE: リストごとのボードの列 { [listId]: Array<{ id, title, wipLimit }> }
+  columnsByList: saved.columnsByList ?? {},
+};
+
+export const saveBoardState = state => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+// NOTE: リストの作り直しや仮IDの置き換えで設定を引き継ぐ
+const renameList = (state, from, to) => {
+  [state.layoutByList, state.columnsByList].forEach(record => {
+    if (record[from] !== undefined) {
+      record[to] = record[from];
+      delete record[from];
+    }
+  });
+};
+
+export const boardSlice = createSlice({
+  name: 'board',
+  initialState,
+  reducers: {
+    setListLayout: (state, action) => {
+      const { listId, layout } = action.payload;
+
+      state.layoutByList[listId] = layout;
+    },
+    setBoardColumns: (state, action) => {
+      const { listId, columns } = action.payload;
+
+      state.columnsByList[listId] = columns;
+    },
+  },
+  extraReducers: builder => {
+    builder
+      .addCase(replaceListId, (state, action) => {
+        renameList(state, action.payload.tempId, action.payload.id);
+      })
+      .addCase(addIdAlias, (state, action) => {
+        renameList(state, action.payload.from, action.payload.to);
+      });
+  },
+});
+
+export const { setListLayout, setBoardColumns } = boardSlice.actions;
+
+export const selectListLayout = (state, listId) =>
+  state.board.layoutByList[listId] ?? DEFAULT_LIST_LAYOUT;
+
+// NOTE: 未設定のリストは既定の列（To do / In progress / Done）
+export const selectBoardColumns = createSelector(
+  [(state, listId) => state.board.columnsByList[listId]],
+  columns => resolveBoardColumns(columns),
+);
@@ -0,0 +1,329 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { handleThunkError } from '~/utils/handleThunkError';
+import { createTask, updateTask, deleteTask, moveTask } from '~/store/task';
+import { createList, updateList, deleteList } from '~/store/list';
+
+// NOTE: 遡れる操作の最大数
+const HISTORY_LIMIT = 50;
+
+const initialState = {
+  // NOTE: 取り消せる操作（古い順）。各エントリは下記のいずれか
+  // - { type: 'updateTask', taskId, before, after, next, label }
+  //   （nextは繰り返しタスクの完了で作成した次回のタスク。無ければnull）
+  // - { type: 'deleteTask', task, index, label }
+  // - { type: 'moveTask', taskId, fromListId, toListId, label }
+  // - { type: 'copyTask', task, label }（taskはコピーして作成したタスク）
+  // - { type: 'batch', entries, label }（一括操作。entriesは上記のエントリ）
+  // - { type: 'updateList', listId, before, after, label }
+  // - { type: 'deleteList', list, tasks, label }
+  past: [],
+  // NOTE: やり直せる操作（取り消した順）
+  future: [],
+  // NOTE: 削除を取り消して作り直した際の 旧ID → 新ID の対応
+  idAliases: {},
+  // NOTE: 直近の操作を知らせるトースト { id, message }
+  toast: null,
+  isApplying: false,
+};
+
+const describe = entry => {
+  const label = entry.label ? `「${entry.label}」` : '';
+
+  switch (entry.type) {
+  case 'updateTask':
+    return entry.next
+      ? `タスク${label}を完了し、次回のタスクを作成しました`
+      : `タスク${label}を更新しました`;
+  case 'deleteTask':
+    return `タスク${label}を削除しました`;
+  case 'moveTask':
+    return `タスク${label}を移動しました`;
+  case 'copyTask':
+    return `タスク${label}をコピーしました`;
+  case 'batch':
+    return `${entry.label}を変更しました`;
+  case 'updateList':
+    return `リスト${label}の名前を変更しました`;
+  case 'deleteList':
+    return `リスト${label}を削除しました`;
+  default:
+    return '';
+  }
+};
+
+export const historySlice = createSlice({
+  name: 'history',
+  initialState,
+  reducers: {
+    resetHistory: state => {
+      state.past = [];
+      state.future = [];
+      state.idAliases = {};
+      state.toast = null;
+      state.isApplying = false;
+    },
+    recordChange: (state, action) => {
+      state.past.push(action.payload);
+      if (state.past.length > HISTORY_LIMIT) {
+        state.past.shift();
+      }
+      state.future = [];
+      state.toast = { id: Date.now(), message: describe(action.payload) };
+    },
+    moveToFuture: state => {
+      const entry = state.past.pop();
+      if (entry) {
+        state.future.push(entry);
+        state.toast = {
+          id: Date.now(),
+          message: `取り消しました: ${describe(entry)}`,
+        };
+      }
+    },
+    moveToPast: state => {
+      const entry = state.future.pop();
+      if (entry) {
+        state.past.push(entry);
+        state.toast = { id: Date.now(), message: describe(entry) };
+      }
+    },
+    addIdAlias: (state, action) => {
+      const { from, to } = action.payload;
+
+      state.idAliases[from] = to;
+    },
+    setHistoryIsApplying: (state, action) => {
+      state.isApplying = action.payload;
+    },
+    showToast: (state, action) => {
+      state.toast = { id: Date.now(), message: action.payload };
+    },
+    dismissToast: state => {
+      state.toast = null;
+    },
+  },
+});
+
+export const {
+  resetHistory,
+  recordChange,
+  moveToFuture,
+  moveToPast,
+  addIdAlias,
+  setHistoryIsApplying,
+  showToast,
+  dismissToast,
+} = historySlice.actions;
+
+// NOTE: 作り直しで変わったIDを、最新のIDまで辿る
+const resolveId = (state, id) => {
+  let resolved = id;
+  while (state.history.idAliases[resolved]) {
+    resolved = state.history.idAliases[resolved];
+  }
+
+  return resolved;
+};
+
+const recreateTask = async (thunkApi, listId, task) => {
+  const newId = await thunkApi
+    .dispatch(
+      createTask({
+        listId,
+        title: task.title,
+        detail: task.detail,
+        done: task.done,
+        limit: task.limit ?? null,
+        meta: task.meta ?? {},
+      }),
+    )
+    .unwrap();
+  thunkApi.dispatch(addIdAlias({ from: task.id, to: newId }));
+};
+
+/*
+ * 履歴エントリの操作を、逆向き（undo）または同じ向き（redo）に適用する
+ * 削除の取り消しは既存のAPIでタスク・リストを作り直すため、IDが変わる
+ */
+const applyEntry = async (thunkApi, entry, direction) => {
+  const state = thunkApi.getState();
+  const isUndo = direction === 'undo';
+  const options = { skipHistory: true };
+
+  switch (entry.type) {
+  case 'updateTask': {
+    // 次回のタスクは、取り消すときは先に削除し、やり直すときは後から作り直す
+    if (isUndo && entry.next) {
+      await thunkApi
+        .dispatch(
+          deleteTask({ id: resolveId(state, entry.next.id), ...options }),
+        )
+        .unwrap();
+    }
+
+    const fields = isUndo ? entry.before : entry.after;
+    await thunkApi
+      .dispatch(
+        updateTask({
+          id: resolveId(state, entry.taskId),
+          ...fields,
+          ...options,
+        }),
+      )
+      .unwrap();
+
+    if (!isUndo && entry.next) {
+      await recreateTask(
+        thunkApi,
+        resolveId(state, entry.next.listId),
+        entry.next,
+      );
+    }
+    break;
+  }
+  case 'deleteTask': {
+    if (isUndo) {
+      await recreateTask(
+        thunkApi,
+        resolveId(state, entry.task.listId),
+        entry.task,
+      );
+    } else {
+      await thunkApi
+        .dispatch(
+          deleteTask({ id: resolveId(state, entry.task.id), ...options }),
+        )
+        .unwrap();
+    }
+    break;
+  }
+  case 'moveTask': {
+    const newId = await thunkApi
+      .dispatch(
+        moveTask({
+          id: resolveId(state, entry.taskId),
+          toListId: resolveId(
+            state,
+            isUndo ? entry.fromListId : entry.toListId,
+          ),
+          ...options,
+        }),
+      )
+      .unwrap();
+    thunkApi.dispatch(
+      addIdAlias({ from: resolveId(state, entry.taskId), to: newId }),
+    );
+    break;
+  }
+  case 'copyTask': {
+    // コピーの取り消しは、作成したタスクの削除
+    if (isUndo) {
+      await thunkApi
+        .dispatch(
+          deleteTask({ id: resolveId(state, entry.task.id), ...options }),
+        )
+        .unwrap();
+    } else {
+      await recreateTask(
+        thunkApi,
+        resolveId(state, entry.task.listId),
+        entry.task,
+      );
+    }
+    break;
+  }
+  case 'batch': {
+    // 取り消すときは後に行った操作から順に戻す
+    const entries = isUndo ? [...entry.entries].reverse() : entry.entries;
+    for (const child of entries) {
+      await applyEntry(thunkApi, child, direction);
+    }
+    break;
+  }
+  case 'updateList': {
+    const fields = isUndo ? entry.before : entry.after;
+    await thunkApi
+      .dispatch(
+        updateList({
+          id: resolveId(state, entry.listId),
+          ...fields,
+          ...options,
+        }),
+      )
+      .unwrap();
+    break;
+  }
+  case 'deleteList': {
+    if (isUndo) {
+      const newListId = await thunkApi
+        .dispatch(createList({ title: entry.list.title }))
+        .unwrap();
+      thunkApi.dispatch(addIdAlias({ from: entry.list.id, to: newListId }));
+
+      // リストに含まれていたタスクも順番通りに作り直す
+      for (const task of entry.tasks) {
+        await recreateTask(thunkApi, newListId, task);
+      }
+    } else {
+      await thunkApi
+        .dispatch(
+          deleteList({ id: resolveId(state, entry.list.id), ...options }),
+        )
+        .unwrap();
+    }
+    break;
+  }
+  default:
+    break;
+  }
+};
+
+export const undo = createAsyncThunk('history/undo', async (_payload, thunkApi) => {
+  const { past, isApplying } = thunkApi.getState().history;
+  const entry = past[past.length - 1];
+
+  if (!entry || isApplying) {
+    return;
+  }
+
+  thunkApi.dispatch(setHistoryIsApplying(true));
+
+  try {
+    await applyEntry(thunkApi, entry, 'undo');
+    thunkApi.dispatch(moveToFuture());
+  } catch (e) {
+    const rejected = handleThunkError(e, thunkApi);
+    thunkApi.dispatch(
+      showToast(`取り消せませんでした: ${rejected.payload.message}`),
+    );
+
+    return rejected;
+  } finally {
+    thunkApi.dispatch(setHistoryIsApplying(false));
+  }
+});
+
+export const redo = createAsyncThunk('history/redo', async (_payload, thunkApi) => {
+  const { future, isApplying } = thunkApi.getState().history;
+  const entry = future[future.length - 1];
+
+  if (!entry || isApplying) {
+    return;
+  }
+
+  thunkApi.dispatch(setHistoryIsApplying(true));
+
+  try {
+    await applyEntry(thunkApi, entry, 'redo');
+    thunkApi.dispatch(moveToPast());
+  } catch (e) {
+    const rejected = handleThunkError(e, thunkApi);
+    thunkApi.dispatch(
+      showToast(`やり直せませんでした: ${rejected.payload.message}`),
+    );
+
+    return rejected;
+  } finally {
+    thunkApi.dispatch(setHistoryIsApplying(false));
+  }
+});
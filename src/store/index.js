@@ -2,11 +2,45 @@ import { configureStore } from '@reduxjs/toolkit';
 import { authSlice } from './auth';
 import { listSlice } from './list';
 import { taskSlice } from './task';
+import { syncSlice } from './sync';
+import { historySlice } from './history';
+import { orderSlice, saveOrderState } from './order';
+import { boardSlice, saveBoardState } from './board';
+import { settingsSlice, saveSettingsState } from './settings';
+import { setTimeZone } from '~/utils/timeZone';
 
 export const store = configureStore({
   reducer: {
     auth: authSlice.reducer,
     list: listSlice.reducer,
     task: taskSlice.reducer,
+    sync: syncSlice.reducer,
+    history: historySlice.reducer,
+    order: orderSlice.reducer,
+    board: boardSlice.reducer,
+    settings: settingsSlice.reducer,
   },
 });
+
+// NOTE: 日時の計算に使うタイムゾーンを設定に合わせる（画面の描画より先に反映する）
+setTimeZone(store.getState().settings.timeZone);
+
+// NOTE: 並び順・ボード・表示の設定は変わるたびにlocalStorageへ保存する
+const persistedSlices = {
+  order: saveOrderState,
+  board: saveBoardState,
+  settings: saveSettingsState,
+};
+let lastState = store.getState();
+store.subscribe(() => {
+  const state = store.getState();
+  if (state.settings.timeZone !== lastState.settings.timeZone) {
+    setTimeZone(state.settings.timeZone);
+  }
+  Object.entries(persistedSlices).forEach(([name, save]) => {
+    if (state[name] !== lastState[name]) {
+      save(state[name]);
+    }
+  });
+  lastState = state;
+});
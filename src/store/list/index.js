@@ -1,6 +1,10 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { handleThunkError } from '~/utils/handleThunkError';
+import { createTemporaryId } from '~/utils/temporaryId';
 import axios from '~/vendor/axios';
+import { sendOrEnqueue } from '~/store/sync';
+import { removeListTasks, fetchTasks, selectTasksByList } from '~/store/task';
+import { recordChange } from '~/store/history';
 
 const initialState = {
   lists: null,
@@ -12,7 +16,7 @@ export const listSlice = createSlice({
   name: 'list',
   initialState,
   reducers: {
-    resetList: (state, _action) => {
+    resetList: state => {
       state.lists = null;
       state.current = null;
       state.isLoading = false;
@@ -59,6 +63,18 @@ export const listSlice = createSlice({
         return list;
       });
     },
+    replaceListId: (state, action) => {
+      const { tempId, id } = action.payload;
+
+      const list = state.lists?.find(list => list.id === tempId);
+      if (list) {
+        list.id = id;
+      }
+
+      if (state.current === tempId) {
+        state.current = id;
+      }
+    },
   },
 });
 
@@ -70,6 +86,7 @@ export const {
   addList,
   removeList,
   mutateList,
+  replaceListId,
 } = listSlice.actions;
 
 export const fetchLists = createAsyncThunk(
@@ -98,26 +115,71 @@ export const fetchLists = createAsyncThunk(
   },
 );
 
+/*
+ * オフライン中はoutboxに積んだうえで、storeには先に反映しておく
+ */
 export const createList = createAsyncThunk(
   'list/createList',
   async ({ title }, thunkApi) => {
     try {
-      const res = await axios.post('/lists', { title });
-      thunkApi.dispatch(addList(res.data));
+      const tempId = createTemporaryId(thunkApi.requestId);
+      const { queued, data } = await sendOrEnqueue(thunkApi, {
+        kind: 'list',
+        method: 'post',
+        url: '/lists',
+        body: { title },
+        tempId,
+        label: title,
+      });
+
+      const id = queued ? tempId : data.id;
+      thunkApi.dispatch(addList({ title, id }));
 
-      return res.data.id;
+      return id;
     } catch (e) {
       return handleThunkError(e, thunkApi);
     }
   },
 );
 
+/*
+ * deleteList / updateList は成功すると操作履歴（undo用）に記録する
+ * 履歴からの取り消し・やり直しでは skipHistory: true を渡して記録しない
+ */
 export const deleteList = createAsyncThunk(
   'list/deleteList',
-  async ({ id }, thunkApi) => {
+  async ({ id, skipHistory = false }, thunkApi) => {
     try {
-      await axios.delete(`/lists/${id}`);
+      const title = thunkApi
+        .getState()
+        .list.lists?.find(list => list.id === id)?.title;
+
+      // 削除を取り消せるよう、含まれているタスクを控えておく
+      if (!skipHistory) {
+        await thunkApi.dispatch(fetchTasks({ listId: id }));
+      }
+      const tasks = selectTasksByList(thunkApi.getState(), id) ?? [];
+
+      await sendOrEnqueue(thunkApi, {
+        kind: 'list',
+        method: 'delete',
+        url: `/lists/${id}`,
+        body: null,
+        label: title,
+      });
       thunkApi.dispatch(removeList({ id }));
+      thunkApi.dispatch(removeListTasks({ listId: id }));
+
+      if (!skipHistory) {
+        thunkApi.dispatch(
+          recordChange({
+            type: 'deleteList',
+            list: { id, title },
+            tasks,
+            label: title,
+          }),
+        );
+      }
     } catch (e) {
       return handleThunkError(e, thunkApi);
     }
@@ -126,10 +188,32 @@ export const deleteList = createAsyncThunk(
 
 export const updateList = createAsyncThunk(
   'list/updateList',
-  async ({ id, title }, thunkApi) => {
+  async ({ id, title, skipHistory = false }, thunkApi) => {
     try {
-      await axios.put(`/lists/${id}`, { title });
+      const oldTitle = thunkApi
+        .getState()
+        .list.lists?.find(list => list.id === id)?.title;
+
+      await sendOrEnqueue(thunkApi, {
+        kind: 'list',
+        method: 'put',
+        url: `/lists/${id}`,
+        body: { title },
+        label: title,
+      });
       thunkApi.dispatch(mutateList({ id, title }));
+
+      if (!skipHistory && oldTitle !== undefined && oldTitle !== title) {
+        thunkApi.dispatch(
+          recordChange({
+            type: 'updateList',
+            listId: id,
+            before: { title: oldTitle },
+            after: { title },
+            label: title,
+          }),
+        );
+      }
     } catch (e) {
       return handleThunkError(e, thunkApi);
     }
@@ -0,0 +1,127 @@
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { replaceTaskId, selectTasksByList } from '~/store/task';
+import { replaceListId } from '~/store/list';
+import { addIdAlias } from '~/store/history';
+import {
+  applyManualOrder,
+  DEFAULT_NEW_TASK_POSITION,
+} from '~/utils/manualOrder';
+
+// NOTE: 並び順はこのブラウザだけの設定としてlocalStorageに保存する
+const STORAGE_KEY = 'railway-todo-app__order';
+
+const loadState = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saved = loadState();
+
+const initialState = {
+  // NOTE: リストごとの手動の並び順 { [listId]: taskId[] }
+  taskIdsByList: saved.taskIdsByList ?? {},
+  // NOTE: リストごとの新しいタスクの追加位置 { [listId]: 'top' | 'bottom' }
+  newTaskPositionByList: saved.newTaskPositionByList ?? {},
+  // NOTE: サイドバーのリストの並び順（listId[]）
+  listIds: saved.listIds ?? [],
+  // NOTE: サイドバーの上部に固定したリスト（listId[]）
+  pinnedListIds: saved.pinnedListIds ?? [],
+};
+
+export const saveOrderState = state => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+const renameKey = (record, from, to) => {
+  if (record[from] !== undefined) {
+    record[to] = record[from];
+    delete record[from];
+  }
+};
+
+// NOTE: 保存した並び順に含まれるIDを置き換える（作り直しや仮IDの置き換えで位置を保つため）
+const renameId = (state, from, to) => {
+  renameKey(state.taskIdsByList, from, to);
+  renameKey(state.newTaskPositionByList, from, to);
+
+  [
+    ...Object.values(state.taskIdsByList),
+    state.listIds,
+    state.pinnedListIds,
+  ].forEach(ids => {
+    const index = ids.indexOf(from);
+    if (index !== -1) {
+      ids[index] = to;
+    }
+  });
+};
+
+export const orderSlice = createSlice({
+  name: 'order',
+  initialState,
+  reducers: {
+    setTaskOrder: (state, action) => {
+      const { listId, taskIds } = action.payload;
+
+      state.taskIdsByList[listId] = taskIds;
+    },
+    setNewTaskPosition: (state, action) => {
+      const { listId, position } = action.payload;
+
+      state.newTaskPositionByList[listId] = position;
+    },
+    setListOrder: (state, action) => {
+      state.listIds = action.payload;
+    },
+    setListPinned: (state, action) => {
+      const { listId, pinned } = action.payload;
+
+      state.pinnedListIds = state.pinnedListIds.filter(id => id !== listId);
+      if (pinned) {
+        state.pinnedListIds.push(listId);
+      }
+    },
+  },
+  extraReducers: builder => {
+    builder
+      .addCase(replaceTaskId, (state, action) => {
+        renameId(state, action.payload.tempId, action.payload.id);
+      })
+      .addCase(replaceListId, (state, action) => {
+        renameId(state, action.payload.tempId, action.payload.id);
+      })
+      .addCase(addIdAlias, (state, action) => {
+        renameId(state, action.payload.from, action.payload.to);
+      });
+  },
+});
+
+export const {
+  setTaskOrder,
+  setNewTaskPosition,
+  setListOrder,
+  setListPinned,
+} = orderSlice.actions;
+
+export const selectNewTaskPosition = (state, listId) =>
+  state.order.newTaskPositionByList[listId] ?? DEFAULT_NEW_TASK_POSITION;
+
+// NOTE: 手動の並び順を適用したリストのタスク（未取得のリストはnull）
+export const selectOrderedTasksByList = createSelector(
+  [
+    selectTasksByList,
+    (state, listId) => state.order.taskIdsByList[listId],
+    selectNewTaskPosition,
+  ],
+  (tasks, taskIds, position) =>
+    tasks ? applyManualOrder(tasks, taskIds, position) : null,
+);
+
+// NOTE: サイドバーの並び順を適用したリスト一覧（新しいリストは末尾。未取得ならnull）
+export const selectOrderedLists = createSelector(
+  [state => state.list.lists, state => state.order.listIds],
+  (lists, listIds) => (lists ? applyManualOrder(lists, listIds, 'bottom') : null),
+);
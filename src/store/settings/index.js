@@ -0,0 +1,55 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { getBrowserTimeZone, isValidTimeZone } from '~/utils/timeZone';
+import {
+  normalizeLimitPresetIds,
+  normalizeWorkingHours,
+} from '~/utils/limitPresets';
+
+// NOTE: 表示の設定はこのブラウザだけの設定としてlocalStorageに保存する
+const STORAGE_KEY = 'railway-todo-app__settings';
+
+const loadState = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saved = loadState();
+
+const initialState = {
+  // NOTE: 期限の入力・表示に使うタイムゾーン（IANAの名前）。nullならブラウザのタイムゾーン
+  timeZone: isValidTimeZone(saved.timeZone) ? saved.timeZone : null,
+  // NOTE: 勤務時間 { start, end }（'HH:MM'）。期限のプリセットの時刻に使う
+  workingHours: normalizeWorkingHours(saved.workingHours),
+  // NOTE: LimitPickerに表示する期限のプリセットのID
+  limitPresetIds: normalizeLimitPresetIds(saved.limitPresetIds),
+};
+
+export const saveSettingsState = state => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+export const settingsSlice = createSlice({
+  name: 'settings',
+  initialState,
+  reducers: {
+    setTimeZoneSetting: (state, action) => {
+      state.timeZone = isValidTimeZone(action.payload) ? action.payload : null;
+    },
+    setWorkingHours: (state, action) => {
+      state.workingHours = normalizeWorkingHours(action.payload);
+    },
+    setLimitPresetIds: (state, action) => {
+      state.limitPresetIds = normalizeLimitPresetIds(action.payload);
+    },
+  },
+});
+
+export const { setTimeZoneSetting, setWorkingHours, setLimitPresetIds } =
+  settingsSlice.actions;
+
+// NOTE: 実際に使うタイムゾーン（未設定ならブラウザのタイムゾーン）
+export const selectTimeZone = state =>
+  state.settings.timeZone ?? getBrowserTimeZone();
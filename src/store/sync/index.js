@@ -0,0 +1,345 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from '~/vendor/axios';
+import { handleThunkError } from '~/utils/handleThunkError';
+import {
+  addOutboxEntry,
+  clearOutboxEntries,
+  deleteOutboxEntry,
+  getOutboxEntries,
+  putOutboxEntry,
+} from '~/utils/outbox';
+import {
+  replaceTaskId,
+  replaceTaskListId,
+  removeTask,
+  removeListTasks,
+  invalidateTasks,
+  fetchTasks,
+} from '~/store/task';
+import { replaceListId, removeList, fetchLists } from '~/store/list';
+
+const initialState = {
+  // NOTE: IndexedDBに溜まっている未送信のミューテーション数
+  pendingCount: 0,
+  // NOTE: 作成リクエストがoutboxに積まれている仮ID（再送時に、後続の更新・削除のIDも置き換えられる）
+  queuedTempIds: [],
+  // NOTE: 再送中の作成リクエストの仮ID（応答で本当のIDが決まるまで、後続の操作は積めない）
+  sendingTempId: null,
+  isSyncing: false,
+  // NOTE: 送れないまま終わった再送が続いた回数（再送の間隔を延ばすのに使う）
+  retryCount: 0,
+  isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+  // NOTE: 再送時にサーバー側の状態と食い違ったミューテーション
+  conflicts: [],
+};
+
+export const syncSlice = createSlice({
+  name: 'sync',
+  initialState,
+  reducers: {
+    resetSync: state => {
+      state.pendingCount = 0;
+      state.queuedTempIds = [];
+      state.sendingTempId = null;
+      state.isSyncing = false;
+      state.retryCount = 0;
+      state.conflicts = [];
+    },
+    // NOTE: payloadはoutboxに残っているエントリ（登録順）
+    setOutboxEntries: (state, action) => {
+      const entries = action.payload;
+      state.pendingCount = entries.length;
+      state.queuedTempIds = entries
+        .filter(entry => entry.tempId)
+        .map(entry => entry.tempId);
+    },
+    setSendingTempId: (state, action) => {
+      state.sendingTempId = action.payload;
+    },
+    setIsSyncing: (state, action) => {
+      state.isSyncing = action.payload;
+    },
+    setRetryCount: (state, action) => {
+      state.retryCount = action.payload;
+    },
+    setIsOnline: (state, action) => {
+      state.isOnline = action.payload;
+    },
+    addConflict: (state, action) => {
+      state.conflicts.push(action.payload);
+    },
+    dismissConflict: (state, action) => {
+      state.conflicts = state.conflicts.filter(
+        conflict => conflict.seq !== action.payload.seq,
+      );
+    },
+  },
+});
+
+export const {
+  resetSync,
+  setOutboxEntries,
+  setSendingTempId,
+  setIsSyncing,
+  setRetryCount,
+  setIsOnline,
+  addConflict,
+  dismissConflict,
+} = syncSlice.actions;
+
+/*
+ * レスポンスが返ってこなかった（=通信できなかった）エラーかどうか
+ * 4xx/5xxのようにサーバーが応答したものはオフライン扱いにしない
+ */
+export const isNetworkError = e =>
+  Boolean(e && e.isAxiosError && !e.response);
+
+/*
+ * サーバーが内容を拒否した（再送しても通らない）エラーかどうか
+ * 5xx・408・429のような一時的なエラーや401（ログインし直せば通る）は含めない
+ */
+const CONFLICT_STATUSES = [400, 404, 409, 410, 422];
+
+const isRejected = e => CONFLICT_STATUSES.includes(e?.response?.status);
+
+export const loadOutbox = createAsyncThunk(
+  'sync/loadOutbox',
+  async (_payload, thunkApi) => {
+    try {
+      const entries = await getOutboxEntries();
+      thunkApi.dispatch(setOutboxEntries(entries));
+    } catch (e) {
+      return handleThunkError(e, thunkApi);
+    }
+  },
+);
+
+export const enqueueMutation = createAsyncThunk(
+  'sync/enqueueMutation',
+  async (entry, thunkApi) => {
+    try {
+      await addOutboxEntry({ ...entry, createdAt: new Date().toISOString() });
+      const entries = await getOutboxEntries();
+      thunkApi.dispatch(setOutboxEntries(entries));
+    } catch (e) {
+      return handleThunkError(e, thunkApi);
+    }
+
+    // 通信できるはずなら、すぐに再送を試す（接続が切れずに一時的に失敗しただけの場合）
+    if (navigator.onLine) {
+      void thunkApi.dispatch(flushOutbox());
+    }
+  },
+);
+
+export const clearOutbox = createAsyncThunk(
+  'sync/clearOutbox',
+  async (_payload, thunkApi) => {
+    try {
+      await clearOutboxEntries();
+      thunkApi.dispatch(resetSync());
+    } catch (e) {
+      return handleThunkError(e, thunkApi);
+    }
+  },
+);
+
+/*
+ * オンラインならそのままAPIを呼び出し、オフライン（または未送信分が残っている）なら
+ * outboxに積んで後から再送する。順序を保つため、未送信分がある間は常にoutboxに積む。
+ *
+ * @returns {{ queued: boolean, data: any }}
+ */
+export const sendOrEnqueue = async (thunkApi, entry) => {
+  const { pendingCount } = thunkApi.getState().sync;
+  const enqueue = async () => {
+    await thunkApi.dispatch(enqueueMutation(entry)).unwrap();
+
+    return { queued: true, data: null };
+  };
+
+  if (pendingCount > 0 || !navigator.onLine) {
+    return enqueue();
+  }
+
+  try {
+    const res = await axios.request({
+      method: entry.method,
+      url: entry.url,
+      data: entry.body,
+    });
+
+    return { queued: false, data: res.data };
+  } catch (e) {
+    if (isNetworkError(e)) {
+      return enqueue();
+    }
+
+    throw e;
+  }
+};
+
+// NOTE: 後続のエントリに含まれる仮IDを、作成後の本当のIDに置き換える
+const replaceIdInEntry = (entry, tempId, id) => {
+  const replace = value => value.split(tempId).join(id);
+
+  return {
+    ...entry,
+    url: replace(entry.url),
+    body: entry.body ? JSON.parse(replace(JSON.stringify(entry.body))) : null,
+  };
+};
+
+const conflictMessage = e => {
+  const status = e?.response?.status;
+  if (status === 404) {
+    return 'サーバー側で既に削除されています';
+  }
+
+  return (
+    e?.response?.data?.ErrorMessageJP ||
+    e?.response?.data?.ErrorMessageEN ||
+    e?.message ||
+    'Something went wrong'
+  );
+};
+
+// NOTE: 仮IDを含む（その作成に続けて積んだ）エントリか
+const refersTo = (entry, tempId) =>
+  entry.url.includes(tempId) ||
+  (entry.body !== null && JSON.stringify(entry.body).includes(tempId));
+
+/*
+ * 作成が拒否された項目を取り除く
+ * 仮IDのタスク（リストならそのリストとタスク）を消し、その仮IDを使う後続のエントリもconflictとして破棄する
+ */
+const discardCreated = async (thunkApi, entry) => {
+  if (entry.kind === 'list') {
+    thunkApi.dispatch(removeList({ id: entry.tempId }));
+    thunkApi.dispatch(removeListTasks({ listId: entry.tempId }));
+  } else {
+    thunkApi.dispatch(removeTask({ id: entry.tempId }));
+  }
+
+  const dependents = (await getOutboxEntries()).filter(
+    next => next.seq !== entry.seq && refersTo(next, entry.tempId),
+  );
+
+  for (const dependent of dependents) {
+    thunkApi.dispatch(
+      addConflict({
+        seq: dependent.seq,
+        kind: dependent.kind,
+        method: dependent.method,
+        label: dependent.label,
+        message: '先に作成する項目が保存できなかったため、送信しませんでした',
+      }),
+    );
+    await deleteOutboxEntry(dependent.seq);
+
+    if (dependent.tempId) {
+      await discardCreated(thunkApi, dependent);
+    }
+  }
+};
+
+/*
+ * outboxに溜まったミューテーションを登録順に再送する
+ * - 通信できない、サーバーが一時的に応答できない（5xx・408・429）場合はその時点で中断し、残りは次回に回す
+ * - 認証が切れた（401）場合も中断する（ログインし直した後に再送する）
+ * - サーバーが拒否したもの（削除済みのタスクの更新など）はconflictとして記録し、破棄する
+ *   作成が拒否された場合は、その項目と、それに続けて積んだ操作も破棄する
+ */
+export const flushOutbox = createAsyncThunk(
+  'sync/flushOutbox',
+  async (_payload, thunkApi) => {
+    const { isSyncing } = thunkApi.getState().sync;
+
+    if (isSyncing || thunkApi.getState().auth.token === null) {
+      return;
+    }
+
+    thunkApi.dispatch(setIsSyncing(true));
+
+    let hasConflict = false;
+
+    try {
+      let entries = await getOutboxEntries();
+
+      while (entries.length > 0) {
+        const [entry] = entries;
+
+        thunkApi.dispatch(setSendingTempId(entry.tempId ?? null));
+
+        try {
+          const res = await axios.request({
+            method: entry.method,
+            url: entry.url,
+            data: entry.body,
+          });
+
+          if (entry.tempId && res.data?.id) {
+            const id = res.data.id;
+            // NOTE: 再送中に積まれたエントリも置き換えるため、outboxから読み直す
+            const rest = (await getOutboxEntries()).filter(
+              next => next.seq !== entry.seq,
+            );
+            await Promise.all(
+              rest.map(next =>
+                putOutboxEntry(replaceIdInEntry(next, entry.tempId, id)),
+              ),
+            );
+
+            if (entry.kind === 'list') {
+              thunkApi.dispatch(replaceListId({ tempId: entry.tempId, id }));
+              thunkApi.dispatch(
+                replaceTaskListId({ tempId: entry.tempId, id }),
+              );
+            } else {
+              thunkApi.dispatch(replaceTaskId({ tempId: entry.tempId, id }));
+            }
+          }
+        } catch (e) {
+          if (!isRejected(e)) {
+            break;
+          }
+
+          hasConflict = true;
+          thunkApi.dispatch(
+            addConflict({
+              seq: entry.seq,
+              kind: entry.kind,
+              method: entry.method,
+              label: entry.label,
+              message: conflictMessage(e),
+            }),
+          );
+
+          if (entry.tempId) {
+            await discardCreated(thunkApi, entry);
+          }
+        }
+
+        await deleteOutboxEntry(entry.seq);
+        entries = await getOutboxEntries();
+        thunkApi.dispatch(setOutboxEntries(entries));
+      }
+
+      // 送り切れなかった場合は、次の再送まで間隔を空ける（~/hooks/useOutboxSync）
+      const { retryCount } = thunkApi.getState().sync;
+      thunkApi.dispatch(setRetryCount(entries.length > 0 ? retryCount + 1 : 0));
+    } catch (e) {
+      return handleThunkError(e, thunkApi);
+    } finally {
+      thunkApi.dispatch(setSendingTempId(null));
+      thunkApi.dispatch(setIsSyncing(false));
+    }
+
+    // 食い違いがあった場合は、サーバーの状態を取り直して表示を合わせる
+    if (hasConflict) {
+      thunkApi.dispatch(invalidateTasks());
+      void thunkApi.dispatch(fetchLists({ force: true }));
+      void thunkApi.dispatch(fetchTasks({ force: true }));
+    }
+  },
+);
@@ -1,56 +1,245 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  createSlice,
+  createAsyncThunk,
+  createSelector,
+} from '@reduxjs/toolkit';
 import { handleThunkError } from '~/utils/handleThunkError';
+import { createTemporaryId, isTemporaryId } from '~/utils/temporaryId';
+import { runWithConcurrency } from '~/utils/runWithConcurrency';
+import { splitTaskMeta, joinTaskMeta, setTaskMeta } from '~/utils/taskMeta';
+import { nextOccurrence } from '~/utils/recurrence';
+import { extractTags, normalizeTag } from '~/utils/tags';
+import { countSmartViews } from '~/utils/smartViews';
+import {
+  checklistProgress,
+  resetChecklist,
+  setChecklistItem,
+} from '~/utils/checklist';
 import axios from '~/vendor/axios';
+import { sendOrEnqueue } from '~/store/sync';
+import { recordChange } from '~/store/history';
+
+// NOTE: 取得してからこの時間が経つまでは、同じリストを再取得しない
+const STALE_TIME_MS = 30 * 1000;
 
 const initialState = {
-  tasks: null,
-  listId: null,
-  isLoading: false,
+  // NOTE: タスクIDをキーにしたタスク本体。各タスクは所属するlistIdと、
+  // detailに埋め込まれていた付加情報meta（~/utils/taskMeta）を持つ
+  entities: {},
+  // NOTE: リストIDごとのタスクIDの並び（APIの並び順）。未取得のリストはキー自体が無い
+  idsByList: {},
+  // NOTE: リストIDごとの読み込み状態 { isLoading, fetchedAt, isStale, errorMessage }
+  metaByList: {},
+  // NOTE: 楽観的更新中のミューテーション。requestIdをキーに、ロールバック用のスナップショットを持つ
+  mutations: {},
+  // NOTE: ロールバックが発生した際に画面に表示するエラーメッセージ
+  mutationError: null,
+};
+
+const ensureMeta = (state, listId) => {
+  if (!state.metaByList[listId]) {
+    state.metaByList[listId] = {
+      isLoading: false,
+      fetchedAt: null,
+      isStale: true,
+      errorMessage: null,
+    };
+  }
+
+  return state.metaByList[listId];
+};
+
+const insertId = (state, listId, id, index) => {
+  const ids = state.idsByList[listId];
+  if (!ids || ids.includes(id)) {
+    return;
+  }
+
+  ids.splice(Math.min(Math.max(index, 0), ids.length), 0, id);
+};
+
+const deleteId = (state, id) => {
+  const task = state.entities[id];
+  if (!task) {
+    return;
+  }
+
+  const ids = state.idsByList[task.listId];
+  if (ids) {
+    state.idsByList[task.listId] = ids.filter(taskId => taskId !== id);
+  }
+
+  delete state.entities[id];
 };
 
 export const taskSlice = createSlice({
   name: 'task',
   initialState,
   reducers: {
-    resetTask: (state, _action) => {
-      state.tasks = null;
-      state.listId = null;
-      state.isLoading = false;
+    resetTask: state => {
+      state.entities = {};
+      state.idsByList = {};
+      state.metaByList = {};
+      state.mutations = {};
+      state.mutationError = null;
     },
     setTasks: (state, action) => {
-      state.tasks = action.payload;
+      const { listId, tasks } = action.payload;
+
+      // 作成中（仮ID）のタスクは、取得結果に含まれないので残しておく
+      const pendingIds = (state.idsByList[listId] || []).filter(isTemporaryId);
+      const nextIds = tasks.map(task => task.id);
+
+      (state.idsByList[listId] || []).forEach(id => {
+        if (!pendingIds.includes(id)) {
+          delete state.entities[id];
+        }
+      });
+
+      tasks.forEach(task => {
+        state.entities[task.id] = { ...task, listId };
+      });
+
+      state.idsByList[listId] = [...nextIds, ...pendingIds];
+
+      const meta = ensureMeta(state, listId);
+      meta.fetchedAt = Date.now();
+      meta.isStale = false;
+      meta.errorMessage = null;
+    },
+    setListTasksIsLoading: (state, action) => {
+      const { listId, isLoading } = action.payload;
+
+      ensureMeta(state, listId).isLoading = isLoading;
     },
-    setListId: (state, action) => {
-      state.listId = action.payload;
+    setListTasksError: (state, action) => {
+      const { listId, errorMessage } = action.payload;
+
+      ensureMeta(state, listId).errorMessage = errorMessage;
+    },
+    invalidateTasks: (state, action) => {
+      const listId = action.payload?.listId;
+
+      Object.entries(state.metaByList).forEach(([id, meta]) => {
+        if (!listId || listId === id) {
+          meta.isStale = true;
+        }
+      });
     },
-    setTaskIsLoading: (state, action) => {
-      state.isLoading = action.payload;
+    removeListTasks: (state, action) => {
+      const { listId } = action.payload;
+
+      (state.idsByList[listId] || []).forEach(id => {
+        delete state.entities[id];
+      });
+      delete state.idsByList[listId];
+      delete state.metaByList[listId];
     },
     addTask: (state, action) => {
+      const listId = action.payload.listId;
       const title = action.payload.title;
       const id = action.payload.id;
       const detail = action.payload.detail;
       const done = action.payload.done;
       const limit = action.payload.limit ?? null;
+      const meta = action.payload.meta ?? {};
+
+      // 未取得のリストには追加しない（次に開いたときに取得される）
+      if (!state.idsByList[listId]) {
+        return;
+      }
 
-      state.tasks.push({ title, id, detail, done, limit });
+      state.entities[id] = { title, id, detail, done, limit, meta, listId };
+      state.idsByList[listId].push(id);
     },
     mutateTask: (state, action) => {
       const id = action.payload.id;
-      const idx = state.tasks.findIndex(list => list.id === id);
-      if (idx === -1) {
+      if (!state.entities[id]) {
         return;
       }
 
-      state.tasks[idx] = {
-        ...state.tasks[idx],
+      state.entities[id] = {
+        ...state.entities[id],
         ...action.payload,
       };
     },
     removeTask: (state, action) => {
-      const id = action.payload.id;
+      deleteId(state, action.payload.id);
+    },
+    replaceTaskId: (state, action) => {
+      const { tempId, id } = action.payload;
+
+      const task = state.entities[tempId];
+      if (task) {
+        delete state.entities[tempId];
+        state.entities[id] = { ...task, id };
+
+        const ids = state.idsByList[task.listId];
+        if (ids) {
+          state.idsByList[task.listId] = ids.map(taskId =>
+            taskId === tempId ? id : taskId,
+          );
+        }
+      }
+
+      Object.values(state.mutations).forEach(mutation => {
+        if (mutation.taskId === tempId) {
+          mutation.taskId = id;
+        }
+      });
+    },
+    replaceTaskListId: (state, action) => {
+      const { tempId, id } = action.payload;
+
+      if (state.idsByList[tempId]) {
+        state.idsByList[id] = state.idsByList[tempId];
+        state.metaByList[id] = state.metaByList[tempId];
+        delete state.idsByList[tempId];
+        delete state.metaByList[tempId];
+      }
+
+      Object.values(state.entities).forEach(task => {
+        if (task.listId === tempId) {
+          task.listId = id;
+        }
+      });
+    },
+    startMutation: (state, action) => {
+      const { requestId, ...mutation } = action.payload;
 
-      state.tasks = state.tasks.filter(list => list.id !== id);
+      state.mutations[requestId] = mutation;
+    },
+    settleMutation: (state, action) => {
+      delete state.mutations[action.payload.requestId];
+    },
+    rollbackMutation: (state, action) => {
+      const { requestId, message } = action.payload;
+      const mutation = state.mutations[requestId];
+      delete state.mutations[requestId];
+
+      if (!mutation) {
+        return;
+      }
+
+      state.mutationError = message;
+
+      const { type, taskId, listId, snapshot, index } = mutation;
+
+      if (type === 'create') {
+        deleteId(state, taskId);
+      } else if (type === 'update') {
+        if (state.entities[taskId]) {
+          state.entities[taskId] = snapshot;
+        }
+      } else if (type === 'delete') {
+        if (!state.entities[taskId] && snapshot && state.idsByList[listId]) {
+          state.entities[taskId] = snapshot;
+          insertId(state, listId, taskId, index);
+        }
+      }
+    },
+    clearMutationError: state => {
+      state.mutationError = null;
     },
   },
 });
@@ -58,21 +247,181 @@ export const taskSlice = createSlice({
 export const {
   resetTask,
   setTasks,
-  setListId,
-  setTaskIsLoading,
+  setListTasksIsLoading,
+  setListTasksError,
+  invalidateTasks,
+  removeListTasks,
   addTask,
   mutateTask,
   removeTask,
+  replaceTaskId,
+  replaceTaskListId,
+  startMutation,
+  settleMutation,
+  rollbackMutation,
+  clearMutationError,
 } = taskSlice.actions;
 
+/*
+ * セレクター
+ * コンポーネントからはstate.taskを直接参照せず、これらを経由してキャッシュを読む
+ */
+export const selectTaskById = (state, taskId) =>
+  state.task.entities[taskId] ?? null;
+
+// NOTE: 未取得のリストはnullを返す（空のリストは空配列）
+export const selectTasksByList = createSelector(
+  [state => state.task.entities, (state, listId) => state.task.idsByList[listId]],
+  (entities, ids) => (ids ? ids.map(id => entities[id]) : null),
+);
+
+export const selectListTasksMeta = (state, listId) =>
+  state.task.metaByList[listId] ?? null;
+
+/*
+ * 全リストのタスクの読み込み状況（検索・カレンダーなど、リストを横断する画面で使う）
+ * - isLoading: まだ取得できていない（取得に失敗したものを除く）リストがある
+ * - errorMessage: 取得に失敗したリストがあれば、そのリスト名を含むメッセージ
+ */
+export const selectAllTasksStatus = createSelector(
+  [
+    state => state.list.lists,
+    state => state.task.idsByList,
+    state => state.task.metaByList,
+  ],
+  (lists, idsByList, metaByList) => {
+    if (!lists) {
+      return { isLoading: true, errorMessage: null };
+    }
+
+    const failedLists = lists.filter(list => metaByList[list.id]?.errorMessage);
+    return {
+      isLoading: lists.some(
+        list => !idsByList[list.id] && !metaByList[list.id]?.errorMessage,
+      ),
+      errorMessage:
+        failedLists.length > 0
+          ? `タスクを読み込めなかったリストがあります: ${failedLists
+            .map(list => list.title)
+            .join('、')}`
+          : null,
+    };
+  },
+);
+
+/*
+ * 仮IDのタスクがまだ保存中で、更新・削除できないか
+ * 仮IDのタスクは、そのタスクの作成リクエストがoutboxに積まれている（再送中ではない）場合のみ操作できる
+ * （outboxに積んだ更新・削除は、作成の再送時に仮IDを本当のIDへ置き換えてから送られる）
+ */
+export const selectIsTaskSaving = (state, taskId) =>
+  isTemporaryId(taskId) &&
+  (state.sync.sendingTempId === taskId ||
+    !state.sync.queuedTempIds.includes(taskId));
+
+export const selectIsTaskPending = (state, taskId) =>
+  Object.values(state.task.mutations).some(
+    mutation => mutation.taskId === taskId,
+  );
+
+// NOTE: タスクのタグはタスクのオブジェクトごとにキャッシュする（更新されると別のオブジェクトになる）
+const tagsCache = new WeakMap();
+
+export const selectTaskTags = task => {
+  if (!tagsCache.has(task)) {
+    tagsCache.set(task, extractTags(task.title, task.detail));
+  }
+
+  return tagsCache.get(task);
+};
+
+/*
+ * 読み込み済みの全タスクのタグを、使われている数の多い順に返す
+ * @returns {{ tag: string, count: number }[]}
+ */
+export const selectAllTags = createSelector(
+  [state => state.task.entities],
+  entities => {
+    const counts = new Map();
+
+    Object.values(entities).forEach(task => {
+      selectTaskTags(task).forEach(tag => {
+        const key = normalizeTag(tag);
+        const current = counts.get(key);
+        counts.set(key, {
+          tag: current?.tag ?? tag,
+          count: (current?.count ?? 0) + 1,
+        });
+      });
+    });
+
+    return Array.from(counts.values()).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag),
+    );
+  },
+);
+
+// NOTE: 指定したタグを持つタスク（リストごとの並び順を保つ）
+export const selectTasksByTag = createSelector(
+  [
+    state => state.task.entities,
+    state => state.task.idsByList,
+    (state, tag) => normalizeTag(tag),
+  ],
+  (entities, idsByList, key) =>
+    Object.values(idsByList)
+      .flat()
+      .map(id => entities[id])
+      .filter(
+        task =>
+          task && selectTaskTags(task).some(tag => normalizeTag(tag) === key),
+      ),
+);
+
+/*
+ * 読み込み済みの全タスクのうち、各スマートビュー（今日 / 期限切れ / 近日中）に含まれる数
+ * @returns {{ today: number, overdue: number, upcoming: number }}
+ */
+export const selectSmartViewCounts = createSelector(
+  [state => state.task.entities, (state, now) => now],
+  (entities, now) => countSmartViews(Object.values(entities), now),
+);
+
+const normalizeTask = t => ({
+  ...t,
+  ...splitTaskMeta(t.detail),
+  limit: t.limit ?? t.limit_at ?? t.due ?? t.due_at ?? t.deadline ?? null,
+});
+
+// NOTE: 履歴やコピーで使う、タスクの内容（IDと所属リスト以外）
+const toTaskFields = task => ({
+  title: task.title,
+  detail: task.detail,
+  done: task.done,
+  limit: task.limit ?? null,
+  meta: task.meta ?? {},
+});
+
+/*
+ * リストのタスクを取得してキャッシュする
+ * キャッシュが新しいうちは再取得しない。取得中もキャッシュはそのまま表示できる
+ */
 export const fetchTasks = createAsyncThunk(
   'task/fetchTasks',
-  async ({ force = false } = {}, thunkApi) => {
-    const listId = thunkApi.getState().list.current;
-    const currentListId = thunkApi.getState().task.listId;
-    const isLoading = thunkApi.getState().task.isLoading;
+  async ({ listId: targetListId, force = false } = {}, thunkApi) => {
+    const listId = targetListId ?? thunkApi.getState().list.current;
+    if (!listId) {
+      return;
+    }
 
-    if (!force && (currentListId === listId || isLoading)) {
+    const meta = selectListTasksMeta(thunkApi.getState(), listId);
+    const isFresh =
+      meta !== null &&
+      !meta.isStale &&
+      meta.fetchedAt !== null &&
+      Date.now() - meta.fetchedAt < STALE_TIME_MS;
+
+    if (meta?.isLoading || (!force && isFresh)) {
       return;
     }
 
@@ -80,96 +429,481 @@ export const fetchTasks = createAsyncThunk(
       return;
     }
 
-    thunkApi.dispatch(setTaskIsLoading(true));
+    // オフライン中に作成したリストはまだサーバーに存在しない
+    if (isTemporaryId(listId)) {
+      thunkApi.dispatch(setTasks({ listId, tasks: [] }));
+      return;
+    }
+
+    thunkApi.dispatch(setListTasksIsLoading({ listId, isLoading: true }));
+    thunkApi.dispatch(setListTasksError({ listId, errorMessage: null }));
 
     try {
       const res = await axios.get(`/lists/${listId}/tasks`);
-      const tasks = (res.data.tasks || []).map(t => ({
-        ...t,
-        limit: t.limit ?? t.limit_at ?? t.due ?? t.due_at ?? t.deadline ?? null,
-      }));
-      thunkApi.dispatch(setTasks(tasks));
-      thunkApi.dispatch(setListId(listId));
+      const tasks = (res.data.tasks || []).map(normalizeTask);
+      thunkApi.dispatch(setTasks({ listId, tasks }));
     } catch (e) {
-      handleThunkError(e, thunkApi);
+      const rejected = handleThunkError(e, thunkApi);
+      thunkApi.dispatch(
+        setListTasksError({ listId, errorMessage: rejected.payload.message }),
+      );
+      return rejected;
     } finally {
-      thunkApi.dispatch(setTaskIsLoading(false));
+      thunkApi.dispatch(setListTasksIsLoading({ listId, isLoading: false }));
     }
   },
 );
 
+// NOTE: 全リストのタスクを取得する際に、同時に投げるリクエストの上限
+const FETCH_ALL_CONCURRENCY = 4;
+
+/*
+ * すべてのリストのタスクを取得する（検索など、リストを横断する画面で使う）
+ * リストごとのキャッシュ・再取得の判定はfetchTasksと同じ
+ */
+export const fetchAllTasks = createAsyncThunk(
+  'task/fetchAllTasks',
+  async ({ force = false } = {}, thunkApi) => {
+    const lists = thunkApi.getState().list.lists || [];
+
+    await runWithConcurrency(lists, FETCH_ALL_CONCURRENCY, list =>
+      thunkApi.dispatch(fetchTasks({ listId: list.id, force })),
+    );
+  },
+);
+
+/*
+ * 楽観的更新の共通処理
+ * 先にstoreへ変更を反映し、APIが失敗した場合はスナップショットへ戻す
+ * オフラインの場合はoutboxに積み、変更は反映したままにする
+ */
+const runOptimistic = async (thunkApi, mutation, entry, onSent) => {
+  const requestId = thunkApi.requestId;
+  thunkApi.dispatch(startMutation({ requestId, ...mutation }));
+
+  try {
+    const result = await sendOrEnqueue(thunkApi, { kind: 'task', ...entry });
+    thunkApi.dispatch(settleMutation({ requestId }));
+
+    return await onSent?.(result);
+  } catch (e) {
+    const rejected = handleThunkError(e, thunkApi);
+    thunkApi.dispatch(
+      rollbackMutation({ requestId, message: rejected.payload.message }),
+    );
+
+    return rejected;
+  }
+};
+
+const isStillSaving = (thunkApi, id) =>
+  selectIsTaskSaving(thunkApi.getState(), id);
+
 export const createTask = createAsyncThunk(
   'task/createTask',
-  async (payload, thunkApi) => {
-    const listId = thunkApi.getState().list.current;
+  async ({ listId: targetListId, meta = {}, ...payload }, thunkApi) => {
+    const listId = targetListId ?? thunkApi.getState().list.current;
     if (!listId) {
       return;
     }
 
-    try {
-      const res = await axios.post(`/lists/${listId}/tasks`, payload);
-      const id = res.data.id;
+    const tempId = createTemporaryId(thunkApi.requestId);
+    thunkApi.dispatch(addTask({ ...payload, meta, id: tempId, listId }));
 
-      thunkApi.dispatch(
-        addTask({
-          ...payload,
-          id,
-        }),
-      );
-    } catch (e) {
-      handleThunkError(e, thunkApi);
-    }
+    return runOptimistic(
+      thunkApi,
+      { type: 'create', listId, taskId: tempId },
+      {
+        method: 'post',
+        url: `/lists/${listId}/tasks`,
+        body: { ...payload, detail: joinTaskMeta(payload.detail, meta) },
+        tempId,
+        label: payload.title,
+      },
+      ({ queued, data }) => {
+        // outboxに積んだ場合は、再送時に本当のIDへ置き換えられる
+        if (queued) {
+          return tempId;
+        }
+
+        thunkApi.dispatch(replaceTaskId({ tempId, id: data.id }));
+
+        return data.id;
+      },
+    );
   },
 );
 
+/*
+ * updateTask / deleteTask は成功すると操作履歴（undo用）に記録する
+ * 履歴からの取り消し・やり直しでは skipHistory: true を渡して記録しない
+ *
+ * 繰り返しタスク（meta.recurrence）を完了にすると、期限を進めた次回のタスクを作成する。
+ * 繰り返しの設定は次回のタスクに引き継ぎ、完了にしたタスクからは外す
+ * （完了を戻して再び完了にしても、次回のタスクが重複して作られないように）
+ *
+ * 適用した内容 after と、作成した次回のタスク next（無ければnull）を返す
+ */
 export const updateTask = createAsyncThunk(
   'task/updateTask',
-  async (payload, thunkApi) => {
-    const listId = thunkApi.getState().list.current;
-    if (!listId) {
+  async ({ skipHistory = false, ...payload }, thunkApi) => {
+    const oldValue = selectTaskById(thunkApi.getState(), payload.id);
+
+    if (!oldValue) {
       return;
     }
 
-    const oldValue = thunkApi
-      .getState()
-      .task.tasks.find(task => task.id === payload.id);
+    if (isStillSaving(thunkApi, oldValue.id)) {
+      return thunkApi.rejectWithValue({
+        message: 'This task is still being saved',
+      });
+    }
 
-    if (!oldValue) {
-      return;
+    const listId = oldValue.listId;
+    const before = toTaskFields(oldValue);
+    const after = {
+      title: payload.title ?? before.title,
+      detail: payload.detail ?? before.detail,
+      done: payload.done ?? before.done,
+      limit: payload.limit === undefined ? before.limit : payload.limit,
+      meta: payload.meta ?? before.meta,
+    };
+
+    const recurrence = after.meta.recurrence;
+    const isCompletingRecurring = after.done && !before.done && recurrence;
+    if (isCompletingRecurring) {
+      after.meta = setTaskMeta(after.meta, 'recurrence', null);
     }
 
-    try {
-      const requestBody = {
-        taskId: payload.id,
-        listId,
-        title: payload.title ?? oldValue.title,
-        detail: payload.detail ?? oldValue.detail,
-        done: payload.done ?? oldValue.done,
-        limit:
-          payload.limit === undefined ? (oldValue.limit ?? null) : payload.limit,
-      };
+    const requestBody = {
+      taskId: payload.id,
+      listId,
+      title: after.title,
+      detail: joinTaskMeta(after.detail, after.meta),
+      done: after.done,
+      limit: after.limit,
+    };
+
+    thunkApi.dispatch(mutateTask({ id: payload.id, ...after }));
+
+    return runOptimistic(
+      thunkApi,
+      { type: 'update', listId, taskId: payload.id, snapshot: oldValue },
+      {
+        method: 'put',
+        url: `/lists/${listId}/tasks/${payload.id}`,
+        body: requestBody,
+        label: after.title,
+      },
+      async () => {
+        let next = null;
+
+        if (isCompletingRecurring) {
+          // チェックリストは未チェックに戻して引き継ぐ
+          const fields = {
+            ...after,
+            detail: resetChecklist(after.detail),
+            done: false,
+            limit: nextOccurrence(recurrence, after.limit),
+            meta: setTaskMeta(after.meta, 'recurrence', recurrence),
+          };
+          // 作成に失敗した場合はcreateTask側でエラーを表示する（完了の更新は成功している）
+          const nextId = await thunkApi
+            .dispatch(createTask({ listId, ...fields }))
+            .unwrap()
+            .catch(() => null);
+          if (nextId) {
+            next = { ...fields, id: nextId, listId };
+          }
+        }
 
-      await axios.put(`/lists/${listId}/tasks/${payload.id}`, requestBody);
-      thunkApi.dispatch(mutateTask(payload));
+        if (!skipHistory) {
+          thunkApi.dispatch(
+            recordChange({
+              type: 'updateTask',
+              taskId: payload.id,
+              before,
+              after,
+              next,
+              label: after.title,
+            }),
+          );
+        }
+
+        return { after, next };
+      },
+    );
+  },
+);
+
+/*
+ * detail中のチェックリスト（サブタスク）の1項目のチェックを切り替える
+ * meta.checklistAutoComplete が有効なタスクは、すべての項目にチェックが付くと完了にする
+ */
+export const toggleChecklistItem = createAsyncThunk(
+  'task/toggleChecklistItem',
+  async ({ id, line, checked }, thunkApi) => {
+    const task = selectTaskById(thunkApi.getState(), id);
+    if (!task) {
+      return thunkApi.rejectWithValue({ message: 'Task not found' });
+    }
+
+    const detail = setChecklistItem(task.detail, line, checked);
+    const { done, total } = checklistProgress(detail);
+    const shouldComplete =
+      Boolean(task.meta?.checklistAutoComplete) &&
+      !task.done &&
+      total > 0 &&
+      done === total;
+
+    try {
+      return await thunkApi
+        .dispatch(
+          updateTask({ id, detail, ...(shouldComplete ? { done: true } : {}) }),
+        )
+        .unwrap();
     } catch (e) {
-      handleThunkError(e, thunkApi);
+      return handleThunkError(e, thunkApi);
     }
   },
 );
 
 export const deleteTask = createAsyncThunk(
   'task/deleteTask',
-  async (payload, thunkApi) => {
+  async ({ skipHistory = false, ...payload }, thunkApi) => {
+    const task = selectTaskById(thunkApi.getState(), payload.id);
+    const listId = task?.listId ?? payload.listId;
+    if (!listId) {
+      return;
+    }
+
+    if (isStillSaving(thunkApi, payload.id)) {
+      return thunkApi.rejectWithValue({
+        message: 'This task is still being saved',
+      });
+    }
+
+    const index = (thunkApi.getState().task.idsByList[listId] || []).indexOf(
+      payload.id,
+    );
+
+    thunkApi.dispatch(removeTask(payload));
+
+    return runOptimistic(
+      thunkApi,
+      {
+        type: 'delete',
+        listId,
+        taskId: payload.id,
+        snapshot: task,
+        index,
+      },
+      {
+        method: 'delete',
+        url: `/lists/${listId}/tasks/${payload.id}`,
+        body: null,
+        label: task?.title,
+      },
+      () => {
+        if (skipHistory || !task) {
+          return;
+        }
+
+        thunkApi.dispatch(
+          recordChange({ type: 'deleteTask', task, index, label: task.title }),
+        );
+      },
+    );
+  },
+);
+
+/*
+ * タスクの内容を別のリストに作成し、作成したタスクのIDを返す
+ * 移動先のキャッシュにも反映されるよう、未取得なら先に取得しておく
+ */
+const createInList = async (thunkApi, toListId, task) => {
+  await thunkApi.dispatch(fetchTasks({ listId: toListId }));
+
+  return thunkApi
+    .dispatch(createTask({ listId: toListId, ...toTaskFields(task) }))
+    .unwrap();
+};
+
+/*
+ * タスクを別のリストへ移動する
+ * APIにリストを変更する手段がないため、移動先に作成してから移動元を削除する
+ * 移動後のタスクIDを返す
+ */
+export const moveTask = createAsyncThunk(
+  'task/moveTask',
+  async ({ id, toListId, skipHistory = false }, thunkApi) => {
+    const task = selectTaskById(thunkApi.getState(), id);
+    if (!task) {
+      return thunkApi.rejectWithValue({ message: 'Task not found' });
+    }
+
+    if (task.listId === toListId) {
+      return id;
+    }
+
+    if (isStillSaving(thunkApi, id)) {
+      return thunkApi.rejectWithValue({
+        message: 'This task is still being saved',
+      });
+    }
+
     try {
-      const listId = thunkApi.getState().list.current;
-      if (!listId) {
-        return;
+      const newId = await createInList(thunkApi, toListId, task);
+
+      try {
+        await thunkApi.dispatch(deleteTask({ id, skipHistory: true })).unwrap();
+      } catch (e) {
+        // 移動元を消せなかった場合は、複製にならないよう作成した分を消す
+        void thunkApi.dispatch(deleteTask({ id: newId, skipHistory: true }));
+        throw e;
+      }
+
+      if (!skipHistory) {
+        thunkApi.dispatch(
+          recordChange({
+            type: 'moveTask',
+            taskId: newId,
+            fromListId: task.listId,
+            toListId,
+            label: task.title,
+          }),
+        );
       }
 
-      await axios.delete(`/lists/${listId}/tasks/${payload.id}`);
-      thunkApi.dispatch(removeTask(payload));
+      return newId;
     } catch (e) {
-      handleThunkError(e, thunkApi);
+      return handleThunkError(e, thunkApi);
     }
   },
 );
+
+/*
+ * タスクを別のリストへコピーする（タイトル・詳細・完了状態・期限を引き継ぐ）
+ * コピーしたタスクのIDを返す
+ */
+export const copyTask = createAsyncThunk(
+  'task/copyTask',
+  async ({ id, toListId }, thunkApi) => {
+    const task = selectTaskById(thunkApi.getState(), id);
+    if (!task) {
+      return thunkApi.rejectWithValue({ message: 'Task not found' });
+    }
+
+    try {
+      const newId = await createInList(thunkApi, toListId, task);
+
+      thunkApi.dispatch(
+        recordChange({
+          type: 'copyTask',
+          task: { ...task, id: newId, listId: toListId },
+          label: task.title,
+        }),
+      );
+
+      return newId;
+    } catch (e) {
+      return handleThunkError(e, thunkApi);
+    }
+  },
+);
+
+// NOTE: 一括操作で同時に送るリクエストの上限
+const BULK_CONCURRENCY = 4;
+
+/*
+ * 複数のタスクに同じ操作をまとめて適用する
+ * - action: 'complete' | 'reopen' | 'delete' | 'redate' | 'move'
+ * - limit: 'redate' のときの新しい期限（ISO 8601、UTC。nullで期限なし）
+ * - toListId: 'move' のときの移動先リスト
+ * 一部が失敗しても残りは続行し、失敗したタスクを { id, title, message } の配列で返す
+ * 成功した分は1つの操作履歴としてまとめて記録する（1回の取り消しで全て戻る）
+ */
+export const bulkTaskAction = createAsyncThunk(
+  'task/bulkTaskAction',
+  async ({ ids, action, limit = null, toListId = null }, thunkApi) => {
+    const entries = [];
+
+    const runOne = async id => {
+      const task = selectTaskById(thunkApi.getState(), id);
+      if (!task) {
+        throw new Error('Task not found');
+      }
+
+      const before = toTaskFields(task);
+
+      switch (action) {
+      case 'complete':
+      case 'reopen':
+      case 'redate': {
+        const fields =
+          action === 'redate' ? { limit } : { done: action === 'complete' };
+        const { after, next } = await thunkApi
+          .dispatch(updateTask({ id, ...fields, skipHistory: true }))
+          .unwrap();
+        entries.push({
+          type: 'updateTask',
+          taskId: id,
+          before,
+          after,
+          next,
+          label: task.title,
+        });
+        break;
+      }
+      case 'delete': {
+        const index = thunkApi.getState().task.idsByList[task.listId]?.indexOf(id);
+        await thunkApi.dispatch(deleteTask({ id, skipHistory: true })).unwrap();
+        entries.push({ type: 'deleteTask', task, index, label: task.title });
+        break;
+      }
+      case 'move': {
+        const newId = await thunkApi
+          .dispatch(moveTask({ id, toListId, skipHistory: true }))
+          .unwrap();
+        entries.push({
+          type: 'moveTask',
+          taskId: newId,
+          fromListId: task.listId,
+          toListId,
+          label: task.title,
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown action: ${action}`);
+      }
+    };
+
+    const results = await runWithConcurrency(ids, BULK_CONCURRENCY, runOne);
+
+    if (entries.length > 0) {
+      thunkApi.dispatch(
+        recordChange({
+          type: 'batch',
+          entries,
+          label: `${entries.length}件のタスク`,
+        }),
+      );
+    }
+
+    return results.flatMap((result, idx) => {
+      if (result.status === 'fulfilled') {
+        return [];
+      }
+
+      const id = ids[idx];
+      return [
+        {
+          id,
+          title: selectTaskById(thunkApi.getState(), id)?.title ?? id,
+          message: result.reason?.message ?? 'Something went wrong',
+        },
+      ];
+    });
+  },
+);
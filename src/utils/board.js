@@ -0,0 +1,115 @@
+/*
+ * リストのボード表示（カンバン）の列
+ *
+ * 列は { id, title, wipLimit } の配列で、リストごとに設定できる（未設定なら既定の3列）。
+ * 先頭の To do と末尾の Done は常にあり、その間にユーザーが列を追加できる。
+ *
+ * タスクがどの列にあるかは task.meta.column に列のIDで保存する（再読み込みしても保たれる）。
+ * - 完了したタスクは、meta.column に関わらず Done の列
+ * - meta.column が無い・既に無くなった列のIDの場合は To do の列
+ */
+
+import { setTaskMeta } from '~/utils/taskMeta';
+
+export const TODO_COLUMN_ID = 'todo';
+export const DONE_COLUMN_ID = 'done';
+
+export const DEFAULT_BOARD_COLUMNS = [
+  { id: TODO_COLUMN_ID, title: 'To do', wipLimit: null },
+  { id: 'in_progress', title: 'In progress', wipLimit: null },
+  { id: DONE_COLUMN_ID, title: 'Done', wipLimit: null },
+];
+
+export const LIST_LAYOUTS = [
+  { value: 'list', label: 'List' },
+  { value: 'board', label: 'Board' },
+];
+
+export const DEFAULT_LIST_LAYOUT = 'list';
+
+export const isFixedColumn = columnId =>
+  columnId === TODO_COLUMN_ID || columnId === DONE_COLUMN_ID;
+
+/**
+ * 新しく追加する列のID
+ */
+export const createColumnId = () =>
+  `column_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * WIP上限として保存する値（空・0以下・数値でないものは上限なし = null）
+ */
+export const normalizeWipLimit = value => {
+  const limit = Number(value);
+
+  return value === '' || value === null || !Number.isInteger(limit) || limit <= 0
+    ? null
+    : limit;
+};
+
+/**
+ * 保存した列の設定を、To do が先頭・Done が末尾になるよう整える
+ * @param {Array|undefined} columns - 保存した列の設定
+ * @returns {Array} - 表示する列
+ */
+export const resolveBoardColumns = columns => {
+  if (!columns || columns.length === 0) {
+    return DEFAULT_BOARD_COLUMNS;
+  }
+
+  const findFixed = id =>
+    columns.find(column => column.id === id) ??
+    DEFAULT_BOARD_COLUMNS.find(column => column.id === id);
+
+  return [
+    findFixed(TODO_COLUMN_ID),
+    ...columns.filter(column => !isFixedColumn(column.id)),
+    findFixed(DONE_COLUMN_ID),
+  ];
+};
+
+/**
+ * タスクが表示される列のID
+ */
+export const taskColumnId = (task, columns) => {
+  if (task.done) {
+    return DONE_COLUMN_ID;
+  }
+
+  const columnId = task.meta?.column;
+
+  return columnId &&
+    columnId !== DONE_COLUMN_ID &&
+    columns.some(column => column.id === columnId)
+    ? columnId
+    : TODO_COLUMN_ID;
+};
+
+/**
+ * タスクを列ごとに分ける（列の中はタスクの配列の順番のまま）
+ * @returns {Object<string, Array>} - { [columnId]: tasks }
+ */
+export const groupTasksByColumn = (tasks, columns) => {
+  const groups = Object.fromEntries(columns.map(column => [column.id, []]));
+  tasks.forEach(task => {
+    groups[taskColumnId(task, columns)].push(task);
+  });
+
+  return groups;
+};
+
+/**
+ * タスクを列へ移すときにupdateTaskへ渡す項目
+ * Done へ移すと完了にし、Done から出すと未完了に戻す。To do / Done の列はmetaに残さない
+ */
+export const columnChange = (task, columnId) => ({
+  done: columnId === DONE_COLUMN_ID,
+  meta: setTaskMeta(
+    task.meta,
+    'column',
+    isFixedColumn(columnId) ? null : columnId,
+  ),
+});
+
+export const isOverWipLimit = (column, count) =>
+  Number.isInteger(column.wipLimit) && count > column.wipLimit;
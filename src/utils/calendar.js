@@ -0,0 +1,200 @@
+import { fromZonedParts, toZonedParts } from '~/utils/timeZone';
+
+/**
+ * 月単位のカレンダーの計算（LimitPickerとカレンダーページで共通）
+ *
+ * 年月は { year, month }（monthは1〜12）、日付は 'YYYY-MM-DD' 形式の文字列（dateKey）で扱う
+ * 期限（ISO 8601, UTC）との変換は設定したタイムゾーンで行う（~/utils/timeZone）
+ * 年月日だけの計算は、ブラウザのタイムゾーンの影響を受けないようUTCのメソッドで行う
+ */
+
+export const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 時刻を選ぶ・ずらす単位（分）
+export const TIME_STEP_MINUTES = 30;
+
+// 1日の分数
+export const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * 月の日数
+ * 例: 2025年2月 → 28
+ */
+export const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * 月の1日の曜日（0=日曜日, 1=月曜日, ..., 6=土曜日）
+ */
+export const firstDayOfWeek = (year, month) =>
+  new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+
+/**
+ * 年月をずらす（1月の前月は前年の12月、12月の翌月は翌年の1月）
+ * @returns {{ year: number, month: number }}
+ */
+export const addMonths = (year, month, delta) => {
+  const index = year * 12 + (month - 1) + delta;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+};
+
+/**
+ * 年月日から 'YYYY-MM-DD' を作る
+ */
+export const toDateKey = (year, month, day) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * 日付をずらす（月・年をまたいでも正しく繰り上がる）
+ * 例: ('2025-10-31', 1) → '2025-11-01'
+ */
+export const addDays = (dateKey, delta) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + delta));
+  return toDateKey(
+    date.getUTCFullYear(),
+    date.getUTCMonth() + 1,
+    date.getUTCDate()
+  );
+};
+
+/**
+ * 日付の月をずらす（ずらした月にその日が無ければ月末にする）
+ * 例: ('2025-01-31', 1) → '2025-02-28'
+ */
+export const addMonthsToDateKey = (dateKey, delta) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const next = addMonths(year, month, delta);
+  return toDateKey(
+    next.year,
+    next.month,
+    Math.min(day, daysInMonth(next.year, next.month))
+  );
+};
+
+/**
+ * 日付の読み上げ・表示用の表記
+ * 例: '2025-10-15' → '2025年10月15日（水）'
+ */
+export const formatDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return `${year}年${month}月${day}日（${WEEKDAY_LABELS[weekday]}）`;
+};
+
+/**
+ * 日付を含む週（日曜始まり）の日曜日
+ * 例: '2025-10-15'（水） → '2025-10-12'
+ */
+export const weekStartKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return addDays(dateKey, -new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+};
+
+/**
+ * 週の始まり（日曜日）から7日分の日付
+ */
+export const weekDateKeys = (startKey) =>
+  Array.from({ length: 7 }, (_, i) => addDays(startKey, i));
+
+/**
+ * 'HH:MM' を0時からの分数にする
+ * 例: '16:30' → 990
+ */
+export const timeToMinutes = (time) => {
+  const [hh, mi] = time.split(':').map(Number);
+  return hh * 60 + mi;
+};
+
+/**
+ * 0時からの分数を 'HH:MM' にする
+ * 例: 990 → '16:30'
+ */
+export const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * 入力された時刻を 'HH:MM' にする（分は1分単位で、区切りのコロンは省略できる）
+ * 例: '9:05' → '09:05'、'1830' → '18:30'、'9' → '09:00'、'25:00' → null
+ * @returns {string|null}
+ */
+export const parseTimeText = (text) => {
+  const match = (text || '').trim().match(/^(\d{1,2})(?:[:：]?(\d{2}))?$/);
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2] ?? 0);
+  if (hour > 23 || minute > 59) return null;
+
+  return minutesToTime(hour * 60 + minute);
+};
+
+/**
+ * 1日の時刻の選択肢（TIME_STEP_MINUTES 単位）
+ * 例: ['00:00', '00:30', '01:00', ..., '23:30']
+ */
+export const timeOptions = () =>
+  Array.from({ length: MINUTES_PER_DAY / TIME_STEP_MINUTES }, (_, i) =>
+    minutesToTime(i * TIME_STEP_MINUTES)
+  );
+
+/**
+ * 月を表示するための週ごとの日付（前後の月の日も含めて、日曜始まりの7日 × 週の数）
+ * @returns {Array<Array<{ dateKey, day, isCurrentMonth }>>}
+ */
+export const monthWeeks = (year, month) => {
+  const offset = firstDayOfWeek(year, month);
+  const count = Math.ceil((offset + daysInMonth(year, month)) / 7) * 7;
+
+  const cells = Array.from({ length: count }, (_, i) => {
+    // Dateの日付の繰り上がり・繰り下がりで前後の月の日を求める
+    const date = new Date(Date.UTC(year, month - 1, i - offset + 1));
+    return {
+      dateKey: toDateKey(
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        date.getUTCDate()
+      ),
+      day: date.getUTCDate(),
+      isCurrentMonth: date.getUTCMonth() === month - 1,
+    };
+  });
+
+  return Array.from({ length: count / 7 }, (_, w) =>
+    cells.slice(w * 7, w * 7 + 7)
+  );
+};
+
+/**
+ * 期限（ISO 8601, UTC）を設定したタイムゾーンの日付と時刻に分ける
+ * 例: "2025-10-25T07:30:00Z" → { date: '2025-10-25', time: '16:30' }（Asia/Tokyo の場合）
+ * @returns {{ date: string, time: string } | null}
+ */
+export const isoToDateParts = (iso) => {
+  if (!iso) return null;
+
+  const utc = new Date(iso);
+  if (Number.isNaN(utc.getTime())) return null;
+
+  const { year, month, day, hour, minute } = toZonedParts(utc);
+  const hh = String(hour).padStart(2, '0');
+  const mi = String(minute).padStart(2, '0');
+
+  return { date: toDateKey(year, month, day), time: `${hh}:${mi}` };
+};
+
+/**
+ * 設定したタイムゾーンの日付と時刻から期限（ISO 8601, UTC）を作る
+ * 例: ('2025-10-25', '16:30') → "2025-10-25T07:30:00.000Z"（Asia/Tokyo の場合）
+ */
+export const datePartsToISO = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return fromZonedParts({ year, month, day, hour, minute }).toISOString();
+};
+
+/**
+ * 今日（設定したタイムゾーン）の 'YYYY-MM-DD'
+ */
+export const todayDateKey = (now = new Date()) =>
+  isoToDateParts(now.toISOString()).date;
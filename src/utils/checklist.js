@@ -0,0 +1,98 @@
+import { parseMarkdown } from '~/utils/markdown';
+
+/*
+ * detail中のMarkdownのチェックリスト（"- [ ] 牛乳" / "- [x] パン"）をサブタスクとして扱う
+ * 行の位置（何行目か）で項目を特定し、チェックの切り替えは該当する行だけを書き換える
+ *
+ * 項目はMarkdownのパーサー（~/utils/markdown）で見分けるので、コードブロックの中の行は含まれず、
+ * 数えた項目と描画されるチェックボックスが常に一致する
+ */
+
+// NOTE: 入れ子のリストを行の順にたどる（depthはリストの深さ）
+const collectItems = (blocks, depth = 0) =>
+  blocks
+    .filter(block => block.type === 'list')
+    .flatMap(block =>
+      block.items.flatMap(item => {
+        const own =
+          item.line === null
+            ? []
+            : [
+              {
+                line: item.line,
+                depth,
+                checked: item.checked,
+                text: item.text.split('\n')[0],
+              },
+            ];
+        const children = item.list ? collectItems([item.list], depth + 1) : [];
+
+        return [...own, ...children];
+      }),
+    );
+
+/**
+ * チェックリストの項目を取り出す（引用の中の項目は行の位置を持たないので含めない）
+ * @param {string} detail
+ * @returns {Array<{ line: number, depth: number, checked: boolean, text: string }>}
+ */
+export const parseChecklist = detail => collectItems(parseMarkdown(detail));
+
+const checklistLines = detail =>
+  new Set(parseChecklist(detail).map(item => item.line));
+
+/**
+ * チェックリストの進み具合
+ * @returns {{ done: number, total: number }}
+ */
+export const checklistProgress = detail => {
+  const items = parseChecklist(detail);
+
+  return {
+    done: items.filter(item => item.checked).length,
+    total: items.length,
+  };
+};
+
+/**
+ * 指定した行のチェックを切り替えたdetailを返す（チェックリストの行でなければそのまま）
+ * @param {string} detail
+ * @param {number} line - 行の位置（parseChecklistのline）
+ * @param {boolean} checked - 新しい状態
+ */
+export const setChecklistItem = (detail, line, checked) => {
+  if (!checklistLines(detail).has(line)) {
+    return detail;
+  }
+
+  const lines = detail.split('\n');
+  lines[line] = lines[line].replace(/\[( |x|X)\]/, checked ? '[x]' : '[ ]');
+  return lines.join('\n');
+};
+
+/**
+ * すべてのチェックを外したdetailを返す（繰り返しタスクの次回分に使う）
+ */
+export const resetChecklist = detail => {
+  const lines = checklistLines(detail);
+
+  return (detail ?? '')
+    .split('\n')
+    .map((text, line) =>
+      lines.has(line) ? text.replace(/\[(x|X)\]/, '[ ]') : text,
+    )
+    .join('\n');
+};
+
+/**
+ * チェックリスト以外の行だけを残す（チェックリストを別に表示する場合の本文）
+ */
+export const stripChecklist = detail => {
+  const lines = checklistLines(detail);
+
+  return (detail ?? '')
+    .split('\n')
+    .filter((_text, line) => !lines.has(line))
+    .join('\n')
+    .trim();
+};
@@ -0,0 +1,78 @@
+// NOTE: setTimeoutで待てる最大の時間（約24.8日）。これより先の変化は途中で一度起きて待ち直す
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/*
+ * 現在時刻に合わせて表示を更新するフック（~/hooks/useNow, ~/hooks/useRemainingTime）で共有する時計
+ * - 購読しているもののうち、次に更新が必要な時刻にだけタイマーを1つ設定する
+ * - タブが非表示の間は止め、表示に戻ったときにまとめて通知する
+ */
+const subscribers = new Set();
+let timer = null;
+let isListeningVisibility = false;
+
+const isHidden = () =>
+  typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+const schedule = () => {
+  clearTimeout(timer);
+  timer = null;
+
+  if (subscribers.size === 0 || isHidden()) {
+    return;
+  }
+
+  const now = Date.now();
+  let next = Infinity;
+  subscribers.forEach(subscriber => {
+    const change = subscriber.nextChange(now);
+    if (change !== null && change > now && change < next) {
+      next = change;
+    }
+  });
+
+  if (next === Infinity) {
+    return;
+  }
+
+  timer = setTimeout(tick, Math.min(next - now, MAX_TIMEOUT_MS));
+};
+
+// NOTE: 通知を受けても値が変わらないものは useSyncExternalStore が再描画しない
+const tick = () => {
+  subscribers.forEach(subscriber => subscriber.notify());
+  schedule();
+};
+
+const listenVisibility = () => {
+  if (isListeningVisibility || typeof document === 'undefined') {
+    return;
+  }
+
+  isListeningVisibility = true;
+  document.addEventListener('visibilitychange', () => {
+    if (isHidden()) {
+      schedule();
+    } else {
+      tick();
+    }
+  });
+};
+
+/**
+ * 時計を購読する
+ * @param {(now: number) => number|null} nextChange - 現在時刻から、次に通知してほしい時刻（ミリ秒）を返す
+ *   （不要ならnull。現在時刻以前の時刻は無視する）
+ * @param {function} notify - 通知を受ける関数
+ * @returns {function} - 購読をやめる関数
+ */
+export const subscribeClock = (nextChange, notify) => {
+  const subscriber = { nextChange, notify };
+  subscribers.add(subscriber);
+  listenVisibility();
+  schedule();
+
+  return () => {
+    subscribers.delete(subscriber);
+    schedule();
+  };
+};
@@ -1,103 +1,150 @@
+import {
+  formatTimeZoneOffset,
+  fromZonedParts,
+  isValidDateTime,
+  toZonedParts,
+  zonedPartsToISO,
+} from '~/utils/timeZone'
+
 /**
- * 日本時間（JST）関連のユーティリティ関数
+ * 期限の入力・表示のユーティリティ関数
+ *
+ * 期限はAPIにISO 8601（UTC）で保存し、入力欄には設定したタイムゾーン（既定はブラウザの
+ * タイムゾーン）の壁時計の時刻で表示する。期限の文字列の解釈・表示はすべてこのモジュールで行う。
+ *
+ * 【受け付ける書式】（前後の空白は無視する。M・D・H・分・秒は1〜2桁、先頭ゼロは任意）
+ *
+ *   limit   = slash | kanji | legacy | iso
+ *   slash   = YYYY "/" M "/" D 空白+ H ":" MM [ ":" SS ] [ 空白+ offset ]
+ *   kanji   = YYYY "年" M "月" D "日" H "時" [ MM "分" ]
+ *   legacy  = YYYY "-" MM "-" DD "-" hh ":" mm ":" ss      （古い形式との互換性）
+ *   iso     = YYYY "-" MM "-" DD "T" hh ":" mm ":" ss [ "." 小数 ] "Z"
+ *   offset  = "(UTC" ("+" | "-") hh ":" mm ")"
+ *
+ * - iso 以外は設定したタイムゾーンの時刻として解釈する（offset があればその時差で解釈する）
+ * - 2月30日や25時など、存在しない日付・時刻は null
+ * - 夏時間の開始で存在しない時刻は飛んだ分だけ後ろにずらし、終了で2回ある時刻は先の方にする
+ * - ミリ秒は切り捨てる（期限は秒単位）
+ *
+ * 【往復の保証】
+ * parseLimitText は常に toISOString() の正規形（"YYYY-MM-DDThh:mm:ss.000Z"）を返し、
+ * formatISOToJapanese は parseLimitText で同じ時刻に戻る slash 形式を返す。
+ * そのため受け付けた入力 x について
+ *   parseLimitText(formatISOToJapanese(parseLimitText(x))) === parseLimitText(x)
+ * が成り立ち、formatISOToJapanese(parseLimitText(x)) は何度繰り返しても変わらない。
+ * 秒は0でないときだけ、offset は時刻だけでは2回ある時刻のどちらか決まらないときだけ付ける。
  */
 
+const SECOND_MS = 1000
+
+// 秒未満を切り捨てた正規形のISO文字列
+const toCanonicalISO = (time) =>
+  new Date(Math.floor(time / SECOND_MS) * SECOND_MS).toISOString()
+
+const SLASH_PATTERN =
+  /^(\d{4})\/(\d{1,2})\/(\d{1,2})\s+(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?(?:\s+\(UTC([+-])(\d{2}):(\d{2})\))?$/
+const KANJI_PATTERN = /^(\d{4})年(\d{1,2})月(\d{1,2})日(\d{1,2})時(?:(\d{1,2})分)?$/
+const LEGACY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})-(\d{2}):(\d{2}):(\d{2})$/
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?Z$/
+
+// 正規表現の一致から年月日・時刻を取り出す（省略された分・秒は0）
+const toParts = (match) => {
+  const [year, month, day, hour, minute = 0, second = 0] = match
+    .slice(1, 7)
+    .map((value) => (value === undefined ? undefined : Number(value)))
+  return { year, month, day, hour, minute, second }
+}
+
+// 時差を指定した壁時計の時刻をUTCにする
+const offsetPartsToISO = (parts, sign, hh, mi) => {
+  if (!isValidDateTime(parts) || Number(mi) > 59) return null
+
+  const offset = (sign === '-' ? -1 : 1) * (Number(hh) * 60 + Number(mi))
+  const { year, month, day, hour, minute, second } = parts
+  const local = Date.UTC(year, month - 1, day, hour, minute, second)
+  return toCanonicalISO(local - offset * 60 * SECOND_MS)
+}
+
 /**
- * 日本語形式またはスラッシュ形式の日時文字列をISO 8601形式（UTC）に変換
- * 例: "2025/10/15 14:28" -> "2025-10-15T05:28:00Z"
- * 例: "2025年10月15日14時28分" -> "2025-10-15T05:28:00Z"
+ * 期限の入力文字列をISO 8601形式（UTC）に変換（書式はファイル先頭を参照）
+ * 例: "2025/10/15 14:28" -> "2025-10-15T05:28:00.000Z"（Asia/Tokyo の場合）
+ * 例: "2025年10月15日14時28分" -> "2025-10-15T05:28:00.000Z"（Asia/Tokyo の場合）
  *
- * @param {string} jpText - 日本語形式またはスラッシュ形式の日時文字列
- * @returns {string|null} - ISO 8601形式の文字列（UTC）、変換できない場合はnull
+ * @param {string} text - 期限の入力文字列
+ * @returns {string|null} - ISO 8601形式の文字列（UTC）、空や変換できない場合はnull
  */
-export const parseJapaneseToISO = (jpText) => {
-  if (!jpText || jpText.trim() === '') return null
-
-  const raw = jpText.trim()
-
-  // "2025/10/15 14:28" 形式（スラッシュ形式）
-  const slash1 = raw.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})\s+(\d{1,2}):(\d{1,2})$/)
-  if (slash1) {
-    const yyyy = slash1[1]
-    const mm = String(slash1[2]).padStart(2, '0')
-    const dd = String(slash1[3]).padStart(2, '0')
-    const hh = String(slash1[4]).padStart(2, '0')
-    const mi = String(slash1[5]).padStart(2, '0')
-
-    // 日本時間として解釈し、UTCに変換
-    const jstDate = new Date(`${yyyy}-${mm}-${dd}T${hh}:${mi}:00+09:00`)
-    return jstDate.toISOString()
-  }
+export const parseLimitText = (text) => {
+  const raw = (text || '').trim()
+  if (raw === '') return null
 
-  // "2025年10月15日14時28分" 形式
-  const jp1 = raw.match(/^(\d{4})年(\d{1,2})月(\d{1,2})日(\d{1,2})時(\d{1,2})分$/)
-  if (jp1) {
-    const yyyy = jp1[1]
-    const mm = String(jp1[2]).padStart(2, '0')
-    const dd = String(jp1[3]).padStart(2, '0')
-    const hh = String(jp1[4]).padStart(2, '0')
-    const mi = String(jp1[5]).padStart(2, '0')
-
-    // 日本時間として解釈し、UTCに変換
-    const jstDate = new Date(`${yyyy}-${mm}-${dd}T${hh}:${mi}:00+09:00`)
-    return jstDate.toISOString()
-  }
+  const slash = raw.match(SLASH_PATTERN)
+  if (slash) {
+    const parts = toParts(slash)
+    if (slash[7]) return offsetPartsToISO(parts, slash[7], slash[8], slash[9])
 
-  // "2025年10月15日14時" 形式
-  const jp2 = raw.match(/^(\d{4})年(\d{1,2})月(\d{1,2})日(\d{1,2})時$/)
-  if (jp2) {
-    const yyyy = jp2[1]
-    const mm = String(jp2[2]).padStart(2, '0')
-    const dd = String(jp2[3]).padStart(2, '0')
-    const hh = String(jp2[4]).padStart(2, '0')
-
-    // 日本時間として解釈し、UTCに変換
-    const jstDate = new Date(`${yyyy}-${mm}-${dd}T${hh}:00:00+09:00`)
-    return jstDate.toISOString()
+    return zonedPartsToISO(parts)
   }
 
-  // "2025-10-15-14:28:00" 形式（古い形式との互換性）
-  const m1 = raw.match(/^(\d{4}-\d{2}-\d{2})-(\d{2}:\d{2}:\d{2})$/)
-  if (m1) {
-    const jstDate = new Date(`${m1[1]}T${m1[2]}+09:00`)
-    return jstDate.toISOString()
-  }
+  const kanji = raw.match(KANJI_PATTERN)
+  if (kanji) return zonedPartsToISO(toParts(kanji))
+
+  const legacy = raw.match(LEGACY_PATTERN)
+  if (legacy) return zonedPartsToISO(toParts(legacy))
+
+  // ISO形式は年月日・時刻として正しいかだけ確かめて、正規形にそろえる
+  const iso = raw.match(ISO_PATTERN)
+  if (iso) {
+    if (!isValidDateTime(toParts(iso))) return null
 
-  // すでにISO形式の場合はそのまま返す
-  if (raw.includes('T') && raw.includes('Z')) {
-    return raw
+    return toCanonicalISO(Date.parse(raw))
   }
 
   return null
 }
 
 /**
- * ISO 8601形式（UTC）をスラッシュ形式（JST）に変換
- * 例: "2025-10-15T05:28:00Z" -> "2025/10/15 14:28"
+ * ISO 8601形式（UTC）を、設定したタイムゾーンのスラッシュ形式に変換
+ * 例: "2025-10-15T05:28:00Z" -> "2025/10/15 14:28"（Asia/Tokyo の場合）
+ * 例: "2025-11-02T06:30:00Z" -> "2025/11/2 1:30 (UTC-05:00)"（America/New_York の場合。
+ *     夏時間の終了で1:30が2回あり、後の方なので時差を付ける）
  *
  * @param {string} iso - ISO 8601形式の文字列（UTC）
- * @returns {string} - スラッシュ形式の文字列（YYYY/MM/DD H:MM）
+ * @returns {string} - スラッシュ形式の文字列（YYYY/M/D H:MM）、空なら空文字
  */
 export const formatISOToJapanese = (iso) => {
   if (!iso) return ''
 
-  try {
-    // ISO文字列をDateオブジェクトに変換
-    const date = new Date(iso)
+  const date = new Date(iso)
+  if (Number.isNaN(date.getTime())) {
+    console.error('Failed to format ISO to slash format:', iso)
+    return iso
+  }
 
-    // 日本時間に変換（UTC+9）
-    const jstDate = new Date(date.getTime() + 9 * 60 * 60 * 1000)
+  // 設定したタイムゾーンの年月日・時刻に分ける
+  const parts = toZonedParts(date)
+  const { year, month, day, hour, minute, second } = parts
 
-    const year = jstDate.getUTCFullYear()
-    const month = jstDate.getUTCMonth() + 1
-    const day = jstDate.getUTCDate()
-    const hours = jstDate.getUTCHours()
-    const minutes = jstDate.getUTCMinutes()
+  // YYYY/M/D H:MM 形式で返す（先頭ゼロなし、秒は0でないときだけ）
+  let text = `${year}/${month}/${day} ${hour}:${String(minute).padStart(2, '0')}`
+  if (second !== 0) {
+    text += `:${String(second).padStart(2, '0')}`
+  }
 
-    // YYYY/MM/DD H:MM 形式で返す（先頭ゼロなし）
-    return `${year}/${month}/${day} ${hours}:${minutes === 0 ? '00' : String(minutes).padStart(2, '0')}`
-  } catch (error) {
-    console.error('Failed to format ISO to slash format:', error)
-    return iso
+  // 時刻だけでは別の日時に戻ってしまう（2回ある時刻の後の方）場合は時差を付ける
+  const truncated = Math.floor(date.getTime() / SECOND_MS) * SECOND_MS
+  if (fromZonedParts(parts).getTime() !== truncated) {
+    text += ` (${formatTimeZoneOffset(date)})`
   }
+
+  return text
 }
+
+/**
+ * ISO 8601形式（UTC）を、設定したタイムゾーンの時刻だけに変換
+ * 例: "2025-10-15T05:28:00Z" -> "14:28"（Asia/Tokyo の場合）
+ *
+ * @param {string} iso - ISO 8601形式の文字列（UTC）
+ * @returns {string} - 時刻（H:MM）。formatISOToJapanese の時刻部分と同じ表記
+ */
+export const formatISOToJapaneseTime = (iso) =>
+  formatISOToJapanese(iso).split(' ')[1] ?? ''
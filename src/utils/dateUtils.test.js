@@ -0,0 +1,195 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import fc from 'fast-check';
+import { formatISOToJapanese, parseLimitText } from '~/utils/dateUtils';
+import { setTimeZone } from '~/utils/timeZone';
+
+// 夏時間のあるタイムゾーン（東西・30分ずれ・南半球）と無いタイムゾーン
+const TIME_ZONES = [
+  'Asia/Tokyo',
+  'UTC',
+  'Europe/London',
+  'America/New_York',
+  'Australia/Sydney',
+  'Australia/Lord_Howe',
+  'Asia/Kathmandu',
+];
+
+// 夏時間の切り替え（2025年）
+// gap: 時計が飛んで存在しない時刻 → 飛んだ分だけ後ろ
+// overlap: 2回ある時刻 → 先（夏時間）の方
+const DST_CASES = [
+  {
+    timeZone: 'Europe/London',
+    gap: { text: '2025/3/30 1:30', iso: '2025-03-30T01:30:00.000Z' },
+    overlap: {
+      text: '2025/10/26 1:30',
+      earlier: '2025-10-26T00:30:00.000Z',
+      later: '2025-10-26T01:30:00.000Z',
+    },
+  },
+  {
+    timeZone: 'America/New_York',
+    gap: { text: '2025/3/9 2:30', iso: '2025-03-09T07:30:00.000Z' },
+    overlap: {
+      text: '2025/11/2 1:30',
+      earlier: '2025-11-02T05:30:00.000Z',
+      later: '2025-11-02T06:30:00.000Z',
+    },
+  },
+  {
+    timeZone: 'Australia/Sydney',
+    gap: { text: '2025/10/5 2:30', iso: '2025-10-04T16:30:00.000Z' },
+    overlap: {
+      text: '2025/4/6 2:30',
+      earlier: '2025-04-05T15:30:00.000Z',
+      later: '2025-04-05T16:30:00.000Z',
+    },
+  },
+  {
+    timeZone: 'Australia/Lord_Howe',
+    gap: { text: '2025/10/5 2:15', iso: '2025-10-04T15:45:00.000Z' },
+    overlap: {
+      text: '2025/4/6 1:45',
+      earlier: '2025-04-05T14:45:00.000Z',
+      later: '2025-04-05T15:15:00.000Z',
+    },
+  },
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 年月日・時刻（存在しない日付も含めて生成し、parseLimitText に null を返させる）
+const wallParts = fc.record({
+  year: fc.integer({ min: 1990, max: 2060 }),
+  month: fc.integer({ min: 1, max: 12 }),
+  day: fc.integer({ min: 1, max: 31 }),
+  hour: fc.integer({ min: 0, max: 23 }),
+  minute: fc.integer({ min: 0, max: 59 }),
+  second: fc.integer({ min: 0, max: 59 }),
+});
+
+// 書式の各形式で、同じ年月日・時刻を表す入力
+const FORMATS = {
+  slash: (p) => `${p.year}/${p.month}/${p.day} ${p.hour}:${pad(p.minute)}`,
+  slashSeconds: (p) =>
+    `${p.year}/${pad(p.month)}/${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`,
+  kanji: (p) => `${p.year}年${p.month}月${p.day}日${p.hour}時${p.minute}分`,
+  kanjiHour: (p) => `${p.year}年${p.month}月${p.day}日${p.hour}時`,
+  legacy: (p) =>
+    `${p.year}-${pad(p.month)}-${pad(p.day)}-${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`,
+  iso: (p) =>
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.${p.second * 7}Z`,
+};
+
+const limitInput = fc
+  .tuple(fc.constantFrom(...Object.values(FORMATS)), wallParts)
+  .map(([format, parts]) => format(parts));
+
+// 2025年の切り替えの前後3時間の日時（分単位）
+const aroundTransitions = fc
+  .tuple(
+    fc.constantFrom(
+      ...DST_CASES.flatMap(({ gap, overlap }) => [gap.iso, overlap.earlier])
+    ),
+    fc.integer({ min: -180, max: 180 })
+  )
+  .map(([iso, minutes]) =>
+    new Date(new Date(iso).getTime() + minutes * 60 * 1000).toISOString()
+  );
+
+const expectRoundTrip = (iso) => {
+  const text = formatISOToJapanese(iso);
+  expect(parseLimitText(text)).toBe(iso);
+  expect(formatISOToJapanese(parseLimitText(text))).toBe(text);
+};
+
+afterEach(() => {
+  setTimeZone('UTC');
+});
+
+describe('parseLimitText / formatISOToJapanese', () => {
+  it.each(TIME_ZONES)('受け付けた入力は同じ時刻に戻る（%s）', (timeZone) => {
+    setTimeZone(timeZone);
+    fc.assert(
+      fc.property(limitInput, (text) => {
+        const iso = parseLimitText(text);
+        if (iso === null) return;
+
+        expectRoundTrip(iso);
+      }),
+      { numRuns: 500 }
+    );
+  });
+
+  it.each(TIME_ZONES)('任意の日時は表示から同じ時刻に戻る（%s）', (timeZone) => {
+    setTimeZone(timeZone);
+    fc.assert(
+      fc.property(
+        fc.date({
+          min: new Date('1990-01-01T00:00:00Z'),
+          max: new Date('2060-12-31T23:59:59Z'),
+          noInvalidDate: true,
+        }),
+        (date) => {
+          const iso = new Date(Math.floor(date.getTime() / 1000) * 1000).toISOString();
+          expectRoundTrip(iso);
+        }
+      ),
+      { numRuns: 500 }
+    );
+  });
+
+  it.each(DST_CASES)('夏時間の切り替えの前後も同じ時刻に戻る（$timeZone）', ({ timeZone }) => {
+    setTimeZone(timeZone);
+    fc.assert(fc.property(aroundTransitions, expectRoundTrip), { numRuns: 300 });
+  });
+
+  it.each(DST_CASES)(
+    '存在しない時刻は飛んだ分だけ後ろにする（$timeZone）',
+    ({ timeZone, gap }) => {
+      setTimeZone(timeZone);
+      expect(parseLimitText(gap.text)).toBe(gap.iso);
+      expectRoundTrip(parseLimitText(gap.text));
+    }
+  );
+
+  it.each(DST_CASES)(
+    '2回ある時刻は先の方にし、後の方は時差を付けて表示する（$timeZone）',
+    ({ timeZone, overlap }) => {
+      setTimeZone(timeZone);
+      expect(parseLimitText(overlap.text)).toBe(overlap.earlier);
+      expect(formatISOToJapanese(overlap.earlier)).toBe(overlap.text);
+      expect(formatISOToJapanese(overlap.later)).toMatch(
+        new RegExp(`^${overlap.text} \\(UTC[+-]\\d{2}:\\d{2}\\)$`)
+      );
+      expectRoundTrip(overlap.earlier);
+      expectRoundTrip(overlap.later);
+    }
+  );
+
+  it('書式の例', () => {
+    setTimeZone('Asia/Tokyo');
+    expect(parseLimitText('2025/10/15 14:28')).toBe('2025-10-15T05:28:00.000Z');
+    expect(parseLimitText(' 2025年10月15日14時28分 ')).toBe('2025-10-15T05:28:00.000Z');
+    expect(parseLimitText('2025年10月15日14時')).toBe('2025-10-15T05:00:00.000Z');
+    expect(parseLimitText('2025-10-15-14:28:30')).toBe('2025-10-15T05:28:30.000Z');
+    expect(parseLimitText('2025-10-15T05:28:00.123Z')).toBe('2025-10-15T05:28:00.000Z');
+    expect(parseLimitText('2025/10/15 14:28 (UTC-05:00)')).toBe('2025-10-15T19:28:00.000Z');
+    expect(formatISOToJapanese('2025-10-15T05:28:30Z')).toBe('2025/10/15 14:28:30');
+  });
+
+  it.each([
+    '',
+    '   ',
+    '2025/2/30 10:00',
+    '2025/10/15 24:00',
+    '2025/10/15 10:60',
+    '2025-02-30T00:00:00Z',
+    '2025-10-15T05:28:00',
+    '2025-10-15 14:28',
+    'xTZ',
+    '明日',
+  ])('書式に合わない・存在しない日時はnull（%j）', (text) => {
+    expect(parseLimitText(text)).toBeNull();
+  });
+});
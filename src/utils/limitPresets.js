@@ -0,0 +1,182 @@
+import {
+  addDays,
+  daysInMonth,
+  datePartsToISO,
+  isoToDateParts,
+  parseTimeText,
+  timeToMinutes,
+  toDateKey,
+  todayDateKey,
+} from '~/utils/calendar';
+
+/**
+ * LimitPicker のワンクリックで期限を決めるプリセットと、選択中の日時をずらすボタン
+ *
+ * 日時は LimitPicker と同じく、設定したタイムゾーンの日付（'YYYY-MM-DD'）と時刻（'HH:MM'）で扱う
+ * プリセットの時刻は勤務時間の設定に合わせる（その日のうちに終える期限は終業、始める期限は始業）
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_WORKING_HOURS = { start: '09:00', end: '18:00' };
+
+/**
+ * 勤務時間の設定を正しい形にそろえる（不正な値や、始業が終業以降なら既定値）
+ * @returns {{ start: string, end: string }}
+ */
+export const normalizeWorkingHours = (value) => {
+  const start = parseTimeText(value?.start);
+  const end = parseTimeText(value?.end);
+  if (!start || !end || timeToMinutes(start) >= timeToMinutes(end)) {
+    return DEFAULT_WORKING_HOURS;
+  }
+  return { start, end };
+};
+
+// 日付の曜日（0=日曜日）
+const weekdayOf = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// 今日を含めて次に来るその曜日
+const comingWeekday = (todayKey, weekday) =>
+  addDays(todayKey, (weekday - weekdayOf(todayKey) + 7) % 7);
+
+// 'HH:MM' を先頭ゼロなしの 'H:MM' にする（期限の表示と同じ表記）
+const toTimeLabel = (time) => time.replace(/^0(\d)/, '$1');
+
+/*
+ * プリセットの一覧
+ * resolve は (今日の日付, 勤務時間) から { date, time } を返す
+ */
+export const LIMIT_PRESETS = [
+  {
+    id: 'today',
+    label: ({ end }) => `今日 ${toTimeLabel(end)}`,
+    resolve: (todayKey, { end }) => ({ date: todayKey, time: end }),
+  },
+  {
+    id: 'tomorrow',
+    label: ({ start }) => `明日 ${toTimeLabel(start)}`,
+    resolve: (todayKey, { start }) => ({
+      date: addDays(todayKey, 1),
+      time: start,
+    }),
+  },
+  {
+    id: 'tomorrowEnd',
+    label: ({ end }) => `明日 ${toTimeLabel(end)}`,
+    resolve: (todayKey, { end }) => ({ date: addDays(todayKey, 1), time: end }),
+  },
+  {
+    id: 'thisFriday',
+    label: () => '今週の金曜',
+    resolve: (todayKey, { end }) => ({
+      // 今日を含めて次の金曜日（週末なら翌週の金曜日）
+      date: comingWeekday(todayKey, 5),
+      time: end,
+    }),
+  },
+  {
+    id: 'nextMonday',
+    label: () => '来週の月曜',
+    resolve: (todayKey, { start }) => ({
+      // 明日以降で最初の月曜日（今日が月曜日なら1週間後）
+      date: comingWeekday(addDays(todayKey, 1), 1),
+      time: start,
+    }),
+  },
+  {
+    id: 'nextWeek',
+    label: () => '1週間後',
+    resolve: (todayKey, { end }) => ({ date: addDays(todayKey, 7), time: end }),
+  },
+  {
+    id: 'endOfMonth',
+    label: () => '月末',
+    resolve: (todayKey, { end }) => {
+      const [year, month] = todayKey.split('-').map(Number);
+      return { date: toDateKey(year, month, daysInMonth(year, month)), time: end };
+    },
+  },
+];
+
+// 設定が無いときに表示するプリセット
+export const DEFAULT_LIMIT_PRESET_IDS = [
+  'today',
+  'tomorrow',
+  'thisFriday',
+  'nextMonday',
+  'nextWeek',
+];
+
+/**
+ * 表示するプリセットの設定を正しい形にそろえる（知らないIDを除き、一覧の順に並べる）
+ * @returns {string[]}
+ */
+export const normalizeLimitPresetIds = (ids) => {
+  if (!Array.isArray(ids)) return DEFAULT_LIMIT_PRESET_IDS;
+  return LIMIT_PRESETS.map((preset) => preset.id).filter((id) =>
+    ids.includes(id)
+  );
+};
+
+/**
+ * 表示するプリセットの日時を求める
+ * @param {string[]} ids - 表示するプリセットのID
+ * @param {{ start, end }} workingHours - 勤務時間
+ * @param {Date} now - 現在時刻
+ * @returns {Array<{ id, label, date, time, isPast }>} - isPast は期限が既に過ぎているか
+ */
+export const resolveLimitPresets = (ids, workingHours, now = new Date()) => {
+  const todayKey = todayDateKey(now);
+  return LIMIT_PRESETS.filter((preset) => ids.includes(preset.id)).map(
+    (preset) => {
+      const { date, time } = preset.resolve(todayKey, workingHours);
+      return {
+        id: preset.id,
+        label: preset.label(workingHours),
+        date,
+        time,
+        isPast: new Date(datePartsToISO(date, time)) <= now,
+      };
+    }
+  );
+};
+
+/*
+ * 選択中の日時をずらすボタン
+ * 時間は経過時間で（夏時間の切り替えをまたいでも1時間後）、日・週は同じ時刻のまま日付をずらす
+ */
+export const LIMIT_OFFSETS = [
+  { id: 'hour', label: '+1時間', hours: 1 },
+  { id: 'day', label: '+1日', days: 1 },
+  { id: 'week', label: '+1週', days: 7 },
+];
+
+/**
+ * 日付と時刻をずらす
+ * @param {{ date: string, time: string }} parts - 日付と時刻
+ * @param {string} offsetId - LIMIT_OFFSETS のID
+ * @returns {{ date: string, time: string }}
+ */
+export const shiftDateParts = ({ date, time }, offsetId) => {
+  const offset = LIMIT_OFFSETS.find((item) => item.id === offsetId);
+  if (!offset) return { date, time };
+
+  if (offset.hours) {
+    const base = new Date(datePartsToISO(date, time)).getTime();
+    let shifted = base + offset.hours * HOUR_MS;
+    let parts = isoToDateParts(new Date(shifted).toISOString());
+    // 夏時間の終了で2回ある時刻の後の方になると、日付と時刻からは先の方に戻ってしまうので、
+    // 元の日時より後になるまで進める
+    while (new Date(datePartsToISO(parts.date, parts.time)).getTime() <= base) {
+      shifted += HOUR_MS;
+      parts = isoToDateParts(new Date(shifted).toISOString());
+    }
+    return parts;
+  }
+
+  return { date: addDays(date, offset.days), time };
+};
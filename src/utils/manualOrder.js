@@ -0,0 +1,58 @@
+/*
+ * タスクの手動の並び順
+ *
+ * 並び順はタスクIDの配列で保存する。保存した後に増えたタスク（新しく作成・移動してきたもの）は
+ * リストの設定に応じて先頭または末尾にまとめ、消えたタスクのIDは表示の際に読み飛ばす。
+ * そのため、タスクの追加・削除・再取得があっても、並べ替えたタスク同士の順番は変わらない。
+ */
+
+export const NEW_TASK_POSITIONS = [
+  { value: 'bottom', label: '末尾に追加' },
+  { value: 'top', label: '先頭に追加' },
+];
+
+export const DEFAULT_NEW_TASK_POSITION = 'bottom';
+
+/**
+ * 保存した並び順をタスクの配列に適用する
+ * @param {Array} tasks - タスクの配列（APIの並び順 = 作成順）
+ * @param {string[]|undefined} orderIds - 保存した並び順
+ * @param {'top'|'bottom'} newTaskPosition - 並び順に無いタスクを置く位置
+ * @returns {Array} - 並べ替えたタスクの配列
+ */
+export const applyManualOrder = (tasks, orderIds = [], newTaskPosition) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const ordered = orderIds.map(id => byId.get(id)).filter(Boolean);
+  const orderedIds = new Set(ordered.map(task => task.id));
+  const rest = tasks.filter(task => !orderedIds.has(task.id));
+
+  // 先頭に追加する設定では、新しいタスクほど上に来るよう作成順を逆にする
+  return newTaskPosition === 'top'
+    ? [...rest.reverse(), ...ordered]
+    : [...ordered, ...rest];
+};
+
+/**
+ * 配列の要素を別の位置へ移す
+ */
+export const moveItem = (items, fromIndex, toIndex) => {
+  const next = [...items];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+
+  return next;
+};
+
+/**
+ * 一部（絞り込みで表示中のもの）だけを並べ替えた結果を、全体の並び順に反映する
+ * 表示していないタスクの位置はそのまま、表示中のタスクが占めていた位置に新しい順番で入れる
+ * @param {string[]} allIds - 全体の並び順
+ * @param {string[]} visibleIds - 並べ替えた後の、表示中のタスクの並び順
+ * @returns {string[]}
+ */
+export const mergeVisibleOrder = (allIds, visibleIds) => {
+  const visible = new Set(visibleIds);
+  let cursor = 0;
+
+  return allIds.map(id => (visible.has(id) ? visibleIds[cursor++] : id));
+};
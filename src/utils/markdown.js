@@ -0,0 +1,341 @@
+/*
+ * タスクの詳細用のMarkdownパーサー
+ *
+ * 文字列を構文木（ブロックとインラインの配列）に変換するだけで、HTMLは生成しない。
+ * 描画は ~/components/Markdown がReactの要素として行うため、本文中のHTMLタグは
+ * そのまま文字として表示され、スクリプトなどが実行されることはない。
+ * リンクは http / https / mailto のURLだけを許可し、それ以外は文字として扱う。
+ *
+ * 対応する記法:
+ * - 見出し（# 〜 ######）、段落（改行はそのまま改行）、水平線（--- / *** / ___）
+ * - 箇条書き（- * +）、番号付きリスト（1. / 1)）、入れ子、チェックリスト（- [ ] / - [x]）
+ * - コードブロック（``` または ~~~）、引用（>）、表（| a | b | と区切り行 | --- | :-: |）
+ * - インライン: `コード`、**太字**、*斜体*、~~取り消し線~~、[リンク](URL)、<URL>、URLの自動リンク、\ によるエスケープ
+ */
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * リンクとして使ってよいURLならそのまま返す（javascript: などはnull）
+ */
+export const sanitizeUrl = url => {
+  try {
+    const parsed = new URL(url);
+    return ALLOWED_PROTOCOLS.includes(parsed.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+/*
+ * インライン
+ */
+
+// NOTE: URLの末尾の句読点や閉じ括弧はリンクに含めない
+const trimUrl = url => url.replace(/[.,;:!?'")\]）」』。、]+$/, '');
+
+const INLINE_RULES = [
+  {
+    regex: /\\([\\`*_{}[\]()#+\-.!~|>])/y,
+    toToken: m => ({ type: 'text', value: m[1] }),
+  },
+  {
+    regex: /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/y,
+    toToken: m => ({ type: 'code', value: m[2].trim() }),
+  },
+  {
+    regex: /<((?:https?:\/\/|mailto:)[^>\s]+)>/y,
+    toToken: m => ({ type: 'link', href: m[1], children: [{ type: 'text', value: m[1] }] }),
+  },
+  {
+    regex: /\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/y,
+    toToken: m => ({ type: 'link', href: m[2], children: parseInline(m[1]) }),
+  },
+  {
+    regex: /(\*\*|__)(?=\S)([\s\S]*?\S)\1/y,
+    toToken: m => ({ type: 'strong', children: parseInline(m[2]) }),
+  },
+  {
+    regex: /~~(?=\S)([\s\S]*?\S)~~/y,
+    toToken: m => ({ type: 'del', children: parseInline(m[1]) }),
+  },
+  {
+    regex: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/y,
+    toToken: m => ({ type: 'em', children: parseInline(m[1]) }),
+  },
+  {
+    regex: /(?<![\p{L}\p{N}_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}_])/uy,
+    toToken: m => ({ type: 'em', children: parseInline(m[1]) }),
+  },
+  {
+    regex: /(?<![\w/])(https?:\/\/[^\s<>"]+)/y,
+    toToken: m => {
+      const url = trimUrl(m[1]);
+      return {
+        type: 'link',
+        href: url,
+        children: [{ type: 'text', value: url }],
+        length: url.length,
+      };
+    },
+  },
+  { regex: /\n/y, toToken: () => ({ type: 'br' }) },
+];
+
+/**
+ * インラインの記法を解析する
+ * @param {string} text
+ * @returns {Array<object>} - { type: 'text' | 'code' | 'strong' | 'em' | 'del' | 'link' | 'br', ... }
+ */
+export const parseInline = text => {
+  const tokens = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) {
+      tokens.push({ type: 'text', value: buffer });
+      buffer = '';
+    }
+  };
+
+  let pos = 0;
+  while (pos < text.length) {
+    let matched = false;
+
+    for (const { regex, toToken } of INLINE_RULES) {
+      regex.lastIndex = pos;
+      const m = regex.exec(text);
+      if (!m) continue;
+
+      const { length = m[0].length, ...token } = toToken(m);
+
+      // 許可されていないURLのリンクは、記法ごと文字として扱う
+      if (token.type === 'link' && !sanitizeUrl(token.href)) {
+        continue;
+      }
+
+      flush();
+      tokens.push(token);
+      pos += length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      buffer += text[pos];
+      pos += 1;
+    }
+  }
+
+  flush();
+  return tokens;
+};
+
+/*
+ * ブロック
+ */
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_MARKER = /^\[( |x|X)\](?:\s+|$)([\s\S]*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const isBlank = line => line.trim() === '';
+
+const splitTableRow = line =>
+  line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+const isTableStart = (lines, i) =>
+  lines[i].includes('|') &&
+  i + 1 < lines.length &&
+  lines[i + 1].includes('-') &&
+  TABLE_SEPARATOR.test(lines[i + 1]);
+
+// 段落を終わらせる（別のブロックが始まる）行か
+const startsBlock = (lines, i) =>
+  FENCE.test(lines[i]) ||
+  HEADING.test(lines[i]) ||
+  HR.test(lines[i]) ||
+  BLOCKQUOTE.test(lines[i]) ||
+  LIST_ITEM.test(lines[i]) ||
+  isTableStart(lines, i);
+
+const indentOf = text => text.replace(/\t/g, '  ').length;
+
+const toListItem = (entry, lineOffset, list) => {
+  const task = /\d/.test(entry.marker) ? null : entry.text.match(TASK_MARKER);
+
+  return {
+    checked: task ? task[1] !== ' ' : null,
+    line: task && lineOffset !== null ? lineOffset + entry.line : null,
+    // NOTE: チェックリストの項目の本文（~/utils/checklist で使う。それ以外はnull）
+    text: task ? task[2] : null,
+    children: parseInline(task ? task[2] : entry.text),
+    list,
+  };
+};
+
+/*
+ * 連続するリストの行から入れ子のリストを作る
+ * 項目より深くインデントされた後続の行は、その項目の子リストになる
+ * lineOffsetがnullの場合（引用の中など）は、チェックリストの行の位置を持たない
+ */
+const toListBlock = (entries, lineOffset, start = 0, end = entries.length) => {
+  const first = entries[start];
+  const ordered = /\d/.test(first.marker);
+  const items = [];
+
+  let j = start;
+  while (j < end) {
+    let k = j + 1;
+    while (k < end && entries[k].indent > entries[j].indent) {
+      k += 1;
+    }
+
+    const list = k > j + 1 ? toListBlock(entries, lineOffset, j + 1, k) : null;
+    items.push(toListItem(entries[j], lineOffset, list));
+    j = k;
+  }
+
+  return {
+    type: 'list',
+    ordered,
+    start: ordered ? parseInt(first.marker, 10) : 1,
+    items,
+  };
+};
+
+/**
+ * Markdownを解析してブロックの配列を返す
+ *
+ * @param {string} source - Markdownの文字列
+ * @param {number|null} lineOffset - 先頭行の行番号（チェックリストの行の位置に使う。nullで位置を持たない）
+ * @returns {Array<object>} - { type: 'heading' | 'paragraph' | 'code' | 'list' | 'table' | 'blockquote' | 'hr', ... }
+ */
+export const parseMarkdown = (source, lineOffset = 0) => {
+  const lines = (source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+
+    // コードブロック（閉じられていなければ最後まで）
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      blocks.push({ type: 'code', lang: fence[2], text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        level: heading[1].length,
+        children: parseInline(heading[2]),
+      });
+      i += 1;
+      continue;
+    }
+
+    if (HR.test(line)) {
+      blocks.push({ type: 'hr' });
+      i += 1;
+      continue;
+    }
+
+    // 引用（中身は行の位置を持たないMarkdownとして解析する）
+    if (BLOCKQUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        body.push(lines[i].match(BLOCKQUOTE)[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'blockquote', children: parseMarkdown(body.join('\n'), null) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(header.map((_, col) => parseInline(cells[col] ?? '')));
+        i += 1;
+      }
+      blocks.push({
+        type: 'table',
+        header: header.map(cell => parseInline(cell)),
+        align: header.map((_, col) => align[col] ?? null),
+        rows,
+      });
+      continue;
+    }
+
+    // リスト（インデントされた続きの行は直前の項目の本文に含める）
+    if (LIST_ITEM.test(line)) {
+      const entries = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        const item = lines[i].match(LIST_ITEM);
+
+        // 同じ深さで箇条書きと番号付きが切り替わったら、別のリストにする
+        const isOtherKind =
+          item &&
+          entries.length > 0 &&
+          indentOf(item[1]) <= entries[0].indent &&
+          /\d/.test(item[2]) !== /\d/.test(entries[0].marker);
+        if (isOtherKind) {
+          break;
+        }
+
+        if (item) {
+          entries.push({ indent: indentOf(item[1]), marker: item[2], text: item[3], line: i });
+        } else if (/^\s+/.test(lines[i]) && entries.length > 0) {
+          entries[entries.length - 1].text += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push(toListBlock(entries, lineOffset));
+      continue;
+    }
+
+    // 段落
+    const body = [];
+    while (i < lines.length && !isBlank(lines[i]) && (body.length === 0 || !startsBlock(lines, i))) {
+      body.push(lines[i]);
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(body.join('\n')) });
+  }
+
+  return blocks;
+};
@@ -0,0 +1,70 @@
+/*
+ * オフライン中のミューテーション（作成・更新・削除）をIndexedDBに保存するためのラッパー
+ * 登録順（seq）に取り出せるので、オンライン復帰時にそのまま順番に再送できる
+ *
+ * 1件のエントリは次の形:
+ * { seq, kind: 'task' | 'list', method: 'post' | 'put' | 'delete', url, body, tempId, label, createdAt }
+ */
+const DB_NAME = 'railway-todo-app';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, {
+          keyPath: 'seq',
+          autoIncrement: true,
+        });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// NOTE: トランザクション1回分の処理をPromiseで包む
+const runTransaction = async (mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    const request = callback(store);
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const addOutboxEntry = entry =>
+  runTransaction('readwrite', store => store.add(entry));
+
+export const putOutboxEntry = entry =>
+  runTransaction('readwrite', store => store.put(entry));
+
+export const deleteOutboxEntry = seq =>
+  runTransaction('readwrite', store => store.delete(seq));
+
+export const clearOutboxEntries = () =>
+  runTransaction('readwrite', store => store.clear());
+
+// NOTE: keyPathのseqは自動採番なので、getAllの結果は登録順に並んでいる
+export const getOutboxEntries = () =>
+  runTransaction('readonly', store => store.getAll());
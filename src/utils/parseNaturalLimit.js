@@ -0,0 +1,405 @@
+import { fromZonedParts, isValidDateTime, toZonedParts } from '~/utils/timeZone';
+
+// 自然な言い回しの期限（日本語・英語）を、設定したタイムゾーンの時刻として解釈して ISO 8601 文字列(UTC, Z) にする
+// タイトルの途中に含まれる言い回しも見つけられるよう、一致した位置も返す
+//
+// - 相対時間: 「2時間後」「30分後」 / "in 2 hours", "in 30 minutes", "in an hour"
+// - 相対日:   「今日」「明日」「明後日」「3日後」「2週間後」「1ヶ月後」 / "today", "tomorrow", "in 3 days", "in 2 weeks"
+// - 曜日:     「金曜」「来週月曜」「今週金曜日」「次の水曜」 / "friday", "next monday", "this friday", "on wed", "fri 3pm"
+// - 日付:     「10月20日」「10/20まで」（過ぎていれば翌年）「2026/10/20」「2026年10月20日」 / "by 10/20"
+//
+// 英語の曜日の略称（"sun" "sat" "wed" など）と「3/4」のような月日は普通の語や分数と区別が付かないので、
+// 前に "on" "by" など、後ろに時刻や「まで」が続くときだけ期限として扱う
+// - 時刻:     「15時」「午後3時半」「9時30分」「15:00」「正午」 / "9am", "3:30pm", "at 15:00", "noon"
+//
+// 日付だけの場合は DEFAULT_HOUR 時、時刻だけの場合は次に来るその時刻（過ぎていれば翌日）にする
+// 週は月曜始まり（「来週月曜」は次の週の月曜日）
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// 時刻の指定が無いときの時刻
+const DEFAULT_HOUR = 18;
+// 「今夜」「tonight」の時刻
+const TONIGHT_HOUR = 20;
+
+const JP_WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+const EN_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const EN_WEEKDAY_NAME_PATTERN =
+  '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const EN_WEEKDAY_ABBR_PATTERN = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)';
+
+// 日付の前に付いて、期限であることがはっきりする言葉（"on wed" "by 3/4" 「期限 3/4」）
+const LEADING_DATE_CONTEXT =
+  '(?<=\\b(?:on|by|due)\\s+|(?:期限|締切|締め切り)[:は]?\\s*)';
+// 日付の後に続いて、期限であることがはっきりする時刻や「まで」（"wed 3pm" 「3/4 15時」「3/4まで」）
+const TRAILING_DATE_CONTEXT =
+  '(?=\\s*(?:の\\s*)?(?:at\\s+)?(?:\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)\\b|\\d{1,2}:\\d{2}|noon\\b|(?:午前|午後|朝|夕方|夜)?\\d{1,2}時(?!間)|正午|まで))';
+// 年の無いスラッシュ区切りの月日（「10/20」）
+const SLASH_MONTH_DAY = '(?<![\\d/])(\\d{1,2})\\/(\\d{1,2})(?![\\d/])';
+
+// 現在時刻を設定したタイムゾーンの年月日・曜日に分解する
+const toTodayParts = (date) => {
+  const { year, month, day, weekday } = toZonedParts(date);
+  return { year, month, day, weekday };
+};
+
+// 設定したタイムゾーンの年月日・時刻からISO文字列を作る（日や月のあふれは繰り上がる）
+const toIso = ({ year, month, day }, hour, minute) =>
+  fromZonedParts({ year, month, day, hour, minute }).toISOString();
+
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+const addMonths = ({ year, month, day }, months) => {
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  // 月末を越える場合はその月の末日にする（1/31 の1ヶ月後 → 2/28）
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: Math.min(day, lastDay),
+  };
+};
+
+/**
+ * 曜日から日付を求める
+ * - 'coming': 今日を含めて次に来るその曜日
+ * - 'next':   今日より後に来るその曜日
+ * - 'thisWeek' / 'nextWeek': 今週・来週（月曜始まり）のその曜日（今週で既に過ぎていればnull）
+ */
+const resolveWeekday = (today, weekday, mode) => {
+  const diff = (weekday - today.weekday + 7) % 7;
+
+  if (mode === 'coming') return addDays(today, diff);
+  if (mode === 'next') return addDays(today, diff === 0 ? 7 : diff);
+
+  // 月曜日を0とした曜日
+  const fromMonday = (w) => (w + 6) % 7;
+  const offset = fromMonday(weekday) - fromMonday(today.weekday);
+  if (mode === 'nextWeek') return addDays(today, offset + 7);
+  return offset < 0 ? null : addDays(today, offset);
+};
+
+// 英語の曜日（"this" は今週ではなく、今日を含めて次に来るその曜日）
+const resolveEnWeekday = (today, modifier, name) => {
+  const mode = modifier?.toLowerCase() === 'next' ? 'next' : 'coming';
+  const weekday = EN_WEEKDAYS.indexOf(name.toLowerCase().slice(0, 3));
+  return resolveWeekday(today, weekday, mode);
+};
+
+// 存在しない日付（13月、2/30 など）はnull（繰り上げて別の日にしない）
+const toValidDate = (year, month, day) =>
+  isValidDateTime({ year, month, day }) ? { year, month, day } : null;
+
+// 月日だけの指定は、過ぎていれば翌年にする
+const resolveMonthDay = (today, month, day) => {
+  const isPast =
+    month < today.month || (month === today.month && day < today.day);
+  return toValidDate(today.year + (isPast ? 1 : 0), month, day);
+};
+
+const toAmount = (text) =>
+  /^(a|an|one)$/i.test(text) ? 1 : Number(text);
+
+const DURATION_UNITS = {
+  分: MINUTE_MS,
+  時間: HOUR_MS,
+  minute: MINUTE_MS,
+  min: MINUTE_MS,
+  hour: HOUR_MS,
+  hr: HOUR_MS,
+};
+
+/*
+ * 時刻まで決まる相対時間（「2時間後」 "in 2 hours"）
+ * 一致すれば { index, length, iso } を返す
+ */
+const DURATION_PATTERNS = [
+  {
+    regex: /(\d+)(分|時間)後/,
+    resolve: (m, now) => now.getTime() + Number(m[1]) * DURATION_UNITS[m[2]],
+  },
+  {
+    regex: /\bin\s+(\d+|an?|one)\s+(minute|min|hour|hr)s?\b/i,
+    resolve: (m, now) =>
+      now.getTime() + toAmount(m[1]) * DURATION_UNITS[m[2].toLowerCase()],
+  },
+];
+
+/*
+ * 日付の言い回し
+ * resolve は設定したタイムゾーンの { year, month, day } と、時刻の既定値 defaultHour（任意）を返す
+ */
+const DATE_PATTERNS = [
+  { regex: /(今日|本日)/, resolve: (m, today) => today },
+  {
+    regex: /今夜/,
+    resolve: (m, today) => ({ ...today, defaultHour: TONIGHT_HOUR }),
+  },
+  { regex: /(明後日|あさって)/, resolve: (m, today) => addDays(today, 2) },
+  { regex: /(明日|あした)/, resolve: (m, today) => addDays(today, 1) },
+  {
+    regex: /(\d+)日後/,
+    resolve: (m, today) => addDays(today, Number(m[1])),
+  },
+  {
+    regex: /(\d+)週間後/,
+    resolve: (m, today) => addDays(today, Number(m[1]) * 7),
+  },
+  {
+    regex: /(\d+)[かヶケカ]月後/,
+    resolve: (m, today) => addMonths(today, Number(m[1])),
+  },
+  {
+    regex: /(来週|今週|次の)?([日月火水木金土])曜日?/,
+    resolve: (m, today) => {
+      const mode = { 来週: 'nextWeek', 今週: 'thisWeek', 次の: 'next' }[m[1]];
+      return resolveWeekday(today, JP_WEEKDAYS.indexOf(m[2]), mode ?? 'coming');
+    },
+  },
+  {
+    regex: /(\d{4})(?:\/|年)(\d{1,2})(?:\/|月)(\d{1,2})日?/,
+    resolve: (m) => toValidDate(Number(m[1]), Number(m[2]), Number(m[3])),
+  },
+  {
+    regex: /(?<!\d)(\d{1,2})月(\d{1,2})日/,
+    resolve: (m, today) => resolveMonthDay(today, Number(m[1]), Number(m[2])),
+  },
+  {
+    regex: new RegExp(`${LEADING_DATE_CONTEXT}${SLASH_MONTH_DAY}`, 'i'),
+    resolve: (m, today) => resolveMonthDay(today, Number(m[1]), Number(m[2])),
+  },
+  {
+    regex: new RegExp(`${SLASH_MONTH_DAY}${TRAILING_DATE_CONTEXT}`, 'i'),
+    resolve: (m, today) => resolveMonthDay(today, Number(m[1]), Number(m[2])),
+  },
+  { regex: /\btoday\b/i, resolve: (m, today) => today },
+  {
+    regex: /\btonight\b/i,
+    resolve: (m, today) => ({ ...today, defaultHour: TONIGHT_HOUR }),
+  },
+  {
+    regex: /\b(the\s+)?day\s+after\s+tomorrow\b/i,
+    resolve: (m, today) => addDays(today, 2),
+  },
+  { regex: /\btomorrow\b/i, resolve: (m, today) => addDays(today, 1) },
+  {
+    regex: /\bin\s+(\d+|an?|one)\s+(day|week|month)s?\b/i,
+    resolve: (m, today) => {
+      const amount = toAmount(m[1]);
+      const unit = m[2].toLowerCase();
+      if (unit === 'month') return addMonths(today, amount);
+      return addDays(today, unit === 'week' ? amount * 7 : amount);
+    },
+  },
+  {
+    regex: new RegExp(`\\b(?:(next|this)\\s+)?${EN_WEEKDAY_NAME_PATTERN}\\b`, 'i'),
+    resolve: (m, today) => resolveEnWeekday(today, m[1], m[2]),
+  },
+  {
+    regex: new RegExp(
+      `(?:\\b(next|this)\\s+|${LEADING_DATE_CONTEXT})${EN_WEEKDAY_ABBR_PATTERN}\\b`,
+      'i'
+    ),
+    resolve: (m, today) => resolveEnWeekday(today, m[1], m[2]),
+  },
+  {
+    regex: new RegExp(`\\b${EN_WEEKDAY_ABBR_PATTERN}\\b${TRAILING_DATE_CONTEXT}`, 'i'),
+    resolve: (m, today) => resolveEnWeekday(today, null, m[1]),
+  },
+];
+
+/*
+ * 時刻の言い回し
+ * resolve は { hour, minute } を返す（不正な時刻ならnull）
+ * 「夜12時」のように翌日の0時を指すものは nextDay: true を付ける
+ */
+const TIME_PATTERNS = [
+  {
+    regex: /(午前|午後|朝|夕方|夜)?(\d{1,2})時(?!間)(半|(\d{1,2})分)?/,
+    resolve: (m) => {
+      let hour = Number(m[2]);
+      const minute = m[3] === '半' ? 30 : Number(m[4] ?? 0);
+      if (hour === 12 && m[1] === '午前') hour = 0;
+      if (hour === 12 && m[1] === '夜') return { hour: 0, minute, nextDay: true };
+      if (['午後', '夕方', '夜'].includes(m[1]) && hour < 12) hour += 12;
+      return { hour, minute };
+    },
+  },
+  { regex: /正午/, resolve: () => ({ hour: 12, minute: 0 }) },
+  {
+    regex: /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i,
+    resolve: (m) => {
+      let hour = Number(m[1]) % 12;
+      if (m[3].toLowerCase() === 'pm') hour += 12;
+      return { hour, minute: Number(m[2] ?? 0) };
+    },
+  },
+  { regex: /\b(?:at\s+)?noon\b/i, resolve: () => ({ hour: 12, minute: 0 }) },
+  {
+    regex: /(?:\bat\s+)?(?<![\d/:])(\d{1,2}):(\d{2})(?![\d:])/i,
+    resolve: (m) => ({ hour: Number(m[1]), minute: Number(m[2]) }),
+  },
+];
+
+// 時刻が翌日を指す場合は、その日付を1日進める
+const withTimeDay = (day, time) => (time.nextDay ? addDays(day, 1) : day);
+
+const isValidTime = (time) =>
+  time && time.hour >= 0 && time.hour <= 23 && time.minute >= 0 && time.minute <= 59;
+
+// 全角の数字・コロン・スラッシュを半角にする（文字数は変わらないので、一致位置はそのまま使える）
+const toHalfWidth = (text) =>
+  text.replace(/[０-９：／]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0));
+
+// 最初に一致した言い回しを { index, length, value } で返す
+const findFirst = (patterns, text, resolveArgs) => {
+  let found = null;
+
+  patterns.forEach(({ regex, resolve }) => {
+    const m = regex.exec(text);
+    if (m && (found === null || m.index < found.index)) {
+      const value = resolve(m, ...resolveArgs);
+      if (value) {
+        found = { index: m.index, length: m[0].length, value };
+      }
+    }
+  });
+
+  return found;
+};
+
+// 日付の直後（「明日15時」「明日の15時」 "tomorrow at 9am"）または直前（"9am tomorrow"）の時刻を探す
+const findAdjacentTime = (text, date) => {
+  const after = text.slice(date.index + date.length);
+  const gap = after.match(/^(\s*の\s*|\s+)?/)[0];
+  const following = findFirst(TIME_PATTERNS, after.slice(gap.length), []);
+  if (following && following.index === 0) {
+    return {
+      index: date.index,
+      length: date.length + gap.length + following.length,
+      value: following.value,
+    };
+  }
+
+  const before = text.slice(0, date.index);
+  const preceding = before.match(/(\d{1,2}(?::\d{2})?\s*(?:am|pm)|noon)\s+$/i);
+  if (preceding) {
+    const time = findFirst(TIME_PATTERNS, preceding[1], []);
+    return {
+      index: preceding.index,
+      length: before.length - preceding.index + date.length,
+      value: time.value,
+    };
+  }
+
+  return null;
+};
+
+// 「までに」「by」など、期限を表す前後の言葉も一致範囲に含める（タイトルから取り除くため）
+const expandToParticles = (text, index, length) => {
+  let start = index;
+  let end = index + length;
+
+  const leading = text
+    .slice(0, start)
+    .match(/(?:\b(?:by|on|due|at)\s+|(?:期限|締切|締め切り)[:は]?\s*)$/i);
+  if (leading) start = leading.index;
+
+  const trailing = text.slice(end).match(/^(までに|まで|に)/);
+  if (trailing) end += trailing[0].length;
+
+  return { start, end };
+};
+
+/**
+ * 文字列に含まれる期限の言い回しを探す
+ *
+ * @param {string} text - タイトルや期限の入力欄の文字列
+ * @param {Date} now - 基準にする現在時刻
+ * @returns {{ iso: string, start: number, end: number, text: string } | null}
+ *   - iso: 期限（ISO 8601, UTC）
+ *   - start, end: 言い回し（「までに」などを含む）の位置 [start, end)
+ *   - text: 言い回しそのもの
+ */
+export const findNaturalLimit = (text, now = new Date()) => {
+  if (!text || text.trim() === '') return null;
+
+  const source = toHalfWidth(text);
+  const today = toTodayParts(now);
+
+  const result = (found, iso) => {
+    const { start, end } = expandToParticles(source, found.index, found.length);
+    return { iso, start, end, text: text.slice(found.index, found.index + found.length) };
+  };
+
+  const duration = findFirst(DURATION_PATTERNS, source, [now]);
+  if (duration) {
+    return result(duration, new Date(duration.value).toISOString());
+  }
+
+  const date = findFirst(DATE_PATTERNS, source, [today]);
+  if (date) {
+    const withTime = findAdjacentTime(source, date);
+    if (withTime && !isValidTime(withTime.value)) return null;
+
+    const time = withTime?.value ?? {
+      hour: date.value.defaultHour ?? DEFAULT_HOUR,
+      minute: 0,
+    };
+    return result(
+      withTime ?? date,
+      toIso(withTimeDay(date.value, time), time.hour, time.minute)
+    );
+  }
+
+  const time = findFirst(TIME_PATTERNS, source, []);
+  if (time) {
+    if (!isValidTime(time.value)) return null;
+
+    // 既に過ぎた時刻なら翌日のその時刻
+    const day = withTimeDay(today, time.value);
+    const todayIso = toIso(day, time.value.hour, time.value.minute);
+    const iso =
+      new Date(todayIso) > now
+        ? todayIso
+        : toIso(addDays(day, 1), time.value.hour, time.value.minute);
+    return result(time, iso);
+  }
+
+  return null;
+};
+
+/**
+ * 文字列全体が期限の言い回しの場合だけ、その期限を返す（期限の入力欄用）
+ * @returns {string|null} - ISO 8601 文字列(UTC, Z) または null
+ */
+export const parseNaturalLimit = (text, now = new Date()) => {
+  const found = findNaturalLimit(text, now);
+  if (!found) return null;
+
+  const rest = text.slice(0, found.start) + text.slice(found.end);
+  return rest.trim() === '' ? found.iso : null;
+};
+
+/**
+ * タイトルから期限の言い回しを取り除く
+ * @param {string} text - 元のタイトル
+ * @param {{ start: number, end: number }} found - findNaturalLimit の結果
+ * @returns {string}
+ */
+export const removeNaturalLimit = (text, found) =>
+  (text.slice(0, found.start) + ' ' + text.slice(found.end))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export default parseNaturalLimit;
@@ -0,0 +1,162 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  findNaturalLimit,
+  parseNaturalLimit,
+  removeNaturalLimit,
+} from '~/utils/parseNaturalLimit';
+import { setTimeZone } from '~/utils/timeZone';
+
+// 基準の現在時刻: 2026/10/18（日）10:00（Asia/Tokyo）
+const NOW = new Date('2026-10-18T01:00:00Z');
+
+beforeEach(() => {
+  setTimeZone('Asia/Tokyo');
+});
+
+afterEach(() => {
+  setTimeZone('UTC');
+});
+
+describe('parseNaturalLimit', () => {
+  it.each([
+    // 相対日・相対時間
+    ['今日', '2026-10-18T09:00:00.000Z'],
+    ['本日', '2026-10-18T09:00:00.000Z'],
+    ['今夜', '2026-10-18T11:00:00.000Z'],
+    ['明日', '2026-10-19T09:00:00.000Z'],
+    ['明日15時', '2026-10-19T06:00:00.000Z'],
+    ['明日の午後3時半', '2026-10-19T06:30:00.000Z'],
+    ['あさって', '2026-10-20T09:00:00.000Z'],
+    ['3日後', '2026-10-21T09:00:00.000Z'],
+    ['2週間後', '2026-11-01T09:00:00.000Z'],
+    ['1ヶ月後', '2026-11-18T09:00:00.000Z'],
+    ['2時間後', '2026-10-18T03:00:00.000Z'],
+    ['３０分後', '2026-10-18T01:30:00.000Z'],
+    // 曜日（週は月曜始まり。今日は日曜日）
+    ['金曜', '2026-10-23T09:00:00.000Z'],
+    ['日曜日', '2026-10-18T09:00:00.000Z'],
+    ['次の日曜', '2026-10-25T09:00:00.000Z'],
+    ['次の水曜', '2026-10-21T09:00:00.000Z'],
+    ['来週月曜', '2026-10-19T09:00:00.000Z'],
+    ['今週日曜', '2026-10-18T09:00:00.000Z'],
+    // 日付
+    ['10月20日', '2026-10-20T09:00:00.000Z'],
+    ['10/20まで', '2026-10-20T09:00:00.000Z'],
+    ['3/4 15時', '2027-03-04T06:00:00.000Z'],
+    ['期限：３／４', '2027-03-04T09:00:00.000Z'],
+    ['2026/12/1', '2026-12-01T09:00:00.000Z'],
+    ['2027年1月5日9時', '2027-01-05T00:00:00.000Z'],
+    // 時刻だけ（過ぎていれば翌日）
+    ['15時', '2026-10-18T06:00:00.000Z'],
+    ['9時', '2026-10-19T00:00:00.000Z'],
+    ['正午', '2026-10-18T03:00:00.000Z'],
+    ['夜8時', '2026-10-18T11:00:00.000Z'],
+    // 12時の前後（午前12時は0時、夜12時は翌日の0時）
+    ['午前12時', '2026-10-18T15:00:00.000Z'],
+    ['午後12時', '2026-10-18T03:00:00.000Z'],
+    ['明日の午前12時', '2026-10-18T15:00:00.000Z'],
+    ['夜12時', '2026-10-18T15:00:00.000Z'],
+    ['明日夜12時', '2026-10-19T15:00:00.000Z'],
+    ['明日の夜12時半', '2026-10-19T15:30:00.000Z'],
+    // 英語
+    ['today', '2026-10-18T09:00:00.000Z'],
+    ['tonight', '2026-10-18T11:00:00.000Z'],
+    ['tomorrow 9am', '2026-10-19T00:00:00.000Z'],
+    ['9am tomorrow', '2026-10-19T00:00:00.000Z'],
+    ['tomorrow at noon', '2026-10-19T03:00:00.000Z'],
+    ['the day after tomorrow', '2026-10-20T09:00:00.000Z'],
+    ['in 2 hours', '2026-10-18T03:00:00.000Z'],
+    ['in an hour', '2026-10-18T02:00:00.000Z'],
+    ['in 3 days', '2026-10-21T09:00:00.000Z'],
+    ['in 2 weeks', '2026-11-01T09:00:00.000Z'],
+    ['in a month', '2026-11-18T09:00:00.000Z'],
+    ['friday', '2026-10-23T09:00:00.000Z'],
+    ['friday at 3:30pm', '2026-10-23T06:30:00.000Z'],
+    ['next monday', '2026-10-19T09:00:00.000Z'],
+    ['next sunday', '2026-10-25T09:00:00.000Z'],
+    ['this monday', '2026-10-19T09:00:00.000Z'],
+    ['on wed', '2026-10-21T09:00:00.000Z'],
+    ['by Thurs', '2026-10-22T09:00:00.000Z'],
+    ['fri 3pm', '2026-10-23T06:00:00.000Z'],
+    ['sat at 10:30', '2026-10-24T01:30:00.000Z'],
+    ['by 10/20', '2026-10-20T09:00:00.000Z'],
+    ['at 15:00', '2026-10-18T06:00:00.000Z'],
+    ['12pm', '2026-10-18T03:00:00.000Z'],
+    ['12am', '2026-10-18T15:00:00.000Z'],
+  ])('%j → %s', (text, expected) => {
+    expect(parseNaturalLimit(text, NOW)).toBe(expected);
+  });
+
+  it.each([
+    '',
+    '   ',
+    '明日の会議',
+    '25時',
+    '明日25時',
+    '10:75',
+    // 今週で既に過ぎた曜日（今日は日曜日）
+    '今週月曜',
+    '今週金曜日',
+    // 存在しない日付
+    '2/30まで',
+    '2026/2/29',
+    '2026年13月1日',
+  ])('期限として扱わない（%j）', (text) => {
+    expect(parseNaturalLimit(text, NOW)).toBeNull();
+  });
+
+  it.each(['13月40日', '2/30まで', '10月32日'])(
+    '存在しない日付を繰り上げない（%j）',
+    (text) => {
+      // 2025/10/15（水）10:00（Asia/Tokyo）
+      const now = new Date('2025-10-15T01:00:00Z');
+      expect(parseNaturalLimit(text, now)).toBeNull();
+      expect(findNaturalLimit(`レポート提出 ${text}`, now)).toBeNull();
+    }
+  );
+
+  it('夏時間の終了をまたいでも、その日の時刻にする', () => {
+    setTimeZone('America/New_York');
+    // 2026/10/31（土）12:00 EDT → 翌日は EST
+    const now = new Date('2026-10-31T16:00:00Z');
+    expect(parseNaturalLimit('tomorrow 9am', now)).toBe('2026-11-01T14:00:00.000Z');
+    expect(parseNaturalLimit('in 2 days', now)).toBe('2026-11-02T23:00:00.000Z');
+  });
+});
+
+describe('findNaturalLimit / removeNaturalLimit', () => {
+  it.each([
+    ['企画書を明日15時までに出す', '明日15時', '2026-10-19T06:00:00.000Z', '企画書を 出す'],
+    ['Submit report by friday', 'friday', '2026-10-23T09:00:00.000Z', 'Submit report'],
+    ['Call Bob tomorrow at 9am', 'tomorrow at 9am', '2026-10-19T00:00:00.000Z', 'Call Bob'],
+    ['Team sync on Wed', 'Wed', '2026-10-21T09:00:00.000Z', 'Team sync'],
+    ['Wed 3pm standup', 'Wed 3pm', '2026-10-21T06:00:00.000Z', 'standup'],
+    ['資料 締切：１０／２５', '１０／２５', '2026-10-25T09:00:00.000Z', '資料'],
+    ['請求書 10/25まで', '10/25', '2026-10-25T09:00:00.000Z', '請求書'],
+    ['ゴミ出し 来週火曜', '来週火曜', '2026-10-20T09:00:00.000Z', 'ゴミ出し'],
+    ['Deploy in 30 minutes', 'in 30 minutes', '2026-10-18T01:30:00.000Z', 'Deploy'],
+  ])('%j', (title, text, iso, rest) => {
+    const found = findNaturalLimit(title, NOW);
+    expect(found).toMatchObject({ text, iso });
+    expect(removeNaturalLimit(title, found)).toBe(rest);
+  });
+
+  it.each([
+    // 英語の曜日の略称に見える普通の語
+    'Wear sun screen',
+    'I sat down',
+    'Wed meeting notes',
+    'Mon cheri chocolates',
+    'Lemon tart',
+    // 「時間」の「時」
+    '資料を2時間で作る',
+    '1時間だけ勉強する',
+    // 分数やページ番号
+    'Read pages 3/4',
+    '進捗 1/2',
+    // 今週で既に過ぎた曜日
+    '今週月曜の振り返り',
+  ])('期限の言い回しを含まない（%j）', (title) => {
+    expect(findNaturalLimit(title, NOW)).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+/*
+ * タスクの優先度（task.meta.priority）
+ *
+ * 1（P1・最優先）〜 4（P4）の数値で持つ。未設定のタスクは優先度なしとして、P4より後ろに並べる
+ * タイトル中の "!1"〜"!4" でも指定できる（作成・更新時にタイトルから取り除く）
+ */
+
+export const PRIORITIES = [
+  { value: 1, label: 'P1', description: '最優先' },
+  { value: 2, label: 'P2', description: '高' },
+  { value: 3, label: 'P3', description: '中' },
+  { value: 4, label: 'P4', description: '低' },
+];
+
+// NOTE: 前後が空白（または文字列の端）の "!1"〜"!4" だけを優先度の指定とみなす
+const PRIORITY_MARKER_PATTERN = /(^|\s)!([1-4])(?=\s|$)/;
+
+export const isValidPriority = value =>
+  PRIORITIES.some(priority => priority.value === value);
+
+/**
+ * 優先度の表示名（P1など）。未設定・不正な値はnull
+ */
+export const priorityLabel = value =>
+  PRIORITIES.find(priority => priority.value === value)?.label ?? null;
+
+/**
+ * タイトル中の優先度の指定を探す
+ * @param {string} title - タスクのタイトル
+ * @returns {{ priority: number, start: number, end: number } | null} - start/endは "!N" の範囲
+ */
+export const findPriorityMarker = title => {
+  const m = (title ?? '').match(PRIORITY_MARKER_PATTERN);
+  if (!m) return null;
+
+  const start = m.index + m[1].length;
+  return { priority: Number(m[2]), start, end: start + 2 };
+};
+
+/**
+ * タイトルから優先度の指定を取り除く（前後の空白は1つにまとめる）
+ */
+export const removePriorityMarker = (title, found) => {
+  const before = title.slice(0, found.start).trimEnd();
+  const after = title.slice(found.end).trimStart();
+
+  return before && after ? `${before} ${after}` : before || after;
+};
+
+/**
+ * 優先度の高い順に並べるための比較関数（優先度なしは最後）
+ */
+export const comparePriority = (a, b) =>
+  (a.meta?.priority ?? Infinity) - (b.meta?.priority ?? Infinity) || 0;
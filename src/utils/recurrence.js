@@ -0,0 +1,171 @@
+import { dayNumberToParts, fromZonedDay, toZonedDay } from '~/utils/timeZone';
+
+/*
+ * 繰り返しタスクの設定（task.meta.recurrence）と、次回の期限の計算
+ *
+ * 設定の形式:
+ * - { type: 'daily' }                              毎日
+ * - { type: 'weekdays' }                           平日（月〜金）
+ * - { type: 'weekly', days: [1, 3] }               毎週 指定した曜日（0=日曜日）
+ * - { type: 'monthlyDay', day: 15 }                毎月 N日（月末を越える日は末日）
+ * - { type: 'monthlyWeekday', week: 2, weekday: 1 } 毎月 第N 曜日（week: -1 で最終）
+ * - { type: 'interval', days: 3 }                  N日ごと
+ *
+ * 日付は設定したタイムゾーンで数える（夏時間の切り替えをまたいでも、期限の時刻は同じ壁時計の時刻にする）
+ */
+
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// NOTE: 条件に合う日が見つからない設定（存在しない曜日など）で無限に探さないための上限
+const MAX_SEARCH_DAYS = 366 * 2;
+
+export const RECURRENCE_TYPES = [
+  { value: 'daily', label: '毎日' },
+  { value: 'weekdays', label: '平日' },
+  { value: 'weekly', label: '毎週' },
+  { value: 'monthlyDay', label: '毎月（日付）' },
+  { value: 'monthlyWeekday', label: '毎月（曜日）' },
+  { value: 'interval', label: 'N日ごと' },
+];
+
+const dayParts = dayNumber => {
+  const { year, month, day, weekday } = dayNumberToParts(dayNumber);
+  const lastDate = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return { date: day, weekday, lastDate };
+};
+
+// その日が繰り返しの対象日か
+const matches = (rule, day) => {
+  const { date, weekday, lastDate } = dayParts(day);
+
+  switch (rule.type) {
+  case 'daily':
+    return true;
+  case 'weekdays':
+    return weekday >= 1 && weekday <= 5;
+  case 'weekly':
+    return (rule.days ?? []).includes(weekday);
+  case 'monthlyDay':
+    return date === Math.min(rule.day, lastDate);
+  case 'monthlyWeekday':
+    if (weekday !== rule.weekday) return false;
+    return rule.week === -1
+      ? date + 7 > lastDate
+      : Math.ceil(date / 7) === rule.week;
+  default:
+    return false;
+  }
+};
+
+/**
+ * 繰り返しの設定が有効か（曜日が1つも選ばれていない、などを弾く）
+ */
+export const isValidRecurrence = rule => {
+  if (!rule) return false;
+
+  switch (rule.type) {
+  case 'daily':
+  case 'weekdays':
+    return true;
+  case 'weekly':
+    return Array.isArray(rule.days) && rule.days.length > 0;
+  case 'monthlyDay':
+    return rule.day >= 1 && rule.day <= 31;
+  case 'monthlyWeekday':
+    return (
+      (rule.week === -1 || (rule.week >= 1 && rule.week <= 4)) &&
+        rule.weekday >= 0 &&
+        rule.weekday <= 6
+    );
+  case 'interval':
+    return Number.isInteger(rule.days) && rule.days >= 1;
+  default:
+    return false;
+  }
+};
+
+/**
+ * 次回の期限を計算する
+ * 元の期限の時刻はそのまま引き継ぐ。期限を大きく過ぎてから完了した場合でも、
+ * 現在より後になるまで繰り返しを進める（期限切れのタスクが続けて作られないように）
+ *
+ * @param {object} rule - 繰り返しの設定
+ * @param {string|null} limit - 現在の期限（ISO 8601, UTC）。nullなら現在時刻を基準にする
+ * @param {Date} now - 現在時刻
+ * @returns {string|null} - 次回の期限（ISO 8601, UTC）。設定が不正ならnull
+ */
+export const nextOccurrence = (rule, limit, now = new Date()) => {
+  if (!isValidRecurrence(rule)) return null;
+
+  // 日付の通し番号（1970/1/1 が 0）と、その日の時刻
+  const { day: baseDay, ...time } = toZonedDay(limit ? new Date(limit) : now);
+  let day = baseDay;
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    day += rule.type === 'interval' ? rule.days : 1;
+
+    if (rule.type === 'interval' || matches(rule, day)) {
+      const next = fromZonedDay(day, time);
+      if (next > now) {
+        return next.toISOString();
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 繰り返しの設定を表示用の文字列にする
+ * 例: 「毎週 月・水」「毎月 第2月曜日」「3日ごと」
+ */
+export const describeRecurrence = rule => {
+  if (!isValidRecurrence(rule)) return '';
+
+  switch (rule.type) {
+  case 'daily':
+    return '毎日';
+  case 'weekdays':
+    return '平日';
+  case 'weekly':
+    return `毎週 ${[...rule.days]
+      .sort((a, b) => a - b)
+      .map(d => WEEKDAY_LABELS[d])
+      .join('・')}`;
+  case 'monthlyDay':
+    return `毎月 ${rule.day}日`;
+  case 'monthlyWeekday':
+    return `毎月 ${rule.week === -1 ? '最終' : `第${rule.week}`}${
+      WEEKDAY_LABELS[rule.weekday]
+    }曜日`;
+  case 'interval':
+    return `${rule.days}日ごと`;
+  default:
+    return '';
+  }
+};
+
+/**
+ * 種類を選んだときの既定の設定（曜日・日付は期限の日から決める）
+ * @param {string} type - RECURRENCE_TYPES の value
+ * @param {string|null} limit - 現在の期限（ISO 8601, UTC）
+ */
+export const createRecurrence = (type, limit, now = new Date()) => {
+  const { date, weekday } = dayParts(
+    toZonedDay(limit ? new Date(limit) : now).day,
+  );
+
+  switch (type) {
+  case 'weekly':
+    return { type, days: [weekday] };
+  case 'monthlyDay':
+    return { type, day: date };
+  case 'monthlyWeekday':
+    return { type, week: Math.min(Math.ceil(date / 7), 4), weekday };
+  case 'interval':
+    return { type, days: 2 };
+  default:
+    return { type };
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * 期限までの残り時間の表示
+ *
+ * 表示の細かさは残り時間に合わせる（1時間未満は分、それ以上は時間まで）。
+ * 表示が変わる時刻も求められるので、時計はその時刻にだけ更新すればよい（~/hooks/useRemainingTime）
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const OVERDUE_TEXT = '期限超過';
+
+/**
+ * 期限までの残り時間の表示
+ * 例: 残り2日3時間 / 残り5時間 / 残り12分 / 期限超過（期限ちょうどから）
+ * @param {string} iso - ISO 8601形式の期限日時（UTC）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {{ text: string, isOverdue: boolean } | null} - 期限が無ければnull
+ */
+export const describeRemainingTime = (iso, now = Date.now()) => {
+  if (!iso) return null;
+
+  const diffMs = new Date(iso).getTime() - now;
+  if (Number.isNaN(diffMs)) return null;
+
+  if (diffMs <= 0) {
+    return { text: OVERDUE_TEXT, isOverdue: true };
+  }
+
+  const days = Math.floor(diffMs / DAY_MS);
+  const hours = Math.floor((diffMs % DAY_MS) / HOUR_MS);
+
+  // 1日以上残っている場合
+  if (days > 0) {
+    return { text: `残り${days}日${hours}時間`, isOverdue: false };
+  }
+
+  // 1時間以上残っている場合
+  if (hours > 0) {
+    return { text: `残り${hours}時間`, isOverdue: false };
+  }
+
+  // 1時間未満の場合
+  return { text: `残り${Math.floor(diffMs / MINUTE_MS)}分`, isOverdue: false };
+};
+
+/**
+ * 残り時間の表示が次に変わる時刻（ミリ秒）
+ * 1時間以内は1分ごと、それより前は1時間ごとに変わり、最後は期限ちょうどに期限超過になる
+ * @returns {number|null} - 期限を過ぎていてもう変わらない（または期限が無い）ならnull
+ */
+export const nextRemainingTimeChange = (iso, now = Date.now()) => {
+  if (!iso) return null;
+
+  const deadline = new Date(iso).getTime();
+  const diffMs = deadline - now;
+  if (Number.isNaN(diffMs) || diffMs <= 0) return null;
+
+  // 表示は残り時間を単位で切り捨てたものなので、残り時間が今の倍数を下回った時点で変わる
+  const unit = diffMs > HOUR_MS ? HOUR_MS : MINUTE_MS;
+  const count = Math.floor(diffMs / unit);
+  return count > 0 ? deadline - count * unit + 1 : deadline;
+};
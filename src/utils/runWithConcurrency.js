@@ -0,0 +1,36 @@
+/*
+ * itemsの各要素に対してworkerを実行する。同時に実行するのはlimit件まで。
+ * 途中で失敗しても残りは実行し、Promise.allSettledと同じ形で結果を返す
+ * （結果の順番はitemsの順番と同じ）
+ *
+ * @param {Array} items - 処理対象の配列
+ * @param {number} limit - 同時実行数
+ * @param {function} worker - (item, index) => Promise
+ * @returns {Promise<Array<{ status: 'fulfilled' | 'rejected', value?: any, reason?: any }>>}
+ */
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  const runNext = async () => {
+    while (cursor < items.length) {
+      const index = cursor;
+      cursor += 1;
+
+      try {
+        const value = await worker(items[index], index);
+        results[index] = { status: 'fulfilled', value };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const runners = Array.from(
+    { length: Math.min(Math.max(limit, 1), items.length) },
+    runNext,
+  );
+  await Promise.all(runners);
+
+  return results;
+};
@@ -0,0 +1,290 @@
+/*
+ * タスクの全文検索インデックス
+ *
+ * 日本語は単語の区切りが無いため、文字のbigram（2文字ずつ）で転置インデックスを作る。
+ * 候補をbigramで絞り込んだ後、正規化した本文に検索語が含まれるかを確かめる。
+ *
+ * 正規化: NFKC（全角英数・半角カナの統一）+ 小文字化 + カタカナをひらがなに
+ */
+
+const KATAKANA_START = 0x30a1;
+const KATAKANA_END = 0x30f6;
+const KANA_OFFSET = 0x60;
+
+// NOTE: 濁点・半濁点（半角と結合文字）は直前の文字と合わせて正規化しないと1文字にまとまらない（ｶﾞ → ガ）
+const CLUSTER = /.[\uff9e\uff9f\u3099\u309a]*/gsu;
+
+const normalizeChar = char => {
+  const normalized = char.normalize('NFKC').toLowerCase();
+
+  return Array.from(normalized, c => {
+    const code = c.codePointAt(0);
+    return code >= KATAKANA_START && code <= KATAKANA_END
+      ? String.fromCodePoint(code - KANA_OFFSET)
+      : c;
+  }).join('');
+};
+
+/**
+ * 検索用に文字列を正規化する
+ * ハイライトのために、正規化後の各文字が元の文字列のどこから来たかも返す
+ * （濁点・半濁点が付いた文字は、合わせて1文字として元の範囲を返す）
+ *
+ * @param {string} text
+ * @returns {{ text: string, starts: number[], ends: number[] }}
+ */
+export const normalizeForSearch = text => {
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+
+  let offset = 0;
+  for (const [cluster] of (text || '').matchAll(CLUSTER)) {
+    const next = offset + cluster.length;
+    const out = normalizeChar(cluster);
+
+    for (let i = 0; i < out.length; i++) {
+      starts.push(offset);
+      ends.push(next);
+    }
+    normalized += out;
+    offset = next;
+  }
+
+  return { text: normalized, starts, ends };
+};
+
+// NOTE: 検索語は空白（全角を含む）区切り。正規化後に重複を除く
+export const splitSearchQuery = query =>
+  Array.from(
+    new Set(
+      normalizeForSearch(query)
+        .text.split(/\s+/)
+        .filter(term => term !== ''),
+    ),
+  );
+
+const toGrams = text => {
+  const chars = Array.from(text).filter(c => !/\s/.test(c));
+  if (chars.length === 1) {
+    return chars;
+  }
+
+  const grams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) {
+    grams.add(chars[i] + chars[i + 1]);
+  }
+
+  return Array.from(grams);
+};
+
+// NOTE: 1文字の検索語のために、各文字単体もインデックスに入れる
+const toIndexGrams = text =>
+  new Set([...toGrams(text), ...Array.from(text).filter(c => !/\s/.test(c))]);
+
+const countOccurrences = (text, term) => {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+
+  return count;
+};
+
+/**
+ * 正規化後の文字列での一致箇所を、元の文字列での範囲 [start, end) に変換して返す
+ * 重なる範囲はまとめる
+ */
+const findRanges = (normalized, terms) => {
+  const ranges = [];
+
+  terms.forEach(term => {
+    let index = normalized.text.indexOf(term);
+    while (index !== -1) {
+      ranges.push([
+        normalized.starts[index],
+        normalized.ends[index + term.length - 1],
+      ]);
+      index = normalized.text.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+
+    return merged;
+  }, []);
+};
+
+const SNIPPET_BEFORE = 20;
+const SNIPPET_LENGTH = 100;
+
+// NOTE: 詳細は最初の一致箇所の周辺だけを切り出して表示する
+const toSnippet = (text, ranges) => {
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  const start = Math.max(0, ranges[0][0] - SNIPPET_BEFORE);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return {
+    text: text.slice(start, end),
+    ranges: ranges
+      .filter(([s]) => s < end)
+      .map(([s, e]) => [s - start, Math.min(e, end) - start]),
+    hasBefore: start > 0,
+    hasAfter: end < text.length,
+  };
+};
+
+/**
+ * 検索インデックスを作る
+ *
+ * sync(entities) にstoreのタスク（state.task.entities）を渡すと、
+ * 前回から参照が変わったタスクだけをインデックスし直す。
+ * addTask / mutateTask / removeTask は該当するタスクのオブジェクトだけを作り直すので、
+ * タスクの追加・更新・削除のたびに全体を作り直さずに済む。
+ */
+export const createSearchIndex = () => {
+  // NOTE: タスクID → { task, title, detail, grams }
+  const documents = new Map();
+  // NOTE: bigram（または1文字）→ タスクIDのSet
+  const postings = new Map();
+
+  const unindex = id => {
+    const doc = documents.get(id);
+    if (!doc) {
+      return;
+    }
+
+    doc.grams.forEach(gram => {
+      const ids = postings.get(gram);
+      ids.delete(id);
+      if (ids.size === 0) {
+        postings.delete(gram);
+      }
+    });
+    documents.delete(id);
+  };
+
+  const index = task => {
+    unindex(task.id);
+
+    const title = normalizeForSearch(task.title);
+    const detail = normalizeForSearch(task.detail);
+    const grams = new Set([
+      ...toIndexGrams(title.text),
+      ...toIndexGrams(detail.text),
+    ]);
+
+    grams.forEach(gram => {
+      if (!postings.has(gram)) {
+        postings.set(gram, new Set());
+      }
+      postings.get(gram).add(task.id);
+    });
+
+    documents.set(task.id, { task, title, detail, grams });
+  };
+
+  const sync = entities => {
+    documents.forEach((doc, id) => {
+      if (!entities[id]) {
+        unindex(id);
+      }
+    });
+
+    Object.values(entities).forEach(task => {
+      if (documents.get(task.id)?.task !== task) {
+        index(task);
+      }
+    });
+  };
+
+  const candidatesFor = term => {
+    let candidates = null;
+
+    for (const gram of toGrams(term)) {
+      const ids = postings.get(gram);
+      if (!ids) {
+        return [];
+      }
+
+      candidates = candidates
+        ? candidates.filter(id => ids.has(id))
+        : Array.from(ids);
+    }
+
+    return candidates ?? [];
+  };
+
+  /**
+   * 検索する（すべての検索語を含むタスクを、関連度の高い順に返す）
+   *
+   * 関連度: タイトルでの一致 > 詳細での一致。タイトルの完全一致・前方一致は加点し、
+   * 同点なら未完了を先にする
+   *
+   * @param {string} query - 検索文字列（空白区切りでAND検索）
+   * @returns {Array<{ task, score, titleRanges, detailSnippet }>}
+   */
+  const search = query => {
+    const terms = splitSearchQuery(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    // NOTE: 候補は1語目で絞り込み、2語目以降は本文に含まれるかで確かめる
+    const results = [];
+
+    candidatesFor(terms[0]).forEach(id => {
+      const doc = documents.get(id);
+      let score = 0;
+
+      for (const term of terms) {
+        const inTitle = countOccurrences(doc.title.text, term);
+        const inDetail = countOccurrences(doc.detail.text, term);
+        if (inTitle === 0 && inDetail === 0) {
+          return;
+        }
+
+        if (doc.title.text === term) {
+          score += 20;
+        } else if (doc.title.text.startsWith(term)) {
+          score += 5;
+        }
+        score += inTitle * 10 + Math.min(inDetail, 5) * 2;
+      }
+
+      results.push({ doc, score });
+    });
+
+    return results
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          Number(a.doc.task.done) - Number(b.doc.task.done) ||
+          a.doc.task.title.localeCompare(b.doc.task.title, 'ja'),
+      )
+      .map(({ doc, score }) => ({
+        task: doc.task,
+        score,
+        titleRanges: findRanges(doc.title, terms),
+        detailSnippet: toSnippet(
+          doc.task.detail || '',
+          findRanges(doc.detail, terms),
+        ),
+      }));
+  };
+
+  return { sync, search };
+};
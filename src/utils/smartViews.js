@@ -0,0 +1,112 @@
+import { toDayNumber } from '~/utils/timeZone';
+
+/**
+ * 全リストを横断するスマートビュー（今日 / 期限切れ / 近日中）
+ *
+ * どのビューも未完了で期限のあるタスクだけを対象にし、
+ * リストごと・期限の日ごとにまとめて表示する
+ */
+
+// 「近日中」に含める日数（明日から数えて）
+export const UPCOMING_DAYS = 7;
+
+export const SMART_VIEWS = [
+  { id: 'today', label: 'Today', title: '今日が期限' },
+  { id: 'overdue', label: 'Overdue', title: '期限切れ' },
+  { id: 'upcoming', label: 'Upcoming', title: `${UPCOMING_DAYS}日以内が期限` },
+];
+
+export const findSmartView = (viewId) =>
+  SMART_VIEWS.find((view) => view.id === viewId) ?? null;
+
+/**
+ * タスクがビューの条件に一致するか（完了済みかどうかは見ない）
+ * @param {object} task - タスク
+ * @param {string} viewId - 'today' | 'overdue' | 'upcoming'
+ * @param {Date} now - 現在時刻
+ */
+export const matchesSmartViewDeadline = (task, viewId, now) => {
+  if (!task.limit) return false;
+
+  const limitDate = new Date(task.limit);
+  const limitDay = toDayNumber(limitDate);
+  const today = toDayNumber(now);
+
+  switch (viewId) {
+  case 'today':
+    return limitDay === today;
+  case 'overdue':
+    return limitDate < now;
+  case 'upcoming':
+    return limitDay > today && limitDay <= today + UPCOMING_DAYS;
+  default:
+    return false;
+  }
+};
+
+/**
+ * タスクがビューに含まれるか（未完了のもののみ）
+ */
+export const matchesSmartView = (task, viewId, now) =>
+  !task.done && matchesSmartViewDeadline(task, viewId, now);
+
+/**
+ * 各ビューに含まれるタスクの数
+ * @returns {object} - { today: number, overdue: number, upcoming: number }
+ */
+export const countSmartViews = (tasks, now) =>
+  Object.fromEntries(
+    SMART_VIEWS.map((view) => [
+      view.id,
+      tasks.filter((task) => matchesSmartView(task, view.id, now)).length,
+    ])
+  );
+
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 日付の通し番号（設定したタイムゾーン）を「10月18日（土）」のような見出しにする
+ */
+export const formatDayHeading = (day, today) => {
+  if (day === today) return '今日';
+  if (day === today + 1) return '明日';
+  if (day === today - 1) return '昨日';
+
+  const date = new Date(day * 24 * 60 * 60 * 1000);
+  return `${date.getUTCMonth() + 1}月${date.getUTCDate()}日（${WEEKDAYS[date.getUTCDay()]}）`;
+};
+
+/**
+ * ビューのタスクをリストごと、さらに期限の日ごとにまとめる
+ * リストは渡した順、日は期限の早い順、同じ日の中は期限の時刻順に並べる
+ *
+ * @param {Array} tasks - ビューに表示するタスク
+ * @param {Array} lists - リスト一覧（表示する順）
+ * @param {Date} now - 現在時刻（見出しの「今日」「明日」の判定に使う）
+ * @returns {Array} - [{ list, days: [{ day, heading, tasks }] }]
+ */
+export const groupSmartViewTasks = (tasks, lists, now) => {
+  const today = toDayNumber(now);
+  const sorted = [...tasks].sort(
+    (a, b) => new Date(a.limit) - new Date(b.limit)
+  );
+
+  return lists
+    .map((list) => {
+      const days = [];
+      sorted
+        .filter((task) => task.listId === list.id)
+        .forEach((task) => {
+          const day = toDayNumber(new Date(task.limit));
+          let group = days[days.length - 1];
+          if (!group || group.day !== day) {
+            group = { day, heading: formatDayHeading(day, today), tasks: [] };
+            days.push(group);
+          }
+          group.tasks.push(task);
+        });
+
+      return { list, days };
+    })
+    .filter((group) => group.days.length > 0);
+};
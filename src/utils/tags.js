@@ -0,0 +1,74 @@
+/*
+ * タイトル・詳細中の #タグ をラベルとして扱う
+ * タグは英数字・日本語・_ - で構成し、大文字小文字や全角半角の違いは同じタグとみなす
+ * （URLの # や、単語の途中の # はタグにしない）
+ */
+
+const TAG_PATTERN = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_-]*[\p{L}_][\p{L}\p{N}_-]*)/gu;
+
+// NOTE: 入力途中のタグ（キャレット直前の "#か" のような部分）
+const PARTIAL_TAG_PATTERN = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_-]*)$/u;
+
+/**
+ * タグを比較するための正規化
+ */
+export const normalizeTag = tag => tag.normalize('NFKC').toLowerCase();
+
+/**
+ * 文字列に含まれるタグを、出現順に重複なく返す（#は含まない）
+ * @param {...string} texts - タイトルや詳細
+ * @returns {string[]}
+ */
+export const extractTags = (...texts) => {
+  const tags = new Map();
+
+  texts.forEach(text => {
+    for (const m of (text ?? '').matchAll(TAG_PATTERN)) {
+      const key = normalizeTag(m[1]);
+      if (!tags.has(key)) {
+        tags.set(key, m[1]);
+      }
+    }
+  });
+
+  return Array.from(tags.values());
+};
+
+/**
+ * URLのパスに含まれるタグ名を元に戻す（不正なエンコードはそのまま返す）
+ */
+export const decodeTagParam = param => {
+  try {
+    return decodeURIComponent(param);
+  } catch {
+    return param;
+  }
+};
+
+/**
+ * キャレット位置の直前に入力途中のタグがあれば、その範囲と入力済みの部分を返す
+ * @param {string} text - 入力欄の文字列
+ * @param {number} caret - キャレット位置
+ * @returns {{ start: number, end: number, prefix: string } | null} - endはタグの末尾
+ */
+export const findPartialTag = (text, caret) => {
+  const m = text.slice(0, caret).match(PARTIAL_TAG_PATTERN);
+  if (!m) return null;
+
+  // キャレットがタグの途中にある場合は、タグの終わりまでを範囲に含める
+  const rest = text.slice(caret).match(/^[\p{L}\p{N}_-]*/u)[0];
+
+  return { start: m.index, end: caret + rest.length, prefix: m[1] };
+};
+
+// NOTE: タグの色（同じタグはいつも同じ色になるよう、名前から決める）
+const TAG_HUES = [0, 25, 45, 90, 150, 180, 200, 230, 260, 290, 320];
+
+export const tagHue = tag => {
+  let hash = 0;
+  for (const char of normalizeTag(tag)) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+
+  return TAG_HUES[hash % TAG_HUES.length];
+};
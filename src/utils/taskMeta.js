@@ -0,0 +1,68 @@
+/*
+ * APIにフィールドが無いタスクの付加情報（繰り返しの設定など）を、detailの末尾に
+ * HTMLコメントとして埋め込んで保存する。
+ *
+ *   買い物に行く
+ *
+ *   <!-- railway-todo:{"recurrence":{"type":"daily"}} -->
+ *
+ * 取得時に取り出してtask.metaに入れ、画面にはコメントを除いたdetailだけを表示する。
+ * 送信時にtask.metaから付け直すので、ユーザーが編集するdetailには現れない。
+ */
+
+const META_PATTERN = /(?:\n\n)?<!-- railway-todo:([^\n]*) -->\s*$/;
+
+/**
+ * detailから付加情報を取り出す
+ * @param {string} detail - APIから取得したdetail
+ * @returns {{ detail: string, meta: object }} - 付加情報を除いたdetailと付加情報
+ */
+export const splitTaskMeta = detail => {
+  const text = detail ?? '';
+  const m = text.match(META_PATTERN);
+  if (!m) {
+    return { detail: text, meta: {} };
+  }
+
+  try {
+    const meta = JSON.parse(m[1]);
+    return {
+      detail: text.slice(0, m.index),
+      meta: meta && typeof meta === 'object' ? meta : {},
+    };
+  } catch {
+    // 壊れている場合はユーザーが書いた文字列として扱う
+    return { detail: text, meta: {} };
+  }
+};
+
+/**
+ * detailに付加情報を埋め込む（付加情報が空ならdetailをそのまま返す）
+ * コメントが途中で閉じないよう、JSON中の < > はエスケープする
+ *
+ * @param {string} detail - 画面で編集するdetail
+ * @param {object} meta - 付加情報
+ * @returns {string} - APIに送るdetail
+ */
+export const joinTaskMeta = (detail, meta) => {
+  const text = detail ?? '';
+  if (!meta || Object.keys(meta).length === 0) {
+    return text;
+  }
+
+  const json = JSON.stringify(meta)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e');
+
+  return `${text}\n\n<!-- railway-todo:${json} -->`;
+};
+
+/**
+ * 付加情報の1項目を変更した新しいオブジェクトを返す（null / undefined なら項目ごと消す）
+ */
+export const setTaskMeta = (meta, key, value) => {
+  const rest = { ...meta };
+  delete rest[key];
+
+  return value === null || value === undefined ? rest : { ...rest, [key]: value };
+};
@@ -0,0 +1,150 @@
+import { comparePriority } from '~/utils/priority';
+import { toDayNumber } from '~/utils/timeZone';
+
+/**
+ * タスク一覧の並び替え・絞り込み
+ *
+ * クエリ文字列（?sort=deadline&due=today&incomplete=1）と相互に変換できるので、
+ * 絞り込んだ状態の一覧をブックマークしたり、リロード後も維持したりできる
+ */
+
+// 並び替えの種類
+// manual は手動で並べた順（並べていないタスクは作成順）、created は並べ替えに関係なくAPIが返す作成順
+export const SORT_OPTIONS = [
+  { value: 'manual', label: '手動（ドラッグで並べ替え）' },
+  { value: 'created', label: '作成順' },
+  { value: 'deadline', label: '期限が近い順' },
+  { value: 'priority', label: '優先度→期限順' },
+  { value: 'title', label: 'タイトル順' },
+  { value: 'done', label: '未完了を先に' },
+];
+
+// 期限による絞り込みの種類
+export const DUE_FILTER_OPTIONS = [
+  { value: 'all', label: 'すべての期限' },
+  { value: 'overdue', label: '期限切れ' },
+  { value: 'today', label: '今日が期限' },
+  { value: 'week', label: '今週が期限' },
+  { value: 'none', label: '期限なし' },
+];
+
+export const DEFAULT_TASK_QUERY = {
+  sort: 'manual',
+  due: 'all',
+  incompleteOnly: false,
+};
+
+const isOneOf = (options, value) =>
+  options.some((option) => option.value === value);
+
+/**
+ * クエリ文字列からタスクの表示条件を取り出す（不正な値は既定値にする）
+ * @param {string} search - location.search（例: "?sort=title&incomplete=1"）
+ * @returns {object} - { sort, due, incompleteOnly }
+ */
+export const parseTaskQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const sort = params.get('sort');
+  const due = params.get('due');
+
+  return {
+    sort: isOneOf(SORT_OPTIONS, sort) ? sort : DEFAULT_TASK_QUERY.sort,
+    due: isOneOf(DUE_FILTER_OPTIONS, due) ? due : DEFAULT_TASK_QUERY.due,
+    incompleteOnly: params.get('incomplete') === '1',
+  };
+};
+
+/**
+ * 表示条件をクエリ文字列に変換する（既定値の項目は省略する）
+ * @param {object} query - { sort, due, incompleteOnly }
+ * @param {string} search - 元のlocation.search（関係のないパラメータは残す）
+ * @returns {string} - "?sort=title" のような文字列（条件がなければ空文字）
+ */
+export const stringifyTaskQuery = (query, search = '') => {
+  const params = new URLSearchParams(search);
+
+  const setOrDelete = (key, value, defaultValue) => {
+    if (value === defaultValue) {
+      params.delete(key);
+    } else {
+      params.set(key, value);
+    }
+  };
+
+  setOrDelete('sort', query.sort, DEFAULT_TASK_QUERY.sort);
+  setOrDelete('due', query.due, DEFAULT_TASK_QUERY.due);
+  setOrDelete('incomplete', query.incompleteOnly ? '1' : '0', '0');
+
+  const text = params.toString();
+  return text ? `?${text}` : '';
+};
+
+/**
+ * 既定値以外の条件で絞り込んでいるか
+ */
+export const isTaskQueryFiltered = (query) =>
+  query.due !== DEFAULT_TASK_QUERY.due || query.incompleteOnly;
+
+/**
+ * 期限による絞り込み条件に一致するか
+ * 「今週」は今日を含む日曜始まりの1週間（LimitPickerのカレンダーと同じ）
+ */
+const matchesDueFilter = (task, due, now) => {
+  if (due === 'all') return true;
+  if (due === 'none') return !task.limit;
+  if (!task.limit) return false;
+
+  const limitDate = new Date(task.limit);
+
+  if (due === 'overdue') {
+    return !task.done && limitDate < now;
+  }
+
+  const limitDay = toDayNumber(limitDate);
+  const today = toDayNumber(now);
+
+  if (due === 'today') {
+    return limitDay === today;
+  }
+
+  // 1970/1/1 は木曜日なので、+4 で日曜日を0にする
+  const weekStart = today - ((today + 4) % 7);
+  return limitDay >= weekStart && limitDay < weekStart + 7;
+};
+
+const compareBy = {
+  // 渡した順のまま
+  manual: () => 0,
+  created: () => 0,
+  // 期限なしは最後
+  deadline: (a, b) => {
+    if (!a.limit && !b.limit) return 0;
+    if (!a.limit) return 1;
+    if (!b.limit) return -1;
+    return new Date(a.limit) - new Date(b.limit);
+  },
+  // 優先度の高い順。同じ優先度の中では期限が近い順
+  priority: (a, b) => comparePriority(a, b) || compareBy.deadline(a, b),
+  title: (a, b) => a.title.localeCompare(b.title, 'ja'),
+  done: (a, b) => Number(a.done) - Number(b.done),
+};
+
+/**
+ * タスク一覧に表示条件を適用する
+ * 並び替えは安定ソートなので、同じ順位のタスクは渡した順のまま
+ *
+ * @param {Array} tasks - タスクの配列（created なら作成順、それ以外は手動で並べた順）
+ * @param {object} query - { sort, due, incompleteOnly }
+ * @param {Date} now - 現在時刻（期限切れ・今日・今週の判定に使う）
+ * @returns {Array} - 絞り込み・並び替え後のタスクの配列
+ */
+export const applyTaskQuery = (tasks, query, now = new Date()) => {
+  const filtered = tasks.filter(
+    (task) =>
+      (!query.incompleteOnly || !task.done) &&
+      matchesDueFilter(task, query.due, now)
+  );
+
+  const compare = compareBy[query.sort] ?? compareBy.manual;
+  return [...filtered].sort(compare);
+};
@@ -0,0 +1,10 @@
+/*
+ * サーバーからIDが返ってくるまでの間、クライアント側で作成したタスク・リストに振る仮ID
+ * オフライン中に作成したものは、同期されるまでこのIDのまま保持される
+ */
+const TEMPORARY_ID_PREFIX = 'tmp-';
+
+export const createTemporaryId = seed => `${TEMPORARY_ID_PREFIX}${seed}`;
+
+export const isTemporaryId = id =>
+  typeof id === 'string' && id.startsWith(TEMPORARY_ID_PREFIX);
@@ -0,0 +1,215 @@
+/**
+ * タイムゾーンを考慮した日時の計算
+ *
+ * 期限はAPIにUTC（ISO 8601）で保存し、入力・表示・日付の計算はユーザーが選んだタイムゾーン
+ * （IANAのタイムゾーン名。既定はブラウザのタイムゾーン）の壁時計の時刻で行う。
+ * UTCとの差はIntlから日時ごとに求めるので、夏時間の切り替えの前後でも正しく変換できる。
+ *
+ * 日付だけを扱う計算は「日の通し番号」（1970/1/1 が 0）で行う
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ブラウザのタイムゾーン（取得できない場合はUTC）
+ */
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+/**
+ * Intlが扱えるタイムゾーン名か
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// 日時の計算に使うタイムゾーン（設定はストアから setTimeZone で反映する）
+let currentTimeZone = getBrowserTimeZone();
+
+export const getTimeZone = () => currentTimeZone;
+
+/**
+ * 日時の計算に使うタイムゾーンを変更する（null・不正な名前ならブラウザのタイムゾーン）
+ */
+export const setTimeZone = (timeZone) => {
+  currentTimeZone = isValidTimeZone(timeZone) ? timeZone : getBrowserTimeZone();
+};
+
+/**
+ * 選択できるタイムゾーンの一覧（ブラウザのタイムゾーンとUTCは必ず含める）
+ */
+export const listTimeZones = () => {
+  const zones = Intl.supportedValuesOf?.('timeZone') ?? [];
+  return [...new Set([getBrowserTimeZone(), 'UTC', ...zones])].sort();
+};
+
+// NOTE: Intl.DateTimeFormat の生成は重いので、タイムゾーンごとに使い回す
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * 日時をタイムゾーンの壁時計の年月日・時刻・曜日に分ける
+ * 例: (2025-10-25T07:30:00Z, 'Asia/Tokyo') → { year: 2025, month: 10, day: 25, hour: 16, minute: 30, second: 0, weekday: 6 }
+ * @returns {{ year, month, day, hour, minute, second, weekday }} - monthは1〜12、weekdayは0=日曜日
+ */
+export const toZonedParts = (date, timeZone = currentTimeZone) => {
+  const values = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') values[type] = Number(value);
+    });
+
+  const { year, month, day, minute, second } = values;
+  return {
+    year,
+    month,
+    day,
+    // 古い実装では0時を24時と返すことがある
+    hour: values.hour % 24,
+    minute,
+    second,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+  };
+};
+
+/**
+ * その日時でのUTCとの差（ミリ秒）。例: 日本時間なら +9時間
+ */
+export const getTimeZoneOffset = (date, timeZone = currentTimeZone) => {
+  const p = toZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * タイムゾーンの壁時計の年月日・時刻から日時を作る（日や月のあふれは繰り上がる）
+ * - 夏時間の開始で存在しない時刻（時計が飛ぶ時刻）は、飛んだ分だけ後ろにずらす
+ * - 夏時間の終了で2回ある時刻は、先（夏時間）の方にする
+ * @returns {Date}
+ */
+export const fromZonedParts = (
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timeZone = currentTimeZone
+) => {
+  const local = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // 前後1日の時差を候補にし、変換後の日時の時差が候補と一致する（=壁時計の時刻に戻る）ものを使う
+  // （切り替えをまたがない日時なら候補は1つ。2回ある時刻なら2つとも一致するので早い方にする）
+  const offsets = [
+    ...new Set(
+      [-DAY_MS, 0, DAY_MS].map((delta) =>
+        getTimeZoneOffset(new Date(local + delta), timeZone)
+      )
+    ),
+  ];
+  const instants = offsets
+    .map((offset) => local - offset)
+    .filter(
+      (instant) =>
+        getTimeZoneOffset(new Date(instant), timeZone) === local - instant
+    );
+  if (instants.length > 0) return new Date(Math.min(...instants));
+
+  // どの時差でも壁時計の時刻にならない = 時計が飛んで存在しない時刻
+  // 切り替え前の（小さい方の）時差で変換すると、飛んだ分だけ後ろの時刻になる
+  return new Date(local - Math.min(...offsets));
+};
+
+/**
+ * 年月日・時刻として正しい値か（2月30日、25時などを弾く）
+ */
+export const isValidDateTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+  [year, month, day, hour, minute, second].every(Number.isInteger) &&
+  month >= 1 &&
+  month <= 12 &&
+  day >= 1 &&
+  day <= new Date(Date.UTC(year, month, 0)).getUTCDate() &&
+  hour >= 0 &&
+  hour <= 23 &&
+  minute >= 0 &&
+  minute <= 59 &&
+  second >= 0 &&
+  second <= 59;
+
+/**
+ * タイムゾーンの壁時計の年月日・時刻を ISO 8601（UTC）にする。存在しない日付・時刻ならnull
+ * 例: ({ year: 2025, month: 10, day: 15, hour: 14, minute: 28 }, 'Asia/Tokyo') → "2025-10-15T05:28:00.000Z"
+ */
+export const zonedPartsToISO = (parts, timeZone = currentTimeZone) =>
+  isValidDateTime(parts) ? fromZonedParts(parts, timeZone).toISOString() : null;
+
+/**
+ * 日時をタイムゾーンでの日の通し番号と、その日の時刻に分ける
+ * @returns {{ day: number, hour: number, minute: number, second: number }}
+ */
+export const toZonedDay = (date, timeZone = currentTimeZone) => {
+  const { year, month, day, hour, minute, second } = toZonedParts(date, timeZone);
+  return { day: Date.UTC(year, month - 1, day) / DAY_MS, hour, minute, second };
+};
+
+/**
+ * 日の通し番号と時刻から日時を作る（toZonedDay の逆）
+ */
+export const fromZonedDay = (day, time = {}, timeZone = currentTimeZone) =>
+  fromZonedParts({ ...dayNumberToParts(day), ...time }, timeZone);
+
+/**
+ * 日時のタイムゾーンでの日の通し番号（比較・日数の計算用）
+ */
+export const toDayNumber = (date, timeZone = currentTimeZone) =>
+  toZonedDay(date, timeZone).day;
+
+/**
+ * 日の通し番号を年月日・曜日にする
+ * @returns {{ year, month, day, weekday }}
+ */
+export const dayNumberToParts = (day) => {
+  const date = new Date(day * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+};
+
+/**
+ * UTCとの差を "UTC+09:00" の形式にする（タイムゾーンの選択肢の表示用）
+ */
+export const formatTimeZoneOffset = (date, timeZone = currentTimeZone) => {
+  const offset = getTimeZoneOffset(date, timeZone) / (60 * 1000);
+  const sign = offset < 0 ? '-' : '+';
+  const hh = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const mi = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `UTC${sign}${hh}:${mi}`;
+};
@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config';
+
+// NOTE: テストは純粋な関数だけを対象にするので、Reactのプラグインは読み込まない
+export default defineConfig({
+  resolve: {
+    alias: {
+      '~': '/src',
+    },
+  },
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+  },
+});